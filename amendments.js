@@ -0,0 +1,236 @@
+// amendments.js
+// Corrections a client sends for a submission that was already received: new
+// files and JSON-patch-style changes to its form data, e.g.
+//   { op: 'replace', path: '/formData/requestedInfo/gross_sales_2021/q2', value: 41000 }
+//
+// Paths are JSON pointers into the stored payload (originalData). 'add' sets a
+// value, creating missing parent objects, or inserts into an array ('-'
+// appends); 'replace' and 'remove' need the value to exist. Fields that
+// identify the submission or its owner cannot be amended.
+//
+// Each amendment keeps a field-level diff (every leaf value that changed,
+// with its value before and after), so the data as first received can always
+// be told apart from the amended data.
+const { assignFileCategories, buildDocumentChecklist } = require('./document-checklist');
+
+const AMENDMENT_OPERATIONS = ['add', 'replace', 'remove'];
+
+// Paths that cannot be amended, nor anything below or above them (replacing
+// /formData would replace /formData/userEmail with it)
+const PROTECTED_PATHS = ['/id', '/timestamp', '/schemaVersion', '/formData/userEmail'];
+
+const MAX_CHANGES = 200;
+
+// Segments that would reach Object.prototype instead of the payload's own data
+const FORBIDDEN_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Splits a JSON pointer into its unescaped segments
+ * @param {String} pointer - e.g. '/formData/ownershipStructure/0/owner_name'
+ * @returns {Array<String>|null} - null when the pointer is malformed or names a forbidden segment
+ */
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || !pointer.startsWith('/') || pointer === '/') return null;
+  const segments = pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  return segments.some(segment => FORBIDDEN_SEGMENTS.includes(segment)) ? null : segments;
+}
+
+/**
+ * The protected path a change at a path would touch: the path itself, a value
+ * inside it or a value that contains it
+ * @param {Array<String>} segments - From parsePointer
+ * @returns {String|undefined}
+ */
+function protectedPathTouched(segments) {
+  return PROTECTED_PATHS.find(path => {
+    const protectedSegments = parsePointer(path);
+    const shared = Math.min(segments.length, protectedSegments.length);
+    return segments.slice(0, shared).every((segment, index) => segment === protectedSegments[index]);
+  });
+}
+
+/**
+ * Joins segments back into a JSON pointer
+ * @param {Array<String>} segments
+ * @returns {String}
+ */
+function toPointer(segments) {
+  return segments.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * Applies one change to the data, in place
+ * @param {Object} data - Payload being amended
+ * @param {Object} change - { op, path, value }
+ * @returns {String|null} - Why the change cannot be applied, or null
+ */
+function applyChange(data, change) {
+  const segments = parsePointer(change.path);
+  const key = segments[segments.length - 1];
+  let parent = data;
+  for (const segment of segments.slice(0, -1)) {
+    // Only the payload's own values are walked into, never inherited ones
+    const exists = Object.prototype.hasOwnProperty.call(parent, segment)
+      && parent[segment] !== undefined && parent[segment] !== null;
+    if (!exists) {
+      if (change.op !== 'add') return `${change.path} does not exist`;
+      parent[segment] = {};
+    }
+    parent = parent[segment];
+    if (typeof parent !== 'object') return `${change.path} is inside a value that is not an object or array`;
+  }
+
+  if (Array.isArray(parent)) {
+    if (!/^\d+$/.test(key) && !(key === '-' && change.op === 'add')) {
+      return `${change.path} must end in an array index`;
+    }
+    const index = key === '-' ? parent.length : Number(key);
+    const limit = change.op === 'add' ? parent.length : parent.length - 1;
+    if (index > limit) return `${change.path} is past the end of the array`;
+    if (change.op === 'add') parent.splice(index, 0, change.value);
+    else if (change.op === 'replace') parent[index] = change.value;
+    else parent.splice(index, 1);
+    return null;
+  }
+
+  if (change.op !== 'add' && !Object.prototype.hasOwnProperty.call(parent, key)) {
+    return `${change.path} does not exist`;
+  }
+  if (change.op === 'remove') delete parent[key];
+  else parent[key] = change.value;
+  return null;
+}
+
+/**
+ * Applies a list of changes to a copy of the stored payload
+ * @param {Object} originalData - Stored payload
+ * @param {Array<Object>} changes - [{ op, path, value }]
+ * @returns {Object} - { errors: [{ field, message, value }], data }
+ */
+function applyAmendmentChanges(originalData, changes) {
+  const errors = [];
+  const data = JSON.parse(JSON.stringify(originalData || {}));
+
+  if (!Array.isArray(changes)) {
+    return { errors: [{ field: 'changes', message: 'changes must be an array of { op, path, value }' }], data: null };
+  }
+  if (changes.length > MAX_CHANGES) {
+    return { errors: [{ field: 'changes', message: `An amendment is limited to ${MAX_CHANGES} changes`, value: changes.length }], data: null };
+  }
+
+  changes.forEach((change, index) => {
+    const field = `changes[${index}]`;
+    if (!isPlainObject(change) || !AMENDMENT_OPERATIONS.includes(change.op)) {
+      errors.push({ field, message: `op must be one of ${AMENDMENT_OPERATIONS.join(', ')}`, value: change && change.op });
+      return;
+    }
+    const segments = parsePointer(change.path);
+    if (!segments) {
+      errors.push({
+        field,
+        message: `path must be a JSON pointer such as /formData/requestedInfo/gross_sales_2021/q2, without ${FORBIDDEN_SEGMENTS.join(', ')}`,
+        value: change.path
+      });
+      return;
+    }
+    const protectedPath = protectedPathTouched(segments);
+    if (protectedPath) {
+      const message = protectedPath === change.path
+        ? `${change.path} cannot be amended`
+        : `${change.path} cannot be amended because it would change ${protectedPath}`;
+      errors.push({ field, message, value: change.path });
+      return;
+    }
+    if (change.op !== 'remove' && change.value === undefined) {
+      errors.push({ field, message: `${change.op} needs a value`, value: change.path });
+      return;
+    }
+    const problem = applyChange(data, change);
+    if (problem) errors.push({ field, message: problem, value: change.path });
+  });
+
+  return { errors, data: errors.length === 0 ? data : null };
+}
+
+/**
+ * Every leaf value that differs between two payloads
+ * @param {*} before
+ * @param {*} after
+ * @param {Array<String>} segments - Path so far
+ * @returns {Array<Object>} - [{ path, before, after }]; a missing value is null
+ */
+function diffValues(before, after, segments = []) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => diffValues(before[key], after[key], [...segments, key]));
+  }
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    return Array.from({ length }, (_, index) => diffValues(before[index], after[index], [...segments, String(index)])).flat();
+  }
+  // An object or array on one side only is compared leaf by leaf against nothing
+  if (isPlainObject(before) || Array.isArray(before)) {
+    return diffValues(before, Array.isArray(before) ? [] : {}, segments)
+      .concat(after === undefined || after === null ? [] : [{ path: toPointer(segments), before: null, after }]);
+  }
+  if (isPlainObject(after) || Array.isArray(after)) {
+    return (before === undefined || before === null ? [] : [{ path: toPointer(segments), before, after: null }])
+      .concat(diffValues(Array.isArray(after) ? [] : {}, after, segments));
+  }
+  const normalizedBefore = before === undefined ? null : before;
+  const normalizedAfter = after === undefined ? null : after;
+  if (JSON.stringify(normalizedBefore) === JSON.stringify(normalizedAfter)) return [];
+  return [{ path: toPointer(segments), before: normalizedBefore, after: normalizedAfter }];
+}
+
+/**
+ * What changed between the data as first received and the current data,
+ * from a submission's amendment history
+ * @param {Array<Object>} amendments - submission.amendments, oldest first
+ * @returns {Array<Object>} - [{ path, original, current, amendment }], by path
+ */
+function summarizeAmendments(amendments) {
+  const changes = new Map();
+  (amendments || []).forEach(amendment => {
+    (amendment.diff || []).forEach(entry => {
+      const existing = changes.get(entry.path);
+      changes.set(entry.path, {
+        path: entry.path,
+        original: existing ? existing.original : entry.before,
+        current: entry.after,
+        amendment: amendment.number
+      });
+    });
+  });
+  return [...changes.values()]
+    .filter(entry => JSON.stringify(entry.original) !== JSON.stringify(entry.current))
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Rebuilds the document checklist once an amendment adds files. Every file
+ * keeps the category it was given on receipt; declarations come from the
+ * amended form data.
+ * @param {Array<Object>} receivedFiles - All received files, with their categories
+ * @param {Object} formData - Amended formData
+ * @returns {Object} - Result of buildDocumentChecklist
+ */
+function rebuildDocumentChecklist(receivedFiles, formData) {
+  const manifest = receivedFiles.map(file => ({
+    field: file.fieldname,
+    name: file.originalName,
+    category: file.category
+  }));
+  return buildDocumentChecklist(assignFileCategories(receivedFiles, formData, manifest));
+}
+
+module.exports = {
+  applyAmendmentChanges,
+  diffValues,
+  summarizeAmendments,
+  rebuildDocumentChecklist,
+  AMENDMENT_OPERATIONS,
+  PROTECTED_PATHS
+};
@@ -0,0 +1,207 @@
+// api-auth.js
+// Authentication and per-role authorization for the read and download routes.
+//
+// Callers authenticate with an API key (X-API-Key or Authorization: Bearer).
+// Keys are configured in API_KEYS as comma-separated `name:role:key` entries:
+//   staff  - may read every submission
+//   client - may only read submissions whose userEmail matches the
+//            X-User-Email header sent with the request (the portal backend
+//            passes the signed-in client's email)
+// Staff requests may also send X-User-Email; it records who acted in the
+// review workflow.
+// Download routes also accept signed, expiring URLs produced by
+// createSignedDownloadUrl, so a browser can fetch a file without an API key.
+require('dotenv').config();
+const crypto = require('crypto');
+
+const ROLES = {
+  STAFF: 'staff',
+  CLIENT: 'client'
+};
+
+const DOWNLOAD_URL_SECRET = process.env.DOWNLOAD_URL_SECRET || '';
+const DOWNLOAD_URL_TTL_SECONDS = parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS, 10) || 900;
+
+/**
+ * Parses API_KEYS into key records
+ * @param {String} value - 'name:role:key,name:role:key'
+ * @returns {Array<Object>} - [{ name, role, keyHash }]
+ */
+function parseApiKeys(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, role, ...rest] = entry.split(':');
+      const key = rest.join(':');
+      if (!name || !key || !Object.values(ROLES).includes(role)) {
+        console.error(`Ignoring malformed API_KEYS entry "${name || entry.slice(0, 8)}"`);
+        return null;
+      }
+      return { name, role, keyHash: hashKey(key) };
+    })
+    .filter(Boolean);
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+const API_KEYS = parseApiKeys(process.env.API_KEYS);
+
+if (API_KEYS.length === 0) {
+  console.error('ERROR: No API_KEYS configured; read and download routes will reject every request');
+}
+if (!DOWNLOAD_URL_SECRET) {
+  console.log('WARNING: DOWNLOAD_URL_SECRET is not set; signed download URLs are disabled');
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function sendAuthError(res, status, message) {
+  return res.status(status).json({
+    success: false,
+    message: message
+  });
+}
+
+/**
+ * Looks up the API key presented with the request
+ * @param {Object} req - Express request
+ * @returns {Object|null} - Matching key record
+ */
+function findApiKey(req) {
+  let presented = req.get('X-API-Key');
+  const authorization = req.get('Authorization');
+  if (!presented && authorization && authorization.startsWith('Bearer ')) {
+    presented = authorization.slice('Bearer '.length).trim();
+  }
+  if (!presented) return null;
+
+  const presentedHash = hashKey(presented);
+  return API_KEYS.find(record => crypto.timingSafeEqual(record.keyHash, presentedHash)) || null;
+}
+
+/**
+ * Signature for a download path and expiry time
+ * @param {String} pathname - e.g. '/download/file/<id>'
+ * @param {Number} expires - Unix seconds
+ * @returns {String} - Hex digest
+ */
+function signDownloadPath(pathname, expires) {
+  return crypto.createHmac('sha256', DOWNLOAD_URL_SECRET)
+    .update(`${pathname}\n${expires}`)
+    .digest('hex');
+}
+
+/**
+ * Builds a signed, expiring URL path for a download route
+ * @param {String} pathname - e.g. '/download/report/<id>'
+ * @param {Number} ttlSeconds - Lifetime of the link
+ * @returns {Object} - { url, expiresAt }
+ */
+function createSignedDownloadUrl(pathname, ttlSeconds = DOWNLOAD_URL_TTL_SECONDS) {
+  if (!DOWNLOAD_URL_SECRET) {
+    throw new Error('DOWNLOAD_URL_SECRET is not configured');
+  }
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const signature = signDownloadPath(pathname, expires);
+  return {
+    url: `${pathname}?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires * 1000)
+  };
+}
+
+/**
+ * Whether the request carries a valid, unexpired download signature
+ * @param {Object} req - Express request
+ * @returns {Boolean}
+ */
+function hasValidDownloadSignature(req) {
+  const { expires, signature } = req.query;
+  if (!DOWNLOAD_URL_SECRET || !expires || !signature || typeof signature !== 'string') return false;
+
+  const expiresSeconds = Number(expires);
+  if (!Number.isInteger(expiresSeconds) || expiresSeconds < Date.now() / 1000) return false;
+
+  const expected = Buffer.from(signDownloadPath(req.path, expiresSeconds), 'hex');
+  const presented = Buffer.from(signature, 'hex');
+  return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+}
+
+/**
+ * Requires an API key; sets req.auth = { role, email, keyName, via }
+ */
+function requireApiKey(req, res, next) {
+  const record = findApiKey(req);
+  if (!record) {
+    return sendAuthError(res, 401, 'A valid API key is required');
+  }
+
+  const auth = { role: record.role, keyName: record.name, email: null, via: 'api_key' };
+
+  if (record.role === ROLES.CLIENT) {
+    auth.email = normalizeEmail(req.get('X-User-Email'));
+    if (!auth.email) {
+      return sendAuthError(res, 401, 'X-User-Email is required for client API keys');
+    }
+  } else if (req.get('X-User-Email')) {
+    auth.email = normalizeEmail(req.get('X-User-Email'));
+  }
+
+  req.auth = auth;
+  next();
+}
+
+/**
+ * Accepts either a signed download URL or an API key. A signed URL already
+ * proves access to that exact file, so no further ownership check is needed.
+ */
+function requireDownloadAccess(req, res, next) {
+  if (hasValidDownloadSignature(req)) {
+    req.auth = { role: null, keyName: null, email: null, via: 'signed_url' };
+    return next();
+  }
+  if (req.query.signature) {
+    return sendAuthError(res, 401, 'Download link is invalid or has expired');
+  }
+  return requireApiKey(req, res, next);
+}
+
+/**
+ * Whether the authenticated caller may see a given submission
+ * @param {Object} auth - req.auth
+ * @param {Object} submission - Submission document (needs userEmail)
+ * @returns {Boolean}
+ */
+function canAccessSubmission(auth, submission) {
+  if (!auth || !submission) return false;
+  if (auth.via === 'signed_url' || auth.role === ROLES.STAFF) return true;
+  if (auth.role === ROLES.CLIENT) {
+    return !!submission.userEmail && normalizeEmail(submission.userEmail) === auth.email;
+  }
+  return false;
+}
+
+/**
+ * Restricts a route to staff keys
+ */
+function requireStaff(req, res, next) {
+  if (!req.auth || req.auth.role !== ROLES.STAFF) {
+    return sendAuthError(res, 403, 'Staff access is required');
+  }
+  next();
+}
+
+module.exports = {
+  requireApiKey,
+  requireDownloadAccess,
+  requireStaff,
+  canAccessSubmission,
+  createSignedDownloadUrl,
+  normalizeEmail,
+  ROLES
+};
@@ -0,0 +1,208 @@
+// audit-log.js
+// Append-only audit trail of who received, saw or changed each submission.
+//
+// Every entry belongs to one submission and is chained to the previous entry
+// of that submission: `hash` is the SHA-256 of the entry's canonical JSON
+// together with the previous entry's hash. Editing, reordering or removing an
+// entry in the middle of a submission's history breaks the chain, which
+// verifyAuditChain reports. The AuditEntry model also refuses updates and
+// deletes, so entries can only be added through this module.
+//
+// Recorded actions are listed in AUDIT_ACTIONS. Actors are
+// { role, keyName, email, via }: an API key, a signed download URL, the
+// webhook sender, or the background worker ('system').
+const crypto = require('crypto');
+const { AuditEntry } = require('./db-connection');
+
+const AUDIT_ACTIONS = {
+  WEBHOOK_RECEIVED: 'webhook.received',
+  SUBMISSION_AMENDED: 'submission.amended',
+  FILE_DOWNLOADED: 'file.downloaded',
+  REPORT_DOWNLOADED: 'report.downloaded',
+  REPORT_GENERATED: 'report.generated',
+  REPORT_REGENERATED: 'report.regenerated',
+  REPORT_REGENERATION_REQUESTED: 'report.regeneration_requested',
+  REVIEW_STATUS_CHANGED: 'review.status_changed',
+  REVIEW_ASSIGNED: 'review.assigned',
+  REVIEW_NOTE_ADDED: 'review.note_added',
+  REVIEW_OVERRIDE_ADDED: 'review.override_added',
+  AUDIT_EXPORTED: 'audit.exported'
+};
+
+// previousHash of a submission's first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Attempts when another process appends to the same chain at the same time
+const MAX_APPEND_ATTEMPTS = 5;
+
+const SYSTEM_ACTOR = { role: 'system', keyName: null, email: null, via: 'worker' };
+const WEBHOOK_ACTOR = { role: 'webhook', keyName: null, email: null, via: 'webhook' };
+
+// Appends in this process are queued per submission, so they rarely race
+const pendingAppends = new Map();
+
+/**
+ * JSON with object keys sorted, so the same entry always hashes the same way
+ * @param {*} value
+ * @returns {String}
+ */
+function canonicalJson(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash of an entry, covering every field but the hash itself
+ * @param {Object} entry
+ * @returns {String} - Hex digest
+ */
+function hashEntry(entry) {
+  const { submissionId, sequence, action, actor, ip, details, at, previousHash } = entry;
+  return crypto.createHash('sha256')
+    .update(canonicalJson({ submissionId, sequence, action, actor, ip, details, at: new Date(at), previousHash }))
+    .digest('hex');
+}
+
+/**
+ * The actor behind an authenticated request
+ * @param {Object} req - Express request after requireApiKey/requireDownloadAccess
+ * @returns {Object} - { role, keyName, email, via }
+ */
+function actorFromRequest(req) {
+  const auth = req.auth || {};
+  return {
+    role: auth.role || null,
+    keyName: auth.keyName || null,
+    email: auth.email || null,
+    via: auth.via || null
+  };
+}
+
+/**
+ * Details recorded when a webhook is received
+ * @param {Object} fields - Submission fields as stored or spooled
+ * @param {Object} webhookAuth - req.webhookAuth from verifyWebhookSignature
+ * @returns {Object}
+ */
+function webhookReceiptDetails(fields, webhookAuth) {
+  return {
+    payloadHash: fields.payloadHash,
+    schemaVersion: fields.schemaVersion,
+    idempotencyKey: fields.idempotencyKey || null,
+    signatureVerified: !!(webhookAuth && webhookAuth.verified),
+    files: (fields.receivedFiles || []).map(file => ({ name: file.originalName, size: file.size, category: file.category }))
+  };
+}
+
+async function appendEntry({ submissionId, action, actor, ip, details }) {
+  // Stored as plain JSON so the hash is computed over exactly what is read back
+  const plainDetails = details ? JSON.parse(JSON.stringify(details)) : {};
+
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    const last = await AuditEntry.findOne({ submissionId })
+      .sort({ sequence: -1 })
+      .select('sequence hash')
+      .lean();
+
+    const entry = {
+      submissionId,
+      sequence: last ? last.sequence + 1 : 1,
+      action,
+      actor: actor || SYSTEM_ACTOR,
+      ip: ip || null,
+      details: plainDetails,
+      at: new Date(),
+      previousHash: last ? last.hash : GENESIS_HASH
+    };
+    entry.hash = hashEntry(entry);
+
+    try {
+      await AuditEntry.create(entry);
+      return entry;
+    } catch (error) {
+      // Another process took this sequence number; chain onto its entry instead
+      if (error.code === 11000 && attempt < MAX_APPEND_ATTEMPTS) continue;
+      throw error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Appends an entry to a submission's audit trail
+ * @param {Object} event - { submissionId, action, actor, ip, details }
+ * @returns {Promise<Object>} - The stored entry
+ */
+function recordAuditEvent(event) {
+  const previous = pendingAppends.get(event.submissionId) || Promise.resolve();
+  const append = previous.catch(() => {}).then(() => appendEntry(event));
+  pendingAppends.set(event.submissionId, append);
+  append.finally(() => {
+    if (pendingAppends.get(event.submissionId) === append) {
+      pendingAppends.delete(event.submissionId);
+    }
+  }).catch(() => {});
+  return append;
+}
+
+/**
+ * Checks a submission's entries for gaps and tampering
+ * @param {Array<Object>} entries - Entries of one submission, in sequence order
+ * @returns {Object} - { valid, entryCount, brokenAt, problem }
+ */
+function verifyAuditChain(entries) {
+  let previousHash = GENESIS_HASH;
+  for (let index = 0; index < entries.length; index++) {
+    const entry = entries[index];
+    let problem = null;
+    if (entry.sequence !== index + 1) {
+      problem = `Expected entry ${index + 1}, found ${entry.sequence}; entries are missing`;
+    } else if (entry.previousHash !== previousHash) {
+      problem = 'Entry does not follow the previous entry';
+    } else if (hashEntry(entry) !== entry.hash) {
+      problem = 'Entry was modified after it was recorded';
+    }
+    if (problem) {
+      return { valid: false, entryCount: entries.length, brokenAt: entry.sequence, problem };
+    }
+    previousHash = entry.hash;
+  }
+  return { valid: true, entryCount: entries.length, brokenAt: null, problem: null };
+}
+
+/**
+ * A submission's full audit history, with the result of verifying its chain
+ * @param {String} submissionId
+ * @returns {Promise<Object>} - { submissionId, verification, entries }
+ */
+async function getAuditTrail(submissionId) {
+  const entries = await AuditEntry.find({ submissionId })
+    .sort({ sequence: 1 })
+    .select('-_id -__v')
+    .lean();
+  return {
+    submissionId,
+    verification: verifyAuditChain(entries),
+    entries
+  };
+}
+
+module.exports = {
+  recordAuditEvent,
+  getAuditTrail,
+  verifyAuditChain,
+  actorFromRequest,
+  webhookReceiptDetails,
+  hashEntry,
+  AUDIT_ACTIONS,
+  SYSTEM_ACTOR,
+  WEBHOOK_ACTOR
+};
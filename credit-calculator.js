@@ -0,0 +1,205 @@
+// credit-calculator.js
+// Estimates the ERTC from per-employee qualified wages in qualifying quarters.
+//
+// 2020: 50% of up to $10,000 of qualified wages per employee for the whole year
+// (maximum $5,000 per employee).
+// 2021: 70% of up to $10,000 of qualified wages per employee per quarter
+// (maximum $7,000 per employee per quarter).
+// Qualified wages include the employer's allocable qualified health plan expenses.
+
+const { parseRevenue } = require('./qualification-engine');
+
+const CREDIT_RULES = {
+  2020: { rate: 0.5, wageCap: 10000, capPeriod: 'year' },
+  2021: { rate: 0.7, wageCap: 10000, capPeriod: 'quarter' }
+};
+
+// Quarter keys in chronological order, matching the form's 'q1_2021' convention
+const QUARTER_KEYS = [
+  'q1_2020', 'q2_2020', 'q3_2020', 'q4_2020',
+  'q1_2021', 'q2_2021', 'q3_2021', 'q4_2021'
+];
+
+/**
+ * Converts a form quarter key ('q1_2021') to the report label ('Q1 2021')
+ * @param {String} key - Quarter key
+ * @returns {String}
+ */
+function quarterKeyToLabel(key) {
+  const [q, year] = key.split('_');
+  return `${q.toUpperCase()} ${year}`;
+}
+
+/**
+ * Rounds a dollar amount to cents
+ * @param {Number} amount
+ * @returns {Number}
+ */
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Normalizes the employee_wages field from formData.requestedInfo
+ * Expected shape: [{ employee_name, wages: { q1_2021: '12000' }, health_plan: { q1_2021: '500' } }]
+ * @param {Array} rows - Raw employee_wages rows
+ * @returns {Array<Object>} - [{ employee, quarters: { 'Q1 2021': { wages, healthPlanExpenses } } }]
+ */
+function normalizeFormEmployeeWages(rows) {
+  if (!Array.isArray(rows)) return [];
+
+  return rows
+    .filter(row => row && (row.employee_name || row.employee_id))
+    .map(row => {
+      const wages = row.wages || {};
+      const healthPlan = row.health_plan || {};
+      const quarters = {};
+
+      QUARTER_KEYS.forEach(key => {
+        const wageAmount = parseRevenue(wages[key]);
+        const healthPlanAmount = parseRevenue(healthPlan[key]);
+        if (wageAmount === null && healthPlanAmount === null) return;
+        quarters[quarterKeyToLabel(key)] = {
+          wages: wageAmount || 0,
+          healthPlanExpenses: healthPlanAmount || 0
+        };
+      });
+
+      return {
+        employee: row.employee_name || String(row.employee_id),
+        quarters
+      };
+    });
+}
+
+/**
+ * Picks the wage source for a submission: a parsed wages_by_period upload takes
+ * precedence over the manually entered employee_wages field
+ * @param {Object} formData - originalData.formData
+ * @param {Object} payrollImport - Parsed payroll upload ({ employeeWages }) if any
+ * @returns {Object} - { source: String|null, employeeWages: Array }
+ */
+function resolveEmployeeWages(formData = {}, payrollImport = null) {
+  if (payrollImport && Array.isArray(payrollImport.employeeWages) && payrollImport.employeeWages.length > 0) {
+    return { source: 'payroll_import', employeeWages: payrollImport.employeeWages };
+  }
+
+  const requestedInfo = formData.requestedInfo || {};
+  const employeeWages = normalizeFormEmployeeWages(requestedInfo.employee_wages);
+  if (employeeWages.length > 0) {
+    return { source: 'form', employeeWages };
+  }
+
+  return { source: null, employeeWages: [] };
+}
+
+/**
+ * Estimates the credit for every qualifying quarter
+ * @param {Array<Object>} employeeWages - Normalized rows from resolveEmployeeWages
+ * @param {Object} qualificationData - Output of analyzeQualification
+ * @returns {Object} - Totals, per-quarter and per-employee breakdown
+ */
+function estimateCredit(employeeWages, qualificationData) {
+  const qualifying = new Set((qualificationData && qualificationData.qualifyingQuarters) || []);
+  const quarterLabels = QUARTER_KEYS.map(quarterKeyToLabel);
+
+  const quarterTotals = {};
+  quarterLabels.forEach(label => {
+    quarterTotals[label] = {
+      quarter: label,
+      qualifies: qualifying.has(label),
+      employeeCount: 0,
+      qualifiedWages: 0,
+      healthPlanExpenses: 0,
+      creditableWages: 0,
+      credit: 0
+    };
+  });
+
+  const employees = (employeeWages || []).map(row => {
+    // The 2020 cap is shared across all quarters of the year
+    let remaining2020Cap = CREDIT_RULES[2020].wageCap;
+    const summary = {
+      employee: row.employee,
+      qualifiedWages: 0,
+      creditableWages: 0,
+      credit: 0
+    };
+
+    quarterLabels.forEach(label => {
+      const amounts = row.quarters && row.quarters[label];
+      if (!amounts) return;
+
+      const totals = quarterTotals[label];
+      const year = Number(label.split(' ')[1]);
+      const rules = CREDIT_RULES[year];
+      const qualifiedWages = (amounts.wages || 0) + (amounts.healthPlanExpenses || 0);
+
+      totals.employeeCount += 1;
+      totals.qualifiedWages += qualifiedWages;
+      totals.healthPlanExpenses += amounts.healthPlanExpenses || 0;
+
+      if (!totals.qualifies || qualifiedWages <= 0) return;
+
+      let creditableWages;
+      if (rules.capPeriod === 'year') {
+        creditableWages = Math.min(qualifiedWages, remaining2020Cap);
+        remaining2020Cap -= creditableWages;
+      } else {
+        creditableWages = Math.min(qualifiedWages, rules.wageCap);
+      }
+
+      const credit = creditableWages * rules.rate;
+      totals.creditableWages += creditableWages;
+      totals.credit += credit;
+
+      summary.qualifiedWages += qualifiedWages;
+      summary.creditableWages += creditableWages;
+      summary.credit += credit;
+    });
+
+    summary.qualifiedWages = roundCurrency(summary.qualifiedWages);
+    summary.creditableWages = roundCurrency(summary.creditableWages);
+    summary.credit = roundCurrency(summary.credit);
+    return summary;
+  });
+
+  const quarters = quarterLabels.map(label => {
+    const totals = quarterTotals[label];
+    return {
+      ...totals,
+      qualifiedWages: roundCurrency(totals.qualifiedWages),
+      healthPlanExpenses: roundCurrency(totals.healthPlanExpenses),
+      creditableWages: roundCurrency(totals.creditableWages),
+      credit: roundCurrency(totals.credit)
+    };
+  });
+
+  const sumYear = year => roundCurrency(
+    quarters
+      .filter(q => q.quarter.endsWith(String(year)))
+      .reduce((sum, q) => sum + q.credit, 0)
+  );
+
+  const credit2020 = sumYear(2020);
+  const credit2021 = sumYear(2021);
+
+  return {
+    totalCredit: roundCurrency(credit2020 + credit2021),
+    credit2020,
+    credit2021,
+    employeeCount: employees.length,
+    quarters,
+    employees
+  };
+}
+
+module.exports = {
+  estimateCredit,
+  resolveEmployeeWages,
+  normalizeFormEmployeeWages,
+  quarterKeyToLabel,
+  roundCurrency,
+  CREDIT_RULES,
+  QUARTER_KEYS
+};
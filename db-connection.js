@@ -1,62 +1,133 @@
 // db-connection.js
 require('dotenv').config();
 const mongoose = require('mongoose');
+const { EventEmitter } = require('events');
 
 // MongoDB connection string from .env file
 const MONGODB_URI = process.env.MONGODB_URI;
 
 // Track connection status
 let isConnected = false;
-let connectionAttempted = false;
+let connectingPromise = null;
+let reconnectTimer = null;
 
-// Connect to MongoDB
-const connectToDatabase = async () => {
-  try {
-    // Add more detailed logging
-    console.log('connectToDatabase called');
-    console.log('MONGODB_URI defined:', !!MONGODB_URI);
-    
-    if (!MONGODB_URI) {
-      console.error('ERROR: No MongoDB URI provided in environment variables');
-      return false;
-    }
+// Backoff between failed connection attempts
+const INITIAL_RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+let retryDelayMs = INITIAL_RETRY_DELAY_MS;
 
-    if (isConnected) {
-      console.log('Using existing MongoDB connection');
-      return true;
-    }
+// Emits 'connected' and 'disconnected' so background tasks can react
+const dbEvents = new EventEmitter();
 
-    if (connectionAttempted) {
-      console.log('Previous connection attempt failed, skipping retry');
-      return false;
-    }
+// Once connected, the driver reconnects by itself; keep our flag in sync with it
+mongoose.connection.on('disconnected', () => {
+  if (isConnected) {
+    console.error('MongoDB connection lost');
+    isConnected = false;
+    dbEvents.emit('disconnected');
+  }
+});
 
-    connectionAttempted = true;
-    console.log(`Connecting to MongoDB...`);
-    
-    // Add timeout and more detailed options
-    await mongoose.connect(MONGODB_URI, {
-      serverSelectionTimeoutMS: 15000, // 15 seconds
-      connectTimeoutMS: 15000,
-      socketTimeoutMS: 30000
-    });
-    
+mongoose.connection.on('reconnected', () => {
+  if (!isConnected) {
+    console.log('MongoDB connection restored');
     isConnected = true;
-    console.log('Connected to MongoDB successfully');
-    
-    // Verify we can access a collection
-    const collections = await mongoose.connection.db.listCollections().toArray();
-    console.log('Available collections:', collections.map(c => c.name).join(', '));
-    
-    return true;
+    dbEvents.emit('connected');
+  }
+});
+
+// Lower-cases emails stored before submissions normalized them, so lookups by
+// (lower-case) email find every submission. Runs once per process; cheap when
+// there is nothing left to change.
+let storedEmailsNormalized = false;
+async function normalizeStoredEmails() {
+  if (storedEmailsNormalized) return;
+  try {
+    const result = await Submission.updateMany(
+      { userEmail: { $regex: /[A-Z]|^\s|\s$/ } },
+      [{ $set: { userEmail: { $toLower: { $trim: { input: '$userEmail' } } } } }]
+    );
+    storedEmailsNormalized = true;
+    if (result.modifiedCount > 0) {
+      console.log(`Normalized the email address of ${result.modifiedCount} stored submission(s)`);
+    }
   } catch (error) {
-    console.error('Error connecting to MongoDB:');
-    console.error('- Message:', error.message);
-    console.error('- Code:', error.code);
-    console.error('- Name:', error.name);
-    isConnected = false;
+    console.error('Error normalizing stored email addresses:', error.message);
+  }
+}
+
+// Schedule another connection attempt with exponential backoff
+function scheduleReconnect() {
+  if (reconnectTimer) return;
+  const delay = retryDelayMs;
+  retryDelayMs = Math.min(retryDelayMs * 2, MAX_RETRY_DELAY_MS);
+  console.log(`Retrying MongoDB connection in ${Math.round(delay / 1000)}s`);
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connectToDatabase();
+  }, delay);
+  // Don't keep the process alive just to reconnect
+  reconnectTimer.unref();
+}
+
+// Connect to MongoDB
+const connectToDatabase = async () => {
+  // Add more detailed logging
+  console.log('connectToDatabase called');
+  console.log('MONGODB_URI defined:', !!MONGODB_URI);
+  
+  if (!MONGODB_URI) {
+    console.error('ERROR: No MongoDB URI provided in environment variables');
     return false;
   }
+
+  if (isConnected) {
+    console.log('Using existing MongoDB connection');
+    return true;
+  }
+
+  // Share an attempt that is already in progress
+  if (connectingPromise) {
+    return connectingPromise;
+  }
+
+  connectingPromise = (async () => {
+    try {
+      console.log(`Connecting to MongoDB...`);
+      
+      // Add timeout and more detailed options
+      await mongoose.connect(MONGODB_URI, {
+        serverSelectionTimeoutMS: 15000, // 15 seconds
+        connectTimeoutMS: 15000,
+        socketTimeoutMS: 30000
+      });
+      
+      isConnected = true;
+      retryDelayMs = INITIAL_RETRY_DELAY_MS;
+      console.log('Connected to MongoDB successfully');
+      
+      // Verify we can access a collection
+      const collections = await mongoose.connection.db.listCollections().toArray();
+      console.log('Available collections:', collections.map(c => c.name).join(', '));
+      
+      await normalizeStoredEmails();
+      dbEvents.emit('connected');
+      return true;
+    } catch (error) {
+      console.error('Error connecting to MongoDB:');
+      console.error('- Message:', error.message);
+      console.error('- Code:', error.code);
+      console.error('- Name:', error.name);
+      isConnected = false;
+      await mongoose.disconnect().catch(() => {});
+      scheduleReconnect();
+      return false;
+    } finally {
+      connectingPromise = null;
+    }
+  })();
+
+  return connectingPromise;
 };
 
 // Add a database name to your connection string if it's missing
@@ -72,6 +143,17 @@ const submissionSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Idempotency-Key header or upstream submission id, used to detect retried webhooks
+  idempotencyKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Version of the payload schema the submission was validated against
+  schemaVersion: String,
+  // SHA-256 of the submission payload as received, and where it came from
+  payloadHash: String,
+  receivedFromIp: String,
   userId: {
     type: String,
     index: true
@@ -85,6 +167,10 @@ const submissionSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Background processing state: 'queued', 'processing', 'completed' or 'dead_letter'
+  processingStatus: String,
+  processingError: String, // Last error when processing was dead-lettered
+  callbackUrl: String,     // Optional per-submission status callback from the payload
   originalData: {
     type: mongoose.Schema.Types.Mixed,
     required: true
@@ -92,43 +178,550 @@ const submissionSchema = new mongoose.Schema({
   // Store metadata about local files (legacy support)
   receivedFiles: [{
     originalName: String,
+    filename: String,         // Sanitized name the file was saved under
     savedPath: String,
     size: Number,
-    mimetype: String
+    mimetype: String,         // As sent by the client
+    fieldname: String,
+    category: String,
+    categorySource: String,   // 'manifest', 'fieldname', 'declared_name' or 'none'
+    detectedType: String,     // Sniffed from the file content, e.g. 'pdf'
+    detectedMimetype: String
   }],
   // NEW: Store references to files in GridFS
   gridFSFiles: [{
     originalName: String,
+    savedPath: String,   // Local upload the file was copied from
     fileId: mongoose.Schema.Types.ObjectId,
     size: Number,
     mimetype: String,
-    category: String // e.g., 'quarterly_941_forms', 'wages_by_period'
+    category: String, // e.g., 'quarterly_941_forms', 'wages_by_period'
+    detectedType: String,
+    // Figures read from an uploaded Form 941 (quarterly_941_forms only)
+    form941: {
+      status: { type: String, enum: ['parsed', 'partial', 'no_text', 'error'] },
+      quarter: String,          // e.g. 'Q2 2021'
+      year: Number,
+      employeeCount: Number,    // Line 1
+      wages: Number,            // Line 2
+      credits: {
+        ercNonrefundable: Number,
+        ercRefundable: Number,
+        ercClaimed: Number,
+        sickLeaveCreditNonrefundable: Number,
+        sickLeaveCreditRefundable: Number
+      },
+      ercQualifiedWages: Number,
+      ercHealthPlanExpenses: Number,
+      pageCount: Number,
+      error: String,
+      extractedAt: Date
+    },
+    // Malware scan verdict; infected files are not copied into GridFS
+    scan: {
+      verdict: { type: String, enum: ['clean', 'infected', 'not_scanned'] },
+      signature: String,
+      engine: String,
+      scannedAt: Date
+    }
   }],
+  // Required documents and mismatches between declared and received files
+  documentChecklist: {
+    complete: Boolean,
+    items: [{
+      category: String,
+      label: String,
+      required: Boolean,
+      received: Number,
+      declaredNotReceived: Number,
+      status: { type: String, enum: ['received', 'missing', 'declared_not_received', 'optional'] }
+    }],
+    missingCategories: [String],
+    declaredNotReceived: [{ category: String, name: String }],
+    receivedNotDeclared: [{ name: String, fieldname: String, category: String }]
+  },
+  // Wages read from uploaded payroll registers (wages_by_period); when present
+  // they replace the manually entered employee_wages in the credit estimate
+  payrollImport: {
+    importedAt: Date,
+    files: [{
+      fileName: String,
+      fileId: mongoose.Schema.Types.ObjectId,
+      status: { type: String, enum: ['imported', 'no_header', 'unsupported', 'error'] },
+      sheets: [{ name: String, headerRow: Number, rowsImported: Number }],
+      rowsRead: Number,
+      rowsImported: Number,
+      rowsSkipped: Number,    // Payments dated outside 2020 and 2021
+      errorCount: Number,
+      mappingErrors: [{
+        fileName: String,
+        sheet: String,
+        row: Number,
+        column: String,
+        field: String,
+        message: String,
+        value: String
+      }]
+    }],
+    employeeWages: [{
+      employee: String,
+      employeeId: String,
+      quarters: mongoose.Schema.Types.Mixed // { 'Q1 2021': { wages, healthPlanExpenses } }
+    }],
+    duplicatePayments: Number
+  },
+  // Staff review: lifecycle status, assignment, internal notes and
+  // qualification overrides (see review-workflow.js)
+  review: {
+    status: {
+      type: String,
+      enum: ['submitted', 'in_review', 'needs_documents', 'approved', 'rejected', 'filed'],
+      default: 'submitted'
+    },
+    statusChangedAt: Date,
+    assignedTo: String,    // Reviewer's email or key name
+    assignedAt: Date,
+    history: [{
+      from: String,
+      to: String,
+      by: String,
+      note: String,
+      at: Date
+    }],
+    notes: [{
+      author: String,
+      text: String,
+      createdAt: Date
+    }],
+    // Every override is kept; the latest per quarter applies
+    overrides: [{
+      quarter: String,     // e.g. 'Q3 2020'
+      qualifies: Boolean,  // null returns the quarter to the computed result
+      reason: String,
+      by: String,
+      at: Date
+    }]
+  },
   // Store report information with GridFS reference
   report: {
     generated: Boolean,
     fileId: mongoose.Schema.Types.ObjectId, // Reference to GridFS file
     filename: String,                       // Filename in GridFS
+    generatedAt: Date,
+    templateId: String,                     // Report template used (see report-templates.js)
+    version: Number,                        // Current entry of reportVersions
+    generatorVersion: String,               // REPORT_GENERATOR_VERSION of the logic that built it
+    inputsHash: String,                     // SHA-256 of the inputs it was built from
+    // Staff overrides in effect when the report was generated
+    appliedOverrides: [{
+      quarter: String,
+      qualifies: Boolean,
+      reason: String,
+      by: String,
+      at: Date
+    }],
+    // One-page client summary, stored in the 'pdfReports' bucket
+    pdf: {
+      fileId: mongoose.Schema.Types.ObjectId,
+      filename: String
+    },
     qualificationData: {
       qualifyingQuarters: [String], // Array of quarters that qualify (e.g., ['Q1 2021', 'Q2 2021'])
       quarterAnalysis: [{
-        quarter: String,       // e.g., 'Quarter 1'
+        quarter: String,       // e.g., 'Q1 2021'
+        year: Number,          // 2020 or 2021
         revenues: {
-          revenue2019: Number, // Revenue from 2019
-          revenue2021: Number  // Revenue from 2021
+          revenue2019: Number,       // Revenue for the same quarter of 2019
+          comparisonRevenue: Number  // Revenue for the quarter being tested
         },
         change: Number,        // Dollar amount of change
         percentDecrease: Number, // Percentage decrease
-        qualifies: Boolean     // Whether this quarter qualifies
+        threshold: Number,     // Decrease required to qualify (50 for 2020, 20 for 2021)
+        alternativeQuarter: {  // 2021 only: the preceding quarter used for the election
+          quarter: String,
+          revenue2019: Number,
+          comparisonRevenue: Number,
+          percentDecrease: Number
+        },
+        qualifies: Boolean,    // Whether this quarter qualifies
+        qualificationTest: String, // 'normal', 'carryover' or 'alternative_quarter'
+        note: String
+      }],
+      // Payroll used for PPP forgiveness, removed from wages before the credit estimate
+      pppExclusion: {
+        loans: [{
+          loan: String,               // 'ppp1' or 'ppp2'
+          forgivenessAmount: Number,
+          nonPayrollCosts: Number,
+          forgivenPayroll: Number,
+          coveredPeriodStart: String, // YYYY-MM-DD
+          coveredPeriodEnd: String,
+          assumedCoveredPeriod: Boolean, // True when the form did not provide the dates
+          allocations: [{
+            quarter: String,
+            days: Number,
+            amount: Number
+          }]
+        }],
+        quarters: [{
+          quarter: String,
+          allocated: Number,          // Forgiven payroll allocated to the quarter
+          reportedWages: Number,
+          excludedFromWages: Number,
+          unabsorbed: Number          // Allocated payroll with no reported wages to remove it from
+        }]
+      },
+      // Ownership and related-individual checks
+      complianceChecks: {
+        ownership: {
+          ownerCount: Number,
+          totalPercentage: Number,
+          valid: Boolean,             // Whether percentages add up to 100%
+          majorityOwners: [{
+            name: String,
+            percentage: Number
+          }]
+        },
+        relatives: [{
+          name: String,
+          relationship: String,
+          relatedOwner: String,
+          excluded: Boolean,          // Wages are not qualified wages
+          reason: String
+        }],
+        excludedIndividuals: [String],
+        wagesExcludedFor: [String],   // Employees removed from the credit estimate
+        warnings: [{
+          code: String,               // e.g., 'OWNERSHIP_TOTAL_MISMATCH'
+          severity: String,           // 'error', 'warning' or 'info'
+          message: String
+        }]
+      }
+    },
+    // Estimated credit from per-employee qualified wages
+    creditEstimate: {
+      source: String,        // 'form' or 'payroll_import'; null when no wage data was provided
+      totalCredit: Number,
+      credit2020: Number,
+      credit2021: Number,
+      employeeCount: Number,
+      quarters: [{
+        quarter: String,             // e.g., 'Q1 2021'
+        qualifies: Boolean,
+        employeeCount: Number,
+        qualifiedWages: Number,      // Includes allocable health plan expenses
+        healthPlanExpenses: Number,
+        creditableWages: Number,     // Wages after the per-employee caps
+        credit: Number
+      }],
+      employees: [{
+        employee: String,
+        qualifiedWages: Number,
+        creditableWages: Number,
+        credit: Number
+      }]
+    },
+    // Uploaded Form 941 figures compared with the wages in the form
+    form941CrossCheck: {
+      returnsRead: Number,
+      quartersCovered: [String],
+      discrepancies: [{
+        quarter: String,
+        field: String,          // 'wages', 'employeeCount', 'ercClaimed', 'quarter' or 'document'
+        fileName: String,
+        formValue: Number,
+        extractedValue: Number,
+        difference: Number,
+        severity: String,
+        message: String
+      }]
+    },
+    // Form 941-X figures for each adjusted return (see form941x-builder.js)
+    form941x: {
+      generatedAt: Date,
+      totalOverpayment: Number,
+      quarters: [{
+        quarter: String,               // Return being amended, e.g. 'Q2 2020'
+        includesQuarters: [String],    // Credit quarters claimed on it
+        employeeCount: Number,
+        credit: Number,
+        nonrefundableLimit: {
+          tax: String,                 // 'social security' or 'Medicare'
+          rate: Number,
+          taxableWages: Number,
+          source: String,              // 'form_941' or 'wage_data'
+          employerShare: Number,
+          otherNonrefundableCredits: Number,
+          limit: Number
+        },
+        originalSource: String,        // 'form_941' or 'not_provided'
+        originalFileName: String,
+        lines: [{
+          line: String,                // '18a', '26a', '30', '31a'
+          description: String,
+          corrected: Number,
+          original: Number,
+          difference: Number,
+          taxCorrection: Number
+        }],
+        totalTaxCorrection: Number,    // Line 27
+        overpayment: Number,
+        notes: [String]
       }]
     }
-  }
+  },
+  // Corrections received after the submission (see amendments.js), oldest first;
+  // originalData holds the amended payload
+  amendments: [{
+    number: Number,            // 1, 2, 3...
+    receivedAt: Date,
+    idempotencyKey: String,
+    payloadHash: String,
+    note: String,              // Optional explanation from the client
+    changes: mongoose.Schema.Types.Mixed, // [{ op, path, value }] as sent
+    // Every form value that changed, as JSON pointers into originalData
+    diff: [{
+      path: String,
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed
+    }],
+    files: [{
+      originalName: String,
+      size: Number,
+      category: String
+    }]
+  }],
+  // Every report generated for the submission, oldest first; files are never
+  // removed, and report.version says which one is current
+  reportVersions: [{
+    version: Number,
+    fileId: mongoose.Schema.Types.ObjectId,    // 'excelReports' bucket
+    filename: String,
+    pdfFileId: mongoose.Schema.Types.ObjectId, // 'pdfReports' bucket
+    generatedAt: Date,
+    generatorVersion: String,  // null for reports generated before versioning
+    inputsHash: String,
+    templateId: String,
+    reason: String,            // 'received', 'manual', 'bulk', 'override' or 'amendment'
+    requestedBy: String,
+    jobId: String
+  }]
 });
 
+// Staff search (see submission-search.js): every filter is paired with the
+// default receivedAt order, and submissionId breaks ties for the cursor
+submissionSchema.index({ receivedAt: -1, submissionId: -1 });
+submissionSchema.index({ 'review.status': 1, receivedAt: -1 });
+submissionSchema.index({ 'report.qualificationData.qualifyingQuarters': 1, receivedAt: -1 });
+submissionSchema.index({ 'documentChecklist.missingCategories': 1, receivedAt: -1 });
+submissionSchema.index({ 'report.creditEstimate.totalCredit': -1, submissionId: -1 });
+
+// The spool reconciler's scan for queued submissions that lost their job
+submissionSchema.index({ processingStatus: 1, receivedAt: 1 });
+
 const Submission = mongoose.model('Submission', submissionSchema);
 
+// Background jobs, e.g. ingesting files and generating the report for a submission
+const processingJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true       // e.g., 'process_submission'
+  },
+  submissionId: {
+    type: String,
+    index: true
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'retrying', 'completed', 'dead_letter'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,        // When a worker claimed the job
+  lockedBy: String,      // Worker that claimed the job
+  progress: {
+    step: String,        // e.g., 'storing_files', 'generating_report'
+    percent: Number,
+    updatedAt: Date
+  },
+  lastError: String,
+  failures: [{
+    attempt: Number,
+    message: String,
+    at: Date
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date
+});
+
+// Lets workers find the next runnable job quickly
+processingJobSchema.index({ status: 1, nextRunAt: 1 });
+
+const ProcessingJob = mongoose.model('ProcessingJob', processingJobSchema);
+
+// Outbound status callbacks and every attempt to deliver them
+const callbackDeliverySchema = new mongoose.Schema({
+  submissionId: {
+    type: String,
+    index: true
+  },
+  event: String,           // e.g., 'submission.received', 'report.generated', 'report.failed'
+  url: String,
+  payload: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: [{
+    at: Date,
+    statusCode: Number,
+    error: String,
+    durationMs: Number
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: Date
+});
+
+const CallbackDelivery = mongoose.model('CallbackDelivery', callbackDeliverySchema);
+
+// Nonces of signed webhook requests already processed, kept until they expire
+const webhookNonceSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0 // TTL index: MongoDB removes the document once expiresAt passes
+  }
+});
+
+const WebhookNonce = mongoose.model('WebhookNonce', webhookNonceSchema);
+
+// Report templates for partner firms (see report-templates.js)
+const reportTemplateSchema = new mongoose.Schema({
+  templateId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: String,
+  partnerIds: {
+    type: [String],
+    index: true          // Partners whose submissions use this template
+  },
+  definition: mongoose.Schema.Types.Mixed, // Overrides of DEFAULT_REPORT_TEMPLATE
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const ReportTemplate = mongoose.model('ReportTemplate', reportTemplateSchema);
+
+// Append-only, hash-chained audit trail per submission (see audit-log.js)
+const auditEntrySchema = new mongoose.Schema({
+  submissionId: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true        // 1, 2, 3... within the submission
+  },
+  action: {
+    type: String,
+    required: true        // e.g., 'webhook.received', 'file.downloaded'
+  },
+  actor: {
+    role: String,         // 'staff', 'client', 'webhook', 'system' or null for signed URLs
+    keyName: String,
+    email: String,
+    via: String           // 'api_key', 'signed_url', 'webhook' or 'worker'
+  },
+  ip: String,
+  details: mongoose.Schema.Types.Mixed,
+  at: {
+    type: Date,
+    required: true
+  },
+  previousHash: String,
+  hash: String
+}, {
+  // Empty objects are kept so entries read back exactly as they were hashed
+  minimize: false
+});
+
+auditEntrySchema.index({ submissionId: 1, sequence: 1 }, { unique: true });
+
+// Entries are never changed or removed once written
+function rejectAuditChange(next) {
+  next(new Error('Audit entries are append-only'));
+}
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  auditEntrySchema.pre(operation, { document: false, query: true }, rejectAuditChange);
+});
+auditEntrySchema.pre('deleteOne', { document: true, query: false }, rejectAuditChange);
+auditEntrySchema.pre('save', function (next) {
+  if (!this.isNew) return rejectAuditChange(next);
+  next();
+});
+
+const AuditEntry = mongoose.model('AuditEntry', auditEntrySchema);
+
+// Driver errors that mean the server could not be reached, rather than that it refused the operation
+const TRANSIENT_ERROR_NAMES = [
+  'MongoNetworkError',
+  'MongoNetworkTimeoutError',
+  'MongoServerSelectionError',
+  'MongooseServerSelectionError',
+  'MongoNotConnectedError',
+  'MongoTopologyClosedError'
+];
+
+/**
+ * Whether a failed operation may succeed once the connection is back
+ * @param {Error} error
+ * @returns {Boolean}
+ */
+function isTransientDatabaseError(error) {
+  if (!error) return false;
+  if (TRANSIENT_ERROR_NAMES.includes(error.name)) return true;
+  // Mongoose gives up on operations it buffered while disconnected
+  return error.name === 'MongooseError' && /buffering timed out/.test(error.message);
+}
+
 module.exports = {
   connectToDatabase,
   Submission,
-  isConnected: () => isConnected
+  ProcessingJob,
+  CallbackDelivery,
+  WebhookNonce,
+  ReportTemplate,
+  AuditEntry,
+  dbEvents,
+  isConnected: () => isConnected,
+  isTransientDatabaseError
 };
\ No newline at end of file
@@ -0,0 +1,194 @@
+// document-checklist.js
+// Matches received files to document categories and checks the submission
+// has every document a claim needs.
+//
+// A file's category comes from, in order:
+//   1. the payload's fileManifest: [{ field, name, category }]
+//   2. its multipart field name, e.g. 'quarterly_941_forms', 'wages_by_period[]'
+//      or 'wages_by_period_2'
+//   3. its name, matched against the files declared in formData.uploadedFiles;
+//      each declared file is matched once, so two categories declaring the
+//      same file name each get one of the received copies
+// Files that match none of these are 'unknown'.
+
+// Categories every claim needs, with the label shown in reports
+const DOCUMENT_REQUIREMENTS = [
+  { category: 'quarterly_941_forms', label: 'Form 941 quarterly returns', required: true },
+  { category: 'wages_by_period', label: 'Payroll records by period', required: true }
+];
+
+const CATEGORY_SOURCES = {
+  MANIFEST: 'manifest',
+  FIELDNAME: 'fieldname',
+  DECLARED_NAME: 'declared_name',
+  NONE: 'none'
+};
+
+const CHECKLIST_STATUS = {
+  RECEIVED: 'received',
+  MISSING: 'missing',
+  DECLARED_NOT_RECEIVED: 'declared_not_received',
+  OPTIONAL: 'optional'
+};
+
+/**
+ * Files declared in formData.uploadedFiles, flattened
+ * @param {Object} formData
+ * @returns {Array<Object>} - [{ category, name, size, claimed }]
+ */
+function listDeclaredFiles(formData) {
+  const declared = [];
+  Object.entries((formData && formData.uploadedFiles) || {}).forEach(([category, files]) => {
+    (Array.isArray(files) ? files : []).forEach(file => {
+      if (file && file.name) {
+        declared.push({ category, name: file.name, size: file.size, claimed: false });
+      }
+    });
+  });
+  return declared;
+}
+
+/**
+ * Resolves a multipart field name to a known category
+ * @param {String} fieldname
+ * @param {Set<String>} knownCategories
+ * @returns {String|null}
+ */
+function categoryFromFieldname(fieldname, knownCategories) {
+  if (!fieldname) return null;
+  const candidates = [
+    fieldname,
+    fieldname.replace(/\[\d*\]$/, ''),
+    fieldname.replace(/[._-]\d+$/, '')
+  ];
+  return candidates.find(candidate => knownCategories.has(candidate)) || null;
+}
+
+/**
+ * Claims the declared file that best matches a received file: same name and,
+ * if both sizes are known, same size
+ * @param {Array} declared - From listDeclaredFiles (mutated)
+ * @param {Object} file - Received file
+ * @param {String|null} category - Only consider this category if given
+ * @returns {Object|null} - Claimed declared file
+ */
+function claimDeclaredFile(declared, file, category) {
+  const candidates = declared.filter(entry => !entry.claimed
+    && entry.name === file.originalName
+    && (!category || entry.category === category));
+  const match = candidates.find(entry => entry.size == null || entry.size === file.size) || candidates[0];
+  if (match) match.claimed = true;
+  return match || null;
+}
+
+/**
+ * Assigns a category to every received file
+ * @param {Array} receivedFiles - Entries with originalName, fieldname, size
+ * @param {Object} formData - Validated formData
+ * @param {Array} manifest - Optional fileManifest from the payload
+ * @returns {Object} - { receivedFiles, declaredNotReceived, receivedNotDeclared }
+ */
+function assignFileCategories(receivedFiles, formData, manifest) {
+  const declared = listDeclaredFiles(formData);
+  const knownCategories = new Set([
+    ...DOCUMENT_REQUIREMENTS.map(requirement => requirement.category),
+    ...declared.map(entry => entry.category)
+  ]);
+  const manifestEntries = (Array.isArray(manifest) ? manifest : []).map(entry => ({ ...entry, used: false }));
+  const receivedNotDeclared = [];
+
+  const assigned = (receivedFiles || []).map(file => {
+    let category = null;
+    let categorySource = CATEGORY_SOURCES.NONE;
+
+    const manifestEntry = manifestEntries.find(entry => !entry.used
+      && entry.category
+      && (!entry.field || entry.field === file.fieldname)
+      && (!entry.name || entry.name === file.originalName)
+      && (entry.field || entry.name));
+    if (manifestEntry) {
+      manifestEntry.used = true;
+      category = manifestEntry.category;
+      categorySource = CATEGORY_SOURCES.MANIFEST;
+    } else {
+      category = categoryFromFieldname(file.fieldname, knownCategories);
+      if (category) categorySource = CATEGORY_SOURCES.FIELDNAME;
+    }
+
+    // A category known from the manifest or field name still claims its declaration
+    const declaredMatch = claimDeclaredFile(declared, file, category);
+    if (!category && declaredMatch) {
+      category = declaredMatch.category;
+      categorySource = CATEGORY_SOURCES.DECLARED_NAME;
+    }
+    if (!declaredMatch && declared.length > 0) {
+      receivedNotDeclared.push({ name: file.originalName, fieldname: file.fieldname, category: category || 'unknown' });
+    }
+
+    return { ...file, category: category || 'unknown', categorySource };
+  });
+
+  const declaredNotReceived = declared
+    .filter(entry => !entry.claimed)
+    .map(entry => ({ category: entry.category, name: entry.name }));
+
+  return { receivedFiles: assigned, declaredNotReceived, receivedNotDeclared };
+}
+
+/**
+ * Builds the document checklist for a submission
+ * @param {Object} assignment - Result of assignFileCategories
+ * @returns {Object} - { complete, items, missingCategories, declaredNotReceived, receivedNotDeclared }
+ */
+function buildDocumentChecklist(assignment) {
+  const { receivedFiles, declaredNotReceived, receivedNotDeclared } = assignment;
+  const receivedCount = category => receivedFiles.filter(file => file.category === category).length;
+  const declaredCount = category => declaredNotReceived.filter(entry => entry.category === category).length;
+
+  const requiredCategories = new Set(DOCUMENT_REQUIREMENTS.map(requirement => requirement.category));
+  const otherCategories = [...new Set([
+    ...receivedFiles.map(file => file.category),
+    ...declaredNotReceived.map(entry => entry.category)
+  ])].filter(category => !requiredCategories.has(category));
+
+  const items = [
+    ...DOCUMENT_REQUIREMENTS,
+    ...otherCategories.map(category => ({ category, label: category, required: false }))
+  ].map(requirement => {
+    const received = receivedCount(requirement.category);
+    const notReceived = declaredCount(requirement.category);
+    let status = CHECKLIST_STATUS.RECEIVED;
+    if (received === 0) {
+      if (notReceived > 0) status = CHECKLIST_STATUS.DECLARED_NOT_RECEIVED;
+      else status = requirement.required ? CHECKLIST_STATUS.MISSING : CHECKLIST_STATUS.OPTIONAL;
+    }
+    return {
+      category: requirement.category,
+      label: requirement.label,
+      required: requirement.required,
+      received,
+      declaredNotReceived: notReceived,
+      status
+    };
+  });
+
+  const missingCategories = items
+    .filter(item => item.required && item.received === 0)
+    .map(item => item.category);
+
+  return {
+    complete: missingCategories.length === 0 && declaredNotReceived.length === 0,
+    items,
+    missingCategories,
+    declaredNotReceived,
+    receivedNotDeclared
+  };
+}
+
+module.exports = {
+  assignFileCategories,
+  buildDocumentChecklist,
+  DOCUMENT_REQUIREMENTS,
+  CATEGORY_SOURCES,
+  CHECKLIST_STATUS
+};
@@ -0,0 +1,235 @@
+// eligibility-checks.js
+// Ownership and related-individual checks. Wages paid to individuals related
+// to a more-than-50% owner (IRC 51(i)(1) relationships) are not qualified
+// wages, and an ownership table that does not add up to 100% needs review.
+
+const { parseRevenue } = require('./qualification-engine');
+
+// Ownership totals within this many percentage points of 100 are accepted
+const OWNERSHIP_TOLERANCE = 0.5;
+
+const MAJORITY_THRESHOLD = 50;
+
+// Relationships that make wages ineligible when the individual is related to a majority owner
+const RELATED_INDIVIDUAL_PATTERNS = [
+  /\bchild\b/, /\bchildren\b/, /\bson\b/, /\bdaughter\b/, /grand/, /descendant/,
+  /\bbrother\b/, /\bsister\b/, /sibling/,
+  /\bfather\b/, /\bmother\b/, /\bparent\b/, /ancestor/, /\bstep/,
+  /\bniece\b/, /\bnephew\b/, /\baunt\b/, /\buncle\b/,
+  /in-?law/,
+  /\bspouse\b/, /\bwife\b/, /\bhusband\b/
+];
+
+const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+/**
+ * Normalizes a person's name for matching against payroll rows
+ * @param {String} name
+ * @returns {String}
+ */
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Whether a free-text relationship is one covered by the related-individual rule
+ * @param {String} relationship
+ * @returns {Boolean}
+ */
+function isCoveredRelationship(relationship) {
+  const value = String(relationship || '').toLowerCase();
+  return RELATED_INDIVIDUAL_PATTERNS.some(pattern => pattern.test(value));
+}
+
+/**
+ * Validates the ownership table and identifies majority owners
+ * @param {Array} ownershipStructure - formData.ownershipStructure
+ * @param {Array} warnings - Collected warnings (mutated)
+ * @returns {Object} - { ownerCount, totalPercentage, valid, majorityOwners }
+ */
+function checkOwnership(ownershipStructure, warnings) {
+  const owners = Array.isArray(ownershipStructure) ? ownershipStructure : [];
+
+  if (owners.length === 0) {
+    warnings.push({
+      code: 'OWNERSHIP_MISSING',
+      severity: SEVERITY.WARNING,
+      message: 'No ownership structure was provided; majority owners cannot be identified'
+    });
+    return { ownerCount: 0, totalPercentage: 0, valid: false, majorityOwners: [] };
+  }
+
+  let totalPercentage = 0;
+  const parsedOwners = owners.map((owner, index) => {
+    const percentage = parseRevenue(owner.ownership_percentage);
+    if (percentage === null || percentage < 0 || percentage > 100) {
+      warnings.push({
+        code: 'OWNERSHIP_PERCENTAGE_INVALID',
+        severity: SEVERITY.ERROR,
+        message: `Owner #${index + 1} has an invalid ownership percentage: ${owner.ownership_percentage}`
+      });
+    }
+    totalPercentage += percentage || 0;
+    return {
+      name: owner.owner_name || `Owner #${index + 1}`,
+      percentage: percentage || 0
+    };
+  });
+
+  const valid = Math.abs(totalPercentage - 100) <= OWNERSHIP_TOLERANCE;
+  if (!valid) {
+    warnings.push({
+      code: 'OWNERSHIP_TOTAL_MISMATCH',
+      severity: SEVERITY.WARNING,
+      message: `Ownership percentages add up to ${totalPercentage}% instead of 100%`
+    });
+  }
+
+  const names = parsedOwners.map(owner => normalizeName(owner.name));
+  if (new Set(names).size !== names.length) {
+    warnings.push({
+      code: 'OWNERSHIP_DUPLICATE_NAMES',
+      severity: SEVERITY.WARNING,
+      message: 'The same owner name appears more than once in the ownership structure'
+    });
+  }
+
+  const majorityOwners = parsedOwners.filter(owner => owner.percentage > MAJORITY_THRESHOLD);
+
+  return {
+    ownerCount: parsedOwners.length,
+    totalPercentage,
+    valid,
+    majorityOwners
+  };
+}
+
+/**
+ * Flags relatives whose wages are excluded because of a majority owner
+ * @param {Object} relatives - formData.relatives
+ * @param {Array} majorityOwners - Output of checkOwnership
+ * @param {Array} warnings - Collected warnings (mutated)
+ * @returns {Array<Object>} - [{ name, relationship, relatedOwner, excluded, reason }]
+ */
+function checkRelatives(relatives, majorityOwners, warnings) {
+  if (!relatives || relatives.has_relatives !== 'yes') return [];
+
+  const rows = Array.isArray(relatives.relative_rows) ? relatives.relative_rows : [];
+  if (rows.length === 0) {
+    warnings.push({
+      code: 'RELATIVES_NOT_LISTED',
+      severity: SEVERITY.WARNING,
+      message: 'Relatives were reported as working in the business but none were listed'
+    });
+    return [];
+  }
+
+  const majorityNames = majorityOwners.map(owner => normalizeName(owner.name));
+
+  return rows.map((row, index) => {
+    const name = row.relative_name || `Relative #${index + 1}`;
+    const relationship = row.relationship || '';
+    const coveredRelationship = isCoveredRelationship(relationship);
+
+    // The form does not always say which owner the individual is related to;
+    // without that, assume the majority owner so the wages are not over-claimed
+    const relatedOwner = row.related_owner || (majorityOwners.length === 1 ? majorityOwners[0].name : null);
+    const relatedToMajorityOwner = row.related_owner
+      ? majorityNames.includes(normalizeName(row.related_owner))
+      : majorityOwners.length > 0;
+
+    let excluded = false;
+    let reason;
+    if (!relatedToMajorityOwner) {
+      reason = 'Not related to a more-than-50% owner';
+    } else if (coveredRelationship) {
+      excluded = true;
+      reason = 'Related to a more-than-50% owner; wages are not qualified wages';
+    } else {
+      excluded = true;
+      reason = 'Relationship not recognised; excluded until reviewed';
+      warnings.push({
+        code: 'RELATIONSHIP_UNRECOGNIZED',
+        severity: SEVERITY.WARNING,
+        message: `Relationship "${relationship}" for ${name} is not a recognised family relationship and needs review`
+      });
+    }
+
+    if (excluded) {
+      warnings.push({
+        code: 'RELATED_INDIVIDUAL_WAGES_EXCLUDED',
+        severity: SEVERITY.WARNING,
+        message: `Wages paid to ${name} (${relationship || 'relationship not given'}) must be excluded from qualified wages`
+      });
+    }
+
+    return {
+      name,
+      relationship,
+      relatedOwner,
+      excluded,
+      reason
+    };
+  });
+}
+
+/**
+ * Runs the ownership and related-individual checks for a submission
+ * @param {Object} formData - originalData.formData
+ * @returns {Object} - { ownership, relatives, excludedIndividuals, warnings }
+ */
+function runEligibilityChecks(formData = {}) {
+  const warnings = [];
+
+  const ownership = checkOwnership(formData.ownershipStructure, warnings);
+  const relatives = checkRelatives(formData.relatives, ownership.majorityOwners, warnings);
+
+  if (ownership.majorityOwners.length > 0 && formData.relatives && formData.relatives.has_relatives === 'yes') {
+    ownership.majorityOwners.forEach(owner => {
+      warnings.push({
+        code: 'MAJORITY_OWNER_WAGES',
+        severity: SEVERITY.INFO,
+        message: `Wages paid to majority owner ${owner.name} are generally not qualified wages when the owner has a living sibling, ancestor or descendant`
+      });
+    });
+  }
+
+  return {
+    ownership,
+    relatives,
+    excludedIndividuals: relatives.filter(r => r.excluded).map(r => r.name),
+    warnings
+  };
+}
+
+/**
+ * Removes excluded related individuals from the per-employee wage rows
+ * @param {Array<Object>} employeeWages - Normalized rows from resolveEmployeeWages
+ * @param {Object} checks - Output of runEligibilityChecks
+ * @returns {Object} - { employeeWages: remaining rows, removed: [employee names] }
+ */
+function excludeRelatedIndividuals(employeeWages, checks) {
+  const excluded = new Set(((checks && checks.excludedIndividuals) || []).map(normalizeName));
+  const removed = [];
+
+  const remaining = (employeeWages || []).filter(row => {
+    if (excluded.has(normalizeName(row.employee))) {
+      removed.push(row.employee);
+      return false;
+    }
+    return true;
+  });
+
+  return { employeeWages: remaining, removed };
+}
+
+module.exports = {
+  runEligibilityChecks,
+  excludeRelatedIndividuals,
+  isCoveredRelationship,
+  SEVERITY
+};
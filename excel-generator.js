@@ -2,30 +2,66 @@ const ExcelJS = require('exceljs');
 const mongoose = require('mongoose');
 const { GridFSBucket } = require('mongodb');
 const stream = require('stream');
+const { analyzeQualification, QUALIFICATION_TESTS, RECOVERY_PERCENTAGE_2020 } = require('./qualification-engine');
+const { estimateCredit, resolveEmployeeWages } = require('./credit-calculator');
+const { allocatePppForgiveness, applyPppExclusion } = require('./ppp-exclusion');
+const { runEligibilityChecks, excludeRelatedIndividuals } = require('./eligibility-checks');
+const { crossCheck941 } = require('./form941-extractor');
+const { build941x } = require('./form941x-builder');
+const { resolveTemplate, resolveLogo, DEFAULT_REPORT_TEMPLATE } = require('./report-templates');
+const { applyQualificationOverrides } = require('./review-workflow');
+const { summarizeAmendments } = require('./amendments');
+// Recorded with every report so reports built by older report logic can be
+// found and regenerated. Bump it in the same change as anything that alters a
+// report's figures or layout: qualification, credit, PPP or 941-X rules, or
+// the workbook itself. Reports generated before this constant carry '1.0.0'.
+const REPORT_GENERATOR_VERSION = '2';
+
+const EXCEL_BUCKET = 'excelReports';
 
 /**
  * Generates an Excel report for a form submission and stores it in MongoDB GridFS
  * @param {Object} submissionData - The submission data
  * @param {String} submissionId - The submission ID
- * @returns {Promise<Object>} - Object with GridFS file ID and qualification data
+ * @param {Object} template - Report template from loadReportTemplate; the default layout if omitted
+ * @param {Object} reportVersion - { version, inputsHash } stored with the file; omit for an unversioned report
+ * @returns {Promise<Object>} - Object with GridFS file ID, qualification data and credit estimate
  */
-async function generateExcelReport(submissionData, submissionId) {
+async function generateExcelReport(submissionData, submissionId, template = resolveTemplate({}), reportVersion = null) {
   try {
-    console.log(`Generating Excel report for submission ${submissionId}`);
+    console.log(`Generating Excel report for submission ${submissionId} (template ${template.templateId})`);
+    
+    const { colors } = template.branding;
+    const formats = template.numberFormats;
     
     const workbook = new ExcelJS.Workbook();
-    workbook.creator = 'ERTC Webhook Receiver';
-    workbook.lastModifiedBy = 'ERTC Webhook Receiver';
+    workbook.creator = template.branding.companyName;
+    workbook.lastModifiedBy = template.branding.companyName;
     workbook.created = new Date();
     workbook.modified = new Date();
+    // Formulas carry cached results; have Excel recalculate them on open
+    workbook.calcProperties.fullCalcOnLoad = true;
+    
+    // Every sheet is built, since later sheets use earlier results; the
+    // template's order and hidden sheets are applied once all exist
+    const sheetsByKey = {};
+    function addSheet(key, replacements = {}) {
+      const entry = template.sheets.find(sheet => sheet.key === key)
+        || DEFAULT_REPORT_TEMPLATE.sheets.find(sheet => sheet.key === key);
+      const name = Object.entries(replacements)
+        .reduce((result, [field, value]) => result.replace(`{${field}}`, value), entry.name);
+      const sheet = workbook.addWorksheet(name);
+      sheetsByKey[key] = [...(sheetsByKey[key] || []), sheet];
+      return sheet;
+    }
     
     // Summary sheet
-    const summarySheet = workbook.addWorksheet('Form Submission Summary');
+    const summarySheet = addSheet('summary');
     
     // Style for headers
     const headerStyle = {
-      font: { bold: true, size: 12, color: { argb: 'FFFFFFFF' } },
-      fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4472C4' } },
+      font: { bold: true, size: 12, color: { argb: colors.headerText } },
+      fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: colors.headerFill } },
       alignment: { horizontal: 'left' },
       border: {
         top: { style: 'thin' },
@@ -38,7 +74,7 @@ async function generateExcelReport(submissionData, submissionId) {
     // Style for section headers
     const sectionHeaderStyle = {
       font: { bold: true, size: 14 },
-      fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFDEEBF7' } }
+      fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: colors.sectionFill } }
     };
     
     summarySheet.columns = [
@@ -65,7 +101,8 @@ async function generateExcelReport(submissionData, submissionId) {
       if (!obj) return;
       
       Object.entries(obj).forEach(([key, value]) => {
-        const fieldName = prefix ? `${prefix} - ${key}` : key;
+        const label = template.fieldLabels[key] || key;
+        const fieldName = prefix ? `${prefix} - ${label}` : label;
         
         if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
           // If value is an object (but not array), recurse with a prefix
@@ -100,84 +137,191 @@ async function generateExcelReport(submissionData, submissionId) {
     summarySheet.addRow(['Submission Date', submissionData.receivedAt]);
     summarySheet.addRow(['', '']); // Empty row
     
-    // Basic info section
-    addSectionHeader(summarySheet, 'Basic Information');
-    if (formData.userEmail) {
-      summarySheet.addRow(['Email', formData.userEmail]);
-    }
-    summarySheet.addRow(['', '']); // Empty row
-    
-    // Qualifying Questions section
-    addSectionHeader(summarySheet, 'Qualifying Questions');
-    if (formData.qualifyingQuestions) {
-      addObjectRows(summarySheet, formData.qualifyingQuestions);
-    }
-    summarySheet.addRow(['', '']); // Empty row
+    // Summary sections, shown in the template's order
+    const summarySections = {
+      basicInformation: () => {
+        if (formData.userEmail) {
+          summarySheet.addRow(['Email', formData.userEmail]);
+        }
+      },
+      qualifyingQuestions: () => {
+        if (formData.qualifyingQuestions) {
+          addObjectRows(summarySheet, formData.qualifyingQuestions);
+        }
+      },
+      businessChallenges: () => {
+        if (formData.businessChallenges) {
+          addObjectRows(summarySheet, formData.businessChallenges);
+        }
+      },
+      requestedInformation: () => {
+        if (formData.requestedInfo) {
+          addObjectRows(summarySheet, formData.requestedInfo);
+        }
+      },
+      ownershipStructure: () => {
+        if (formData.ownershipStructure && formData.ownershipStructure.length > 0) {
+          formData.ownershipStructure.forEach((owner, index) => {
+            summarySheet.addRow([`Owner #${index + 1} Name`, owner.owner_name]);
+            summarySheet.addRow([`Owner #${index + 1} Percentage`, owner.ownership_percentage + '%']);
+          });
+        } else {
+          summarySheet.addRow(['Ownership Structure', 'None provided']);
+        }
+      },
+      relatives: () => {
+        if (formData.relatives) {
+          summarySheet.addRow(['Has Relatives Working in Business', formData.relatives.has_relatives]);
+          if (formData.relatives.has_relatives === 'yes' && formData.relatives.relative_rows) {
+            formData.relatives.relative_rows.forEach((relative, index) => {
+              summarySheet.addRow([`Relative #${index + 1} Name`, relative.relative_name]);
+              summarySheet.addRow([`Relative #${index + 1} Relationship`, relative.relationship]);
+            });
+          }
+        }
+      },
+      // The document checklist, then each received file
+      uploadedFiles: () => {
+        const checklist = submissionData.documentChecklist;
+        const checklistLabels = {
+          received: 'Received',
+          missing: 'MISSING',
+          declared_not_received: 'Declared but not received',
+          optional: 'Not provided (optional)'
+        };
+        if (checklist && checklist.items) {
+          summarySheet.addRow(['Document checklist', checklist.complete ? 'Complete' : 'Incomplete']);
+          checklist.items.forEach(item => {
+            const row = summarySheet.addRow([
+              `${item.label}${item.required ? ' (required)' : ''}`,
+              `${checklistLabels[item.status] || item.status} - ${item.received} file(s)`
+            ]);
+            if (item.status === 'missing' || item.status === 'declared_not_received') {
+              row.getCell(2).font = { bold: true, color: { argb: colors.missing } };
+            }
+          });
+          (checklist.declaredNotReceived || []).forEach(entry => {
+            summarySheet.addRow([`Not received (${entry.category})`, entry.name]);
+          });
+          (checklist.receivedNotDeclared || []).forEach(entry => {
+            summarySheet.addRow([`Not declared in form (${entry.category})`, entry.name]);
+          });
+        }
+        const receivedFiles = submissionData.receivedFiles || [];
+        if (receivedFiles.length > 0) {
+          receivedFiles.forEach(file => {
+            summarySheet.addRow([file.category || 'unknown', file.originalName]);
+          });
+        } else {
+          summarySheet.addRow(['Uploaded Files', 'None']);
+        }
+      }
+    };
     
-    // Business Challenges section
-    addSectionHeader(summarySheet, 'Business Challenges');
-    if (formData.businessChallenges) {
-      addObjectRows(summarySheet, formData.businessChallenges);
-    }
-    summarySheet.addRow(['', '']); // Empty row
+    template.summarySections.forEach((section, index) => {
+      if (index > 0) {
+        summarySheet.addRow(['', '']); // Empty row
+      }
+      addSectionHeader(summarySheet, template.sectionTitles[section]);
+      summarySections[section]();
+    });
     
-    // Requested Info section
-    addSectionHeader(summarySheet, 'Requested Information');
-    if (formData.requestedInfo) {
-      addObjectRows(summarySheet, formData.requestedInfo);
+    // Partner logo, to the right of the summary
+    const logo = resolveLogo(template.branding.logo);
+    if (logo) {
+      const imageId = workbook.addImage(logo);
+      summarySheet.addImage(imageId, { tl: { col: 2.2, row: 1 }, ext: { width: 180, height: 60 } });
     }
-    summarySheet.addRow(['', '']); // Empty row
     
-    // Ownership Structure section
-    addSectionHeader(summarySheet, 'Ownership Structure');
-    if (formData.ownershipStructure && formData.ownershipStructure.length > 0) {
-      formData.ownershipStructure.forEach((owner, index) => {
-        summarySheet.addRow([`Owner #${index + 1} Name`, owner.owner_name]);
-        summarySheet.addRow([`Owner #${index + 1} Percentage`, owner.ownership_percentage + '%']);
+    // Amendments Sheet: what the client changed after the original submission
+    const amendments = submissionData.amendments || [];
+    if (amendments.length > 0) {
+      const amendmentSheet = addSheet('amendments');
+
+      amendmentSheet.columns = [
+        { header: 'Field', key: 'field', width: 50 },
+        { header: 'Original', key: 'original', width: 30 },
+        { header: 'Amended', key: 'amended', width: 30 },
+        { header: 'Amendment', key: 'amendment', width: 12 }
+      ];
+
+      amendmentSheet.getRow(1).eachCell(cell => {
+        cell.style = headerStyle;
       });
-    } else {
-      summarySheet.addRow(['Ownership Structure', 'None provided']);
-    }
-    summarySheet.addRow(['', '']); // Empty row
-    
-    // Relatives section
-    addSectionHeader(summarySheet, 'Relatives');
-    if (formData.relatives) {
-      summarySheet.addRow(['Has Relatives Working in Business', formData.relatives.has_relatives]);
-      if (formData.relatives.has_relatives === 'yes' && formData.relatives.relative_rows) {
-        formData.relatives.relative_rows.forEach((relative, index) => {
-          summarySheet.addRow([`Relative #${index + 1} Name`, relative.relative_name]);
-          summarySheet.addRow([`Relative #${index + 1} Relationship`, relative.relationship]);
-        });
+
+      // '/formData/ownershipStructure/0/owner_name' -> 'ownershipStructure #1 - owner_name'
+      const describePath = pointer => pointer.slice(1).split('/')
+        .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .filter((segment, index) => !(index === 0 && segment === 'formData'))
+        .reduce((parts, segment) => {
+          if (/^\d+$/.test(segment) && parts.length > 0) {
+            parts[parts.length - 1] += ` #${Number(segment) + 1}`;
+          } else {
+            parts.push(template.fieldLabels[segment] || segment);
+          }
+          return parts;
+        }, [])
+        .join(' - ');
+      const describeValue = value => {
+        if (value === null || value === undefined) return '(not provided)';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+      };
+
+      amendmentSheet.addRow(['Amended Submission']);
+      amendmentSheet.getRow(2).getCell(1).font = { bold: true, size: 16 };
+      amendmentSheet.getRow(2).height = 30;
+      amendmentSheet.addRow([`${amendments.length} amendment(s) received; every other sheet uses the amended data`]);
+      amendmentSheet.addRow([]);
+
+      addSectionHeader(amendmentSheet, 'Changes Since the Original Submission');
+      const netChanges = summarizeAmendments(amendments);
+      if (netChanges.length === 0) {
+        amendmentSheet.addRow(['No form values differ from the original submission']);
       }
-    }
-    summarySheet.addRow(['', '']); // Empty row
-    
-    // Uploaded Files section
-    addSectionHeader(summarySheet, 'Uploaded Files');
-    if (formData.uploadedFiles) {
-      Object.entries(formData.uploadedFiles).forEach(([fileCategory, files]) => {
-        if (files && files.length > 0) {
-          summarySheet.addRow([fileCategory, `${files.length} file(s) uploaded`]);
-          files.forEach((file, index) => {
-            summarySheet.addRow([`${fileCategory} #${index + 1}`, file.name]);
-          });
+      netChanges.forEach(change => {
+        const row = amendmentSheet.addRow([
+          describePath(change.path),
+          describeValue(change.original),
+          describeValue(change.current),
+          `#${change.amendment}`
+        ]);
+        row.getCell(3).font = { bold: true };
+      });
+
+      amendmentSheet.addRow([]);
+      addSectionHeader(amendmentSheet, 'Amendment History');
+      amendments.forEach(amendment => {
+        const titleRow = amendmentSheet.addRow([
+          `Amendment #${amendment.number} - received ${new Date(amendment.receivedAt).toLocaleString('en-US')}`
+        ]);
+        titleRow.font = { bold: true };
+        if (amendment.note) {
+          amendmentSheet.addRow([`Note: ${amendment.note}`]);
         }
+        (amendment.diff || []).forEach(change => {
+          amendmentSheet.addRow([describePath(change.path), describeValue(change.before), describeValue(change.after)]);
+        });
+        (amendment.files || []).forEach(file => {
+          amendmentSheet.addRow([`File added (${file.category || 'unknown'})`, '', file.originalName]);
+        });
+        amendmentSheet.addRow([]);
       });
-    } else {
-      summarySheet.addRow(['Uploaded Files', 'None']);
     }
-    
+
     // Revenue Analysis Sheet
-    const analysisSheet = workbook.addWorksheet('Revenue Analysis');
+    const analysisSheet = addSheet('revenue');
     
     analysisSheet.columns = [
       { header: 'Quarter', key: 'quarter', width: 15 },
       { header: '2019 Revenue', key: 'revenue2019', width: 20 },
-      { header: '2021 Revenue', key: 'revenue2021', width: 20 },
+      { header: 'Quarter Revenue', key: 'comparisonRevenue', width: 20 },
       { header: 'Revenue Change', key: 'change', width: 20 },
       { header: 'Percent Decrease', key: 'percentDecrease', width: 20 },
-      { header: 'Qualifies (>50% Decrease)', key: 'qualifies', width: 25 }
+      { header: 'Required Decrease', key: 'threshold', width: 20 },
+      { header: 'Alt. Quarter Decrease', key: 'alternativeDecrease', width: 22 },
+      { header: 'Qualifies', key: 'qualifies', width: 12 },
+      { header: 'Test Applied', key: 'qualificationTest', width: 22 },
+      { header: 'Notes', key: 'note', width: 60 }
     ];
     
     // Apply header styles to analysis sheet
@@ -186,81 +330,127 @@ async function generateExcelReport(submissionData, submissionId) {
     });
     
     // Add title and description
-    analysisSheet.addRow(['Revenue Analysis for Qualification', '', '', '', '', '']);
+    analysisSheet.addRow(['Revenue Analysis for Qualification']);
     analysisSheet.getRow(2).getCell(1).font = { bold: true, size: 16 };
     analysisSheet.getRow(2).height = 30;
     
-    analysisSheet.addRow(['Comparing 2019 vs 2021 quarterly revenue to determine qualification based on revenue reduction', '', '', '', '', '']);
-    analysisSheet.addRow(['Formula: (2019 Revenue - 2021 Revenue) / 2019 Revenue', '', '', '', '', '']);
-    analysisSheet.addRow(['A quarter qualifies if the reduction is more than 50%', '', '', '', '', '']);
-    analysisSheet.addRow(['', '', '', '', '', '']); // Empty row
+    analysisSheet.addRow(['Comparing each 2020 and 2021 quarter against the same quarter of 2019']);
+    analysisSheet.addRow(['Formula: (2019 Revenue - Quarter Revenue) / 2019 Revenue']);
+    analysisSheet.addRow(['2020: qualifies with a decrease of more than 50%, and stays eligible through the first quarter receipts recover above 80% of 2019']);
+    analysisSheet.addRow(['2021: qualifies with a decrease of more than 20%, or when the preceding quarter did (alternative quarter election)']);
+    analysisSheet.addRow([]); // Empty row
     
-    // Add data rows and calculate
+    // Run the qualification engine and lay out one row per quarter
     const requestedInfo = formData.requestedInfo || {};
-    const grossSales2019 = requestedInfo.gross_sales_2019 || {};
-    const grossSales2021 = requestedInfo.gross_sales_2021 || {};
+    const { qualifyingQuarters, quarterAnalysis } = analyzeQualification(requestedInfo);
+    
+    const testLabels = {
+      [QUALIFICATION_TESTS.NORMAL]: 'Normal',
+      [QUALIFICATION_TESTS.CARRYOVER]: 'Carryover (2020)',
+      [QUALIFICATION_TESTS.ALTERNATIVE_QUARTER]: 'Alternative quarter'
+    };
     
-    const quarters = ['q1', 'q2', 'q3'];
-    quarters.forEach(q => {
-      const revenue2019 = parseFloat(grossSales2019[q]) || 0;
-      const revenue2021 = parseFloat(grossSales2021[q]) || 0;
+    // Percentages are stored as 0-100 but Excel percent formats expect ratios
+    const toRatio = value => (value === null || value === undefined ? null : value / 100);
+    
+    // Change, percent decrease, qualification and test applied are live
+    // formulas, so a reviewer who corrects a revenue figure sees the result
+    // update; the cached results are the engine's. The stored qualificationData
+    // comes from the engine, never from these cells.
+    const firstQuarterRow = analysisSheet.rowCount + 1;
+    quarterAnalysis.forEach((entry, index) => {
+      const r = firstQuarterRow + index;
+      const previous = r - 1;
+      const isFirst2020 = entry.year === 2020 && index === 0;
       
-      let change = 0;
-      let percentDecrease = 0;
-      let qualifies = 'No';
+      const changeFormula = `IF(AND(ISNUMBER(B${r}),ISNUMBER(C${r}),B${r}>0),B${r}-C${r},"")`;
+      const percentFormula = `IF(ISNUMBER(D${r}),D${r}/B${r},"")`;
+      let alternativeCell = null;
+      let qualifiesFormula;
+      let testFormula;
       
-      if (revenue2019 > 0) {
-        change = revenue2019 - revenue2021;
-        percentDecrease = (change / revenue2019) * 100;
-        qualifies = percentDecrease >= 50 ? 'Yes' : 'No';
+      if (entry.year === 2020) {
+        // A period of significant decline carries over from the previous quarter
+        // until receipts recover above 80% of 2019 (a decrease under 20%)
+        const carryover = isFirst2020 ? 'FALSE()' : `AND(H${previous}="Yes",E${previous}>=${(100 - RECOVERY_PERCENTAGE_2020) / 100})`;
+        qualifiesFormula = `IF(NOT(ISNUMBER(E${r})),"No",IF(OR(E${r}>F${r},${carryover}),"Yes","No"))`;
+        testFormula = `IF(H${r}="Yes",IF(${carryover},"${testLabels[QUALIFICATION_TESTS.CARRYOVER]}","${testLabels[QUALIFICATION_TESTS.NORMAL]}"),"")`;
+      } else {
+        // The alternative quarter is the row above: the preceding calendar quarter
+        alternativeCell = {
+          formula: `IF(ISNUMBER(E${previous}),E${previous},"")`,
+          result: entry.alternativeQuarter ? toRatio(entry.alternativeQuarter.percentDecrease) : null
+        };
+        qualifiesFormula = `IF(OR(AND(ISNUMBER(E${r}),E${r}>F${r}),AND(ISNUMBER(G${r}),G${r}>F${r})),"Yes","No")`;
+        testFormula = `IF(H${r}="Yes",IF(AND(ISNUMBER(E${r}),E${r}>F${r}),"${testLabels[QUALIFICATION_TESTS.NORMAL]}","${testLabels[QUALIFICATION_TESTS.ALTERNATIVE_QUARTER]}"),"")`;
       }
       
-      const row = analysisSheet.addRow([
-        `Quarter ${q.toUpperCase().replace('Q', '')}`,
-        revenue2019,
-        revenue2021,
-        change,
-        percentDecrease.toFixed(2) + '%',
-        qualifies
-      ]);
+      // The credit ended after Q3 2021 except for recovery startup businesses
+      const endedQuarter = entry.quarter === 'Q4 2021' && requestedInfo.recovery_startup_business !== 'yes';
       
-      // Add conditional formatting for qualification column
-      if (qualifies === 'Yes') {
-        row.getCell(6).fill = {
-          type: 'pattern',
-          pattern: 'solid',
-          fgColor: { argb: 'FF92D050' } // Green for qualifying
-        };
-      }
+      analysisSheet.addRow([
+        entry.quarter,
+        entry.revenues.revenue2019,
+        entry.revenues.comparisonRevenue,
+        { formula: changeFormula, result: entry.change === null ? '' : entry.change },
+        { formula: percentFormula, result: entry.percentDecrease === null ? '' : toRatio(entry.percentDecrease) },
+        toRatio(entry.threshold),
+        alternativeCell,
+        endedQuarter ? 'No' : { formula: qualifiesFormula, result: entry.qualifies ? 'Yes' : 'No' },
+        endedQuarter ? '' : { formula: testFormula, result: entry.qualificationTest ? testLabels[entry.qualificationTest] : '' },
+        entry.note || ''
+      ]);
+    });
+    const lastQuarterRow = firstQuarterRow + quarterAnalysis.length - 1;
+    
+    const conditionalFill = argb => ({ type: 'pattern', pattern: 'solid', bgColor: { argb } });
+    analysisSheet.addConditionalFormatting({
+      ref: `D${firstQuarterRow}:D${lastQuarterRow}`,
+      rules: [{
+        // Receipts fell compared with 2019
+        type: 'expression',
+        formulae: [`AND(ISNUMBER(D${firstQuarterRow}),D${firstQuarterRow}>0)`],
+        style: { font: { color: { argb: colors.missing } } }
+      }]
+    });
+    analysisSheet.addConditionalFormatting({
+      ref: `E${firstQuarterRow}:E${lastQuarterRow}`,
+      rules: [{
+        // Decrease beyond the year's threshold
+        type: 'expression',
+        formulae: [`AND(ISNUMBER(E${firstQuarterRow}),E${firstQuarterRow}>$F${firstQuarterRow})`],
+        style: { fill: conditionalFill(colors.qualifies) }
+      }]
+    });
+    analysisSheet.addConditionalFormatting({
+      ref: `H${firstQuarterRow}:H${lastQuarterRow}`,
+      rules: [{
+        type: 'expression',
+        formulae: [`$H${firstQuarterRow}="Yes"`],
+        style: { fill: conditionalFill(colors.qualifies) } // Green for qualifying
+      }]
     });
     
     // Apply number formatting
-    analysisSheet.getColumn(2).numFmt = '$#,##0.00';
-    analysisSheet.getColumn(3).numFmt = '$#,##0.00';
-    analysisSheet.getColumn(4).numFmt = '$#,##0.00';
-    
-    // Add summary box
-    const qualifyingQuarters = [];
-    quarters.forEach((q, index) => {
-      const row = analysisSheet.getRow(index + 8); // Starting from row 8 (after headers and intro text)
-      if (row.getCell(6).value === 'Yes') {
-        qualifyingQuarters.push(`Quarter ${q.toUpperCase().replace('Q', '')}`);
-      }
-    });
+    analysisSheet.getColumn(2).numFmt = formats.currency;
+    analysisSheet.getColumn(3).numFmt = formats.currency;
+    analysisSheet.getColumn(4).numFmt = formats.currency;
+    analysisSheet.getColumn(5).numFmt = formats.percent;
+    analysisSheet.getColumn(6).numFmt = formats.threshold;
+    analysisSheet.getColumn(7).numFmt = formats.percent;
     
-    analysisSheet.addRow(['', '', '', '', '', '']); // Empty row
-    analysisSheet.addRow(['Summary:', '', '', '', '', '']);
+    analysisSheet.addRow([]); // Empty row
+    analysisSheet.addRow(['Summary:']);
+    analysisSheet.addRow(['The table recalculates when revenue figures are edited; this summary and the credit estimate do not']);
     
     let summaryRow;
     if (qualifyingQuarters.length > 0) {
       summaryRow = analysisSheet.addRow([
-        `Client qualifies based on revenue reduction for: ${qualifyingQuarters.join(', ')}`,
-        '', '', '', '', ''
+        `Client qualifies based on revenue reduction for: ${qualifyingQuarters.join(', ')}`
       ]);
     } else {
       summaryRow = analysisSheet.addRow([
-        'Client does not qualify based on revenue reduction alone',
-        '', '', '', '', ''
+        'Client does not qualify based on revenue reduction alone'
       ]);
     }
     
@@ -269,65 +459,504 @@ async function generateExcelReport(submissionData, submissionId) {
       summaryRow.getCell(1).fill = {
         type: 'pattern',
         pattern: 'solid',
-        fgColor: { argb: 'FF92D050' } // Green for qualifying
+        fgColor: { argb: colors.qualifies } // Green for qualifying
       };
     }
     
-    // Create quarter analysis data for MongoDB with proper null checking
-    const quarterAnalysis = quarters.map((q, index) => {
-      const row = analysisSheet.getRow(index + 8); // Starting from row 8
-      
-      // Handle null values properly
-      let percentDecreaseValue = 0;
-      const percentDecreaseText = row.getCell(5).value;
+    // Staff overrides replace the computed result for their quarters from here on
+    const qualificationOverrides = submissionData.qualificationOverrides || [];
+    const effectiveQualifyingQuarters = applyQualificationOverrides(qualifyingQuarters, qualificationOverrides);
+    if (qualificationOverrides.length > 0) {
+      analysisSheet.addRow([]);
+      addSectionHeader(analysisSheet, 'Staff Overrides');
+      // Clients download this workbook; who made an override and why stay with staff
+      const overrideHeader = analysisSheet.addRow(['Quarter', 'Computed', 'Override', 'Date']);
+      overrideHeader.font = { bold: true };
+      qualificationOverrides.forEach(override => {
+        const computed = quarterAnalysis.find(entry => entry.quarter === override.quarter);
+        analysisSheet.addRow([
+          override.quarter,
+          computed && computed.qualifies ? 'Qualifies' : 'Does not qualify',
+          override.qualifies ? 'Qualifies' : 'Does not qualify',
+          override.at ? new Date(override.at).toISOString().slice(0, 10) : ''
+        ]);
+      });
+      const effectiveRow = analysisSheet.addRow([
+        `Qualifying quarters used for the credit estimate: ${effectiveQualifyingQuarters.join(', ') || 'None'}`
+      ]);
+      effectiveRow.getCell(1).font = { bold: true };
+    }
+
+    // Credit Estimate Sheet
+    const creditSheet = addSheet('credit');
+    
+    creditSheet.columns = [
+      { header: 'Quarter', key: 'quarter', width: 30 },
+      { header: 'Qualifies', key: 'qualifies', width: 12 },
+      { header: 'Employees', key: 'employeeCount', width: 12 },
+      { header: 'Qualified Wages', key: 'qualifiedWages', width: 20 },
+      { header: 'Health Plan Expenses', key: 'healthPlanExpenses', width: 22 },
+      { header: 'Creditable Wages', key: 'creditableWages', width: 20 },
+      { header: 'Estimated Credit', key: 'credit', width: 20 },
+      { header: 'PPP Wages Excluded', key: 'pppExcluded', width: 20 }
+    ];
+    
+    creditSheet.getRow(1).eachCell(cell => {
+      cell.style = headerStyle;
+    });
+    
+    const { source: wageSource, employeeWages } = resolveEmployeeWages(formData, submissionData.payrollImport);
+    
+    // Wages paid to relatives of majority owners are not qualified wages
+    const eligibilityChecks = runEligibilityChecks(formData);
+    const relatedResult = excludeRelatedIndividuals(employeeWages, eligibilityChecks);
+    const complianceChecks = {
+      ...eligibilityChecks,
+      wagesExcludedFor: relatedResult.removed
+    };
+    
+    // Wages used for PPP forgiveness are removed before estimating the credit
+    const pppAllocation = allocatePppForgiveness(requestedInfo);
+    const pppResult = applyPppExclusion(relatedResult.employeeWages, pppAllocation);
+    const pppExclusion = {
+      loans: pppAllocation.loans,
+      quarters: pppResult.quarters
+    };
+    
+    const creditEstimate = {
+      source: wageSource,
+      ...estimateCredit(pppResult.employeeWages, { qualifyingQuarters: effectiveQualifyingQuarters })
+    };
+    
+    creditSheet.addRow(['Estimated Employee Retention Credit']);
+    creditSheet.getRow(2).getCell(1).font = { bold: true, size: 16 };
+    creditSheet.getRow(2).height = 30;
+    creditSheet.addRow(['2020: 50% of up to $10,000 of qualified wages per employee for the year']);
+    creditSheet.addRow(['2021: 70% of up to $10,000 of qualified wages per employee per quarter']);
+    // Wages arrive as quarter totals, so the March 12 start date cannot be applied here
+    creditSheet.addRow(['Q1 2020: only wages paid after March 12, 2020 qualify; the amounts are used as provided, so they should not include earlier wages']);
+    creditSheet.addRow(['Qualified wages are shown after removing payroll used for PPP forgiveness (see PPP Wage Exclusion)']);
+    creditSheet.addRow(['Wages paid to relatives of majority owners are not included (see Compliance Flags)']);
+    if (qualificationOverrides.length > 0) {
+      creditSheet.addRow(['Qualifying quarters include staff overrides (see Revenue Analysis)']);
+    }
+    creditSheet.addRow([]);
+    
+    if (employeeWages.length === 0) {
+      creditSheet.addRow(['No per-employee wage data was provided; the credit cannot be estimated yet']);
+    } else {
+      creditSheet.addRow([`Wage data source: ${wageSource === 'payroll_import' ? 'Imported payroll file' : 'Form entry'}`]);
+      creditSheet.addRow([]);
       
-      // Safely extract the percentage value
-      if (percentDecreaseText) {
-        // If it's a string with a % symbol
-        if (typeof percentDecreaseText === 'string' && percentDecreaseText.includes('%')) {
-          percentDecreaseValue = parseFloat(percentDecreaseText.replace('%', ''));
-        } 
-        // If it's already a number
-        else if (typeof percentDecreaseText === 'number') {
-          percentDecreaseValue = percentDecreaseText;
-        }
-        // Otherwise try to parse it directly
-        else {
-          try {
-            percentDecreaseValue = parseFloat(percentDecreaseText);
-          } catch (e) {
-            percentDecreaseValue = 0;
-          }
+      creditEstimate.quarters.forEach(entry => {
+        const pppQuarter = pppExclusion.quarters.find(q => q.quarter === entry.quarter);
+        const row = creditSheet.addRow([
+          entry.quarter,
+          entry.qualifies ? 'Yes' : 'No',
+          entry.employeeCount,
+          entry.qualifiedWages,
+          entry.healthPlanExpenses,
+          entry.creditableWages,
+          entry.credit,
+          pppQuarter ? pppQuarter.excludedFromWages : 0
+        ]);
+        if (entry.qualifies) {
+          row.getCell(2).fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: colors.qualifies } // Green for qualifying
+          };
         }
+      });
+      
+      creditSheet.addRow([]);
+      creditSheet.addRow(['2020 Credit', '', '', '', '', '', creditEstimate.credit2020]);
+      creditSheet.addRow(['2021 Credit', '', '', '', '', '', creditEstimate.credit2021]);
+      const totalRow = creditSheet.addRow(['Total Estimated Credit', '', '', '', '', '', creditEstimate.totalCredit]);
+      totalRow.font = { bold: true };
+      
+      // Per-employee breakdown
+      creditSheet.addRow([]);
+      addSectionHeader(creditSheet, 'Per-Employee Breakdown');
+      const employeeHeader = creditSheet.addRow(['Employee', '', '', 'Qualified Wages', '', 'Creditable Wages', 'Estimated Credit']);
+      employeeHeader.font = { bold: true };
+      creditEstimate.employees.forEach(employee => {
+        creditSheet.addRow([
+          employee.employee,
+          '', '',
+          employee.qualifiedWages,
+          '',
+          employee.creditableWages,
+          employee.credit
+        ]);
+      });
+    }
+    
+    [4, 5, 6, 7, 8].forEach(col => {
+      creditSheet.getColumn(col).numFmt = formats.currency;
+    });
+    
+    // Payroll Import Sheet: what was read from wages_by_period registers and what could not be mapped
+    const payrollImport = submissionData.payrollImport;
+    const payrollSheet = addSheet('payroll');
+    
+    payrollSheet.columns = [
+      { header: 'File', key: 'fileName', width: 36 },
+      { header: 'Status', key: 'status', width: 14 },
+      { header: 'Rows Read', key: 'rowsRead', width: 12 },
+      { header: 'Rows Imported', key: 'rowsImported', width: 15 },
+      { header: 'Outside 2020-2021', key: 'rowsSkipped', width: 18 },
+      { header: 'Mapping Errors', key: 'errorCount', width: 16 }
+    ];
+    
+    payrollSheet.getRow(1).eachCell(cell => {
+      cell.style = headerStyle;
+    });
+    
+    if (!payrollImport || payrollImport.files.length === 0) {
+      payrollSheet.addRow(['No XLSX or CSV payroll registers were uploaded; wages come from the form']);
+    } else {
+      payrollImport.files.forEach(file => {
+        payrollSheet.addRow(file);
+      });
+      if (payrollImport.duplicatePayments > 0) {
+        payrollSheet.addRow([]);
+        payrollSheet.addRow([`${payrollImport.duplicatePayments} payment(s) appeared in more than one file and were counted once`]);
       }
       
-      return {
-        quarter: `Quarter ${q.toUpperCase().replace('Q', '')}`,
-        revenues: {
-          revenue2019: parseFloat(grossSales2019[q]) || 0,
-          revenue2021: parseFloat(grossSales2021[q]) || 0
-        },
-        change: parseFloat(grossSales2019[q] || 0) - parseFloat(grossSales2021[q] || 0),
-        percentDecrease: percentDecreaseValue || 0,
-        qualifies: row.getCell(6).value === 'Yes'
-      };
+      const mappingErrors = payrollImport.files.flatMap(file => file.mappingErrors || []);
+      payrollSheet.addRow([]);
+      addSectionHeader(payrollSheet, 'Mapping Errors');
+      if (mappingErrors.length === 0) {
+        payrollSheet.addRow(['Every payroll row was imported']);
+      } else {
+        const errorHeader = payrollSheet.addRow(['File', 'Sheet', 'Row', 'Column', 'Value', 'Problem']);
+        errorHeader.font = { bold: true };
+        mappingErrors.forEach(error => {
+          payrollSheet.addRow([
+            error.fileName,
+            error.sheet || '',
+            error.row || '',
+            error.column || '',
+            error.value || '',
+            error.message
+          ]);
+        });
+      }
+    }
+    
+    // PPP Wage Exclusion Sheet
+    const pppSheet = addSheet('ppp');
+    
+    pppSheet.columns = [
+      { header: 'Loan / Quarter', key: 'label', width: 30 },
+      { header: 'Forgiveness Amount', key: 'forgivenessAmount', width: 22 },
+      { header: 'Non-Payroll Costs', key: 'nonPayrollCosts', width: 20 },
+      { header: 'Forgiven Payroll', key: 'forgivenPayroll', width: 20 },
+      { header: 'Covered Period', key: 'coveredPeriod', width: 28 },
+      { header: 'Days', key: 'days', width: 10 },
+      { header: 'Allocated Payroll', key: 'allocated', width: 20 }
+    ];
+    
+    pppSheet.getRow(1).eachCell(cell => {
+      cell.style = headerStyle;
     });
+    
+    pppSheet.addRow(['PPP Forgiveness Wage Exclusion']);
+    pppSheet.getRow(2).getCell(1).font = { bold: true, size: 16 };
+    pppSheet.getRow(2).height = 30;
+    pppSheet.addRow(['Payroll reported for PPP forgiveness cannot also be claimed as qualified wages']);
+    pppSheet.addRow(['Forgiven payroll = forgiveness amount less non-payroll costs (never less than 60% of the forgiveness amount)']);
+    pppSheet.addRow(['Forgiven payroll is spread across quarters by the number of covered-period days in each']);
+    pppSheet.addRow([]);
+    
+    if (pppExclusion.loans.length === 0) {
+      pppSheet.addRow(['No forgiven PPP loans reported']);
+    } else {
+      addSectionHeader(pppSheet, 'Allocation by Loan');
+      pppExclusion.loans.forEach(loan => {
+        const loanRow = pppSheet.addRow([
+          loan.loan === 'ppp1' ? 'First Draw PPP' : 'Second Draw PPP',
+          loan.forgivenessAmount,
+          loan.nonPayrollCosts,
+          loan.forgivenPayroll,
+          `${loan.coveredPeriodStart} to ${loan.coveredPeriodEnd}${loan.assumedCoveredPeriod ? ' (assumed)' : ''}`
+        ]);
+        loanRow.font = { bold: true };
+        loan.allocations.forEach(allocation => {
+          pppSheet.addRow([`  ${allocation.quarter}`, '', '', '', '', allocation.days, allocation.amount]);
+        });
+      });
+      
+      pppSheet.addRow([]);
+      addSectionHeader(pppSheet, 'Allocation by Quarter');
+      const quarterHeader = pppSheet.addRow(['Quarter', 'Allocated Payroll', 'Reported Wages', 'Excluded From Wages', 'Unabsorbed']);
+      quarterHeader.font = { bold: true };
+      pppExclusion.quarters.forEach(entry => {
+        const row = pppSheet.addRow([
+          entry.quarter,
+          entry.allocated,
+          entry.reportedWages,
+          entry.excludedFromWages,
+          entry.unabsorbed
+        ]);
+        row.getCell(5).numFmt = formats.currency;
+      });
+    }
+    
+    [2, 3, 4, 7].forEach(col => {
+      pppSheet.getColumn(col).numFmt = formats.currency;
+    });
+
+    // Compliance Flags Sheet
+    const complianceSheet = addSheet('compliance');
+    
+    complianceSheet.columns = [
+      { header: 'Severity', key: 'severity', width: 12 },
+      { header: 'Code', key: 'code', width: 36 },
+      { header: 'Finding', key: 'message', width: 90 }
+    ];
+    
+    complianceSheet.getRow(1).eachCell(cell => {
+      cell.style = headerStyle;
+    });
+    
+    const severityColors = {
+      error: colors.error,     // Red
+      warning: colors.warning, // Amber
+      info: colors.info        // Light blue
+    };
+    
+    if (complianceChecks.warnings.length === 0) {
+      complianceSheet.addRow(['', '', 'No compliance issues found']);
+    } else {
+      complianceChecks.warnings.forEach(warning => {
+        const row = complianceSheet.addRow([warning.severity.toUpperCase(), warning.code, warning.message]);
+        row.getCell(1).fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: severityColors[warning.severity] }
+        };
+      });
+    }
+    
+    complianceSheet.addRow([]);
+    addSectionHeader(complianceSheet, 'Ownership');
+    complianceSheet.addRow(['', 'Owners listed', complianceChecks.ownership.ownerCount]);
+    complianceSheet.addRow(['', 'Total ownership', `${complianceChecks.ownership.totalPercentage}%`]);
+    complianceSheet.addRow([
+      '',
+      'Majority owners (>50%)',
+      complianceChecks.ownership.majorityOwners.map(o => `${o.name} (${o.percentage}%)`).join(', ') || 'None'
+    ]);
+    
+    complianceSheet.addRow([]);
+    addSectionHeader(complianceSheet, 'Related Individuals');
+    if (complianceChecks.relatives.length === 0) {
+      complianceSheet.addRow(['', 'Related individuals', 'None reported']);
+    } else {
+      complianceChecks.relatives.forEach(relative => {
+        complianceSheet.addRow([
+          relative.excluded ? 'EXCLUDED' : '',
+          `${relative.name} (${relative.relationship || 'relationship not given'})`,
+          relative.reason
+        ]);
+      });
+    }
+    if (complianceChecks.wagesExcludedFor.length > 0) {
+      complianceSheet.addRow([
+        '',
+        'Removed from credit estimate',
+        complianceChecks.wagesExcludedFor.join(', ')
+      ]);
+    }
 
+    // Form 941 Cross-Check Sheet
+    const form941Extractions = submissionData.form941Extractions || [];
+    const form941Discrepancies = crossCheck941(form941Extractions, formData, submissionData.payrollImport);
+    const form941CrossCheck = {
+      returnsRead: form941Extractions.filter(e => e.status === 'parsed' || e.status === 'partial').length,
+      quartersCovered: [...new Set(form941Extractions.map(e => e.quarter).filter(Boolean))],
+      discrepancies: form941Discrepancies
+    };
+    
+    const form941Sheet = addSheet('form941');
+    
+    form941Sheet.columns = [
+      { header: 'File', key: 'fileName', width: 36 },
+      { header: 'Quarter', key: 'quarter', width: 12 },
+      { header: 'Status', key: 'status', width: 12 },
+      { header: 'Employees (Line 1)', key: 'employeeCount', width: 18 },
+      { header: 'Wages (Line 2)', key: 'wages', width: 18 },
+      { header: 'ERC Already Claimed', key: 'ercClaimed', width: 20 },
+      { header: 'ERC Qualified Wages', key: 'ercQualifiedWages', width: 20 },
+      { header: 'Sick/Family Leave Credit', key: 'sickLeaveCredit', width: 24 }
+    ];
+    
+    form941Sheet.getRow(1).eachCell(cell => {
+      cell.style = headerStyle;
+    });
+    
+    if (form941Extractions.length === 0) {
+      form941Sheet.addRow(['No Form 941 returns were uploaded']);
+    } else {
+      form941Extractions.forEach(extraction => {
+        const credits = extraction.credits || {};
+        const sickLeave = credits.sickLeaveCreditNonrefundable != null || credits.sickLeaveCreditRefundable != null
+          ? (credits.sickLeaveCreditNonrefundable || 0) + (credits.sickLeaveCreditRefundable || 0)
+          : null;
+        form941Sheet.addRow({
+          fileName: extraction.fileName,
+          quarter: extraction.quarter || 'Unknown',
+          status: extraction.status,
+          employeeCount: extraction.employeeCount,
+          wages: extraction.wages,
+          ercClaimed: credits.ercClaimed,
+          ercQualifiedWages: extraction.ercQualifiedWages,
+          sickLeaveCredit: sickLeave
+        });
+      });
+    }
+    
+    [5, 6, 7, 8].forEach(col => {
+      form941Sheet.getColumn(col).numFmt = formats.currency;
+    });
+    
+    form941Sheet.addRow([]);
+    addSectionHeader(form941Sheet, 'Discrepancies');
+    if (form941Discrepancies.length === 0) {
+      form941Sheet.addRow(['', '', '', form941Extractions.length > 0 ? 'The uploaded returns match the form' : '']);
+    } else {
+      const discrepancyHeader = form941Sheet.addRow(['File', 'Quarter', 'Severity', 'Form Value', 'Form 941 Value', 'Difference', 'Finding']);
+      discrepancyHeader.font = { bold: true };
+      form941Discrepancies.forEach(discrepancy => {
+        const row = form941Sheet.addRow([
+          discrepancy.fileName,
+          discrepancy.quarter || '',
+          discrepancy.severity.toUpperCase(),
+          discrepancy.formValue,
+          discrepancy.extractedValue,
+          discrepancy.difference,
+          discrepancy.message
+        ]);
+        row.getCell(3).fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: severityColors[discrepancy.severity] }
+        };
+        // Employee counts are not dollar amounts
+        const valueFormat = discrepancy.field === 'employeeCount' ? formats.count : formats.currency;
+        [4, 5, 6].forEach(col => {
+          row.getCell(col).numFmt = valueFormat;
+        });
+      });
+    }
+
+    // Form 941-X worksheets: one per adjusted return
+    const form941x = build941x(creditEstimate, employeeWages, form941Extractions);
+    
+    // The Line column is narrow, so section titles go in the Description column
+    function add941xSection(sheet, title) {
+      const row = sheet.addRow(['', title]);
+      row.eachCell({ includeEmpty: true }, cell => {
+        cell.style = sectionHeaderStyle;
+      });
+      sheet.addRow([]);
+    }
+    
+    form941x.quarters.forEach(entry => {
+      const worksheet = addSheet('form941x', { quarter: entry.quarter });
+      
+      worksheet.columns = [
+        { header: 'Line', key: 'line', width: 8 },
+        { header: 'Description', key: 'description', width: 60 },
+        { header: 'Column 1: Corrected', key: 'corrected', width: 22 },
+        { header: 'Column 2: Originally Reported', key: 'original', width: 30 },
+        { header: 'Column 3: Difference', key: 'difference', width: 22 },
+        { header: 'Column 4: Tax Correction', key: 'taxCorrection', width: 26 }
+      ];
+      
+      worksheet.getRow(1).eachCell(cell => {
+        cell.style = headerStyle;
+      });
+      
+      worksheet.addRow(['', `Form 941-X for ${entry.quarter}`]);
+      worksheet.getRow(2).getCell(2).font = { bold: true, size: 16 };
+      worksheet.getRow(2).height = 30;
+      worksheet.addRow(['', `Credit claimed: ${entry.includesQuarters.join(', ')}`]);
+      worksheet.addRow(['', entry.originalSource === 'form_941'
+        ? `Column 2 is taken from ${entry.originalFileName}`
+        : 'Column 2 assumes no ERC was claimed on the original return']);
+      worksheet.addRow([]);
+      
+      add941xSection(worksheet, 'Part 3: Employee Retention Credit');
+      entry.lines.forEach(line => {
+        worksheet.addRow(line);
+      });
+      const totalRow = worksheet.addRow({
+        line: '27',
+        description: 'Total (negative amount is an overpayment)',
+        taxCorrection: entry.totalTaxCorrection
+      });
+      totalRow.font = { bold: true };
+      
+      worksheet.addRow([]);
+      add941xSection(worksheet, 'Refundable / Nonrefundable Split');
+      const limit = entry.nonrefundableLimit;
+      [
+        ['Estimated credit for the return', entry.credit],
+        [`Wages used for employer ${limit.tax} tax (${limit.source === 'form_941' ? 'Form 941 line 2' : 'wage data'})`, limit.taxableWages],
+        [`Employer share of ${limit.tax} tax (${(limit.rate * 100).toFixed(2)}%)`, limit.employerShare],
+        ['Less nonrefundable sick and family leave credit', limit.otherNonrefundableCredits],
+        ['Limit on the nonrefundable portion', limit.limit],
+        ['Overpayment', entry.overpayment]
+      ].forEach(([label, value]) => {
+        worksheet.addRow(['', label, value]);
+      });
+      
+      if (entry.notes.length > 0) {
+        worksheet.addRow([]);
+        add941xSection(worksheet, 'Notes');
+        entry.notes.forEach(note => {
+          worksheet.addRow(['', note]);
+        });
+      }
+      
+      [3, 4, 5, 6].forEach(col => {
+        worksheet.getColumn(col).numFmt = formats.currency;
+      });
+    });
+
+    // Apply the template's sheet order and drop the sheets it hides
+    let orderNo = 1;
+    template.sheets.forEach(({ key }) => {
+      (sheetsByKey[key] || []).forEach(sheet => {
+        sheet.orderNo = orderNo++;
+      });
+    });
+    Object.keys(sheetsByKey)
+      .filter(key => !template.sheets.some(sheet => sheet.key === key))
+      .forEach(key => {
+        sheetsByKey[key].forEach(sheet => workbook.removeWorksheet(sheet.id));
+      });
+    
     // Now, instead of saving to disk, we'll store it in MongoDB using GridFS
     // First, write to a buffer instead of a file
     const buffer = await workbook.xlsx.writeBuffer();
     
     // Get GridFS bucket
     const bucket = new GridFSBucket(mongoose.connection.db, {
-      bucketName: 'excelReports'
+      bucketName: EXCEL_BUCKET
     });
     
     // Create a readable stream from the buffer
     const bufferStream = new stream.PassThrough();
     bufferStream.end(buffer);
     
-    // Create a filename
-    const filename = `report_${submissionId}.xlsx`;
+    // Create a filename; every version is kept, so each gets its own name
+    const filename = reportVersion
+      ? `report_${submissionId}_v${reportVersion.version}.xlsx`
+      : `report_${submissionId}.xlsx`;
     
     // Upload the file to GridFS
     return new Promise((resolve, reject) => {
@@ -335,7 +964,9 @@ async function generateExcelReport(submissionData, submissionId) {
         metadata: {
           submissionId,
           contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-          createdAt: new Date()
+          createdAt: new Date(),
+          generatorVersion: REPORT_GENERATOR_VERSION,
+          ...(reportVersion ? { version: reportVersion.version, inputsHash: reportVersion.inputsHash } : {})
         }
       });
       
@@ -358,8 +989,15 @@ async function generateExcelReport(submissionData, submissionId) {
           filename,
           qualificationData: {
             qualifyingQuarters,
-            quarterAnalysis
-          }
+            quarterAnalysis,
+            pppExclusion,
+            complianceChecks
+          },
+          creditEstimate,
+          form941CrossCheck,
+          form941x,
+          templateId: template.templateId,
+          generatorVersion: REPORT_GENERATOR_VERSION
         });
       });
     });
@@ -370,5 +1008,7 @@ async function generateExcelReport(submissionData, submissionId) {
 }
 
 module.exports = {
-  generateExcelReport
+  generateExcelReport,
+  REPORT_GENERATOR_VERSION,
+  EXCEL_BUCKET
 };
\ No newline at end of file
@@ -0,0 +1,251 @@
+// form941-extractor.js
+// Reads the figures we need from uploaded Form 941 PDFs and checks them
+// against what the client typed into the form.
+//
+// Extraction works on the PDF's text layer, so it handles 941s exported by
+// payroll software or the IRS e-file copy. Scanned 941s have no text layer and
+// come back with status 'no_text'; their numbers still have to be keyed in.
+//
+// Extracted per return:
+//   quarter / year          from the "Report for this Quarter" box
+//   employeeCount           line 1
+//   wages                   line 2
+//   credits already claimed lines 11b/11c (nonrefundable) and 13c/13d
+//                           (refundable) sick and family leave credit and ERC,
+//                           plus the ERC qualified wages and health plan
+//                           expenses (lines 21/22, or 30/31 from Q3 2021)
+const pdfParse = require('pdf-parse');
+const { resolveEmployeeWages, roundCurrency } = require('./credit-calculator');
+
+const EXTRACTION_STATUS = {
+  PARSED: 'parsed',
+  PARTIAL: 'partial',
+  NO_TEXT: 'no_text',
+  ERROR: 'error'
+};
+
+// Differences up to this many dollars are treated as rounding
+const WAGE_TOLERANCE = 1;
+
+// Dollar amounts are printed either as '123,456.78' or, in the form's split
+// dollars/cents boxes, as '123456 . 78'
+const AMOUNT = '((?:\\d{1,3},)*\\d+)\\s*\\.\\s*(\\d{2})';
+
+const AMOUNT_LINES = {
+  wages: new RegExp(`Wages, tips, and other compensation[\\s.]*2\\s+${AMOUNT}`, 'i'),
+  sickLeaveCreditNonrefundable: new RegExp(`Nonrefundable portion of credit for qualified sick and family leave wages[\\s\\S]{0,160}?11b\\s+${AMOUNT}`, 'i'),
+  ercNonrefundable: new RegExp(`Nonrefundable portion of employee retention credit[\\s\\S]{0,120}?11c\\s+${AMOUNT}`, 'i'),
+  sickLeaveCreditRefundable: new RegExp(`Refundable portion of credit for qualified sick and family leave wages[\\s\\S]{0,160}?13c\\s+${AMOUNT}`, 'i'),
+  ercRefundable: new RegExp(`Refundable portion of employee retention credit[\\s\\S]{0,120}?13d\\s+${AMOUNT}`, 'i'),
+  ercQualifiedWages: new RegExp(`Qualified wages for the employee retention credit[\\s\\S]{0,80}?(?:21|30)\\s+${AMOUNT}`, 'i'),
+  ercHealthPlanExpenses: new RegExp(`Qualified health plan expenses for the employee retention credit[\\s\\S]{0,80}?(?:22|31)\\s+${AMOUNT}`, 'i')
+};
+
+const EMPLOYEE_COUNT_LINE = /Number of employees who received wages[\s\S]{0,240}?\(Quarter 4\)[\s.]*1\s+([\d,]+)/i;
+const YEAR_LINE = /Report for this Quarter of (20\d{2})/i;
+
+// The checked quarter box: 'X 2: April, May, June'
+const CHECKED_QUARTER = /(?:^|\s)(?:X|x|✓|✔|☒|■)\s*([1-4])\s*:\s*(?:January|April|July|October)/;
+const QUARTER_BY_MONTH = { January: 1, April: 2, July: 3, October: 4 };
+
+function parseAmount(match) {
+  if (!match) return null;
+  return Number(`${match[1].replace(/,/g, '')}.${match[2]}`);
+}
+
+/**
+ * Finds the quarter and year of a return from its text, falling back to the
+ * file name (e.g. '941-Q2-2021.pdf', 'PayrollReport-2ndQtr-2021.pdf')
+ * @param {String} text - Normalized PDF text
+ * @param {String} fileName
+ * @returns {Object} - { quarterNumber, year }
+ */
+function findQuarter(text, fileName) {
+  let quarterNumber = null;
+  let year = null;
+
+  const yearMatch = YEAR_LINE.exec(text);
+  if (yearMatch) year = Number(yearMatch[1]);
+
+  const checked = CHECKED_QUARTER.exec(text);
+  if (checked) quarterNumber = Number(checked[1]);
+
+  if (!quarterNumber || !year) {
+    const name = String(fileName || '');
+    const quarterMatch = /\bq([1-4])\b|([1-4])(?:st|nd|rd|th)?[\s_-]*(?:qtr|quarter)/i.exec(name);
+    const yearInName = /(20(?:20|21))/.exec(name);
+    if (!quarterNumber && quarterMatch) quarterNumber = Number(quarterMatch[1] || quarterMatch[2]);
+    if (!year && yearInName) year = Number(yearInName[1]);
+  }
+
+  return { quarterNumber, year };
+}
+
+/**
+ * Pulls the 941 figures out of the text of a return
+ * @param {String} rawText - Text extracted from the PDF
+ * @param {String} fileName - Used when the text does not show the quarter
+ * @returns {Object} - Extracted figures; missing ones are null
+ */
+function parse941Text(rawText, fileName) {
+  const text = String(rawText || '').replace(/\s+/g, ' ');
+  const { quarterNumber, year } = findQuarter(text, fileName);
+
+  const countMatch = EMPLOYEE_COUNT_LINE.exec(text);
+  const amounts = {};
+  Object.entries(AMOUNT_LINES).forEach(([field, pattern]) => {
+    amounts[field] = parseAmount(pattern.exec(text));
+  });
+
+  const ercClaimed = amounts.ercNonrefundable !== null || amounts.ercRefundable !== null
+    ? roundCurrency((amounts.ercNonrefundable || 0) + (amounts.ercRefundable || 0))
+    : null;
+
+  return {
+    quarter: quarterNumber && year ? `Q${quarterNumber} ${year}` : null,
+    year: year,
+    employeeCount: countMatch ? Number(countMatch[1].replace(/,/g, '')) : null,
+    wages: amounts.wages,
+    credits: {
+      ercNonrefundable: amounts.ercNonrefundable,
+      ercRefundable: amounts.ercRefundable,
+      ercClaimed: ercClaimed,
+      sickLeaveCreditNonrefundable: amounts.sickLeaveCreditNonrefundable,
+      sickLeaveCreditRefundable: amounts.sickLeaveCreditRefundable
+    },
+    ercQualifiedWages: amounts.ercQualifiedWages,
+    ercHealthPlanExpenses: amounts.ercHealthPlanExpenses
+  };
+}
+
+/**
+ * Extracts the 941 figures from a PDF
+ * @param {Buffer} buffer - PDF content
+ * @param {String} fileName
+ * @returns {Promise<Object>} - { status, ...figures, pageCount, extractedAt, error }
+ */
+async function extract941(buffer, fileName) {
+  const extractedAt = new Date();
+  let parsedPdf;
+  try {
+    parsedPdf = await pdfParse(buffer);
+  } catch (error) {
+    return { status: EXTRACTION_STATUS.ERROR, error: error.message, extractedAt };
+  }
+
+  if (!parsedPdf.text || parsedPdf.text.trim().length < 20) {
+    return { status: EXTRACTION_STATUS.NO_TEXT, pageCount: parsedPdf.numpages, extractedAt };
+  }
+
+  const figures = parse941Text(parsedPdf.text, fileName);
+  const complete = figures.quarter && figures.employeeCount !== null && figures.wages !== null;
+  return {
+    status: complete ? EXTRACTION_STATUS.PARSED : EXTRACTION_STATUS.PARTIAL,
+    ...figures,
+    pageCount: parsedPdf.numpages,
+    extractedAt
+  };
+}
+
+/**
+ * Compares extracted 941 figures with the wages entered in the form
+ * @param {Array<Object>} extractions - [{ fileName, ...extract941 result }]
+ * @param {Object} formData - Validated formData
+ * @param {Object} payrollImport - Imported payroll, if any
+ * @returns {Array<Object>} - [{ quarter, field, fileName, formValue, extractedValue, difference, severity, message }]
+ */
+function crossCheck941(extractions, formData = {}, payrollImport = null) {
+  const discrepancies = [];
+  const { source, employeeWages } = resolveEmployeeWages(formData, payrollImport);
+  const sourceLabel = source === 'payroll_import' ? 'imported payroll' : 'the form';
+  const seenQuarters = {};
+
+  (extractions || []).forEach(extraction => {
+    if (extraction.status === EXTRACTION_STATUS.NO_TEXT || extraction.status === EXTRACTION_STATUS.ERROR) {
+      discrepancies.push({
+        quarter: null,
+        field: 'document',
+        fileName: extraction.fileName,
+        severity: 'info',
+        message: extraction.status === EXTRACTION_STATUS.NO_TEXT
+          ? 'Form 941 has no text layer (scanned); figures must be checked by hand'
+          : `Form 941 could not be read: ${extraction.error}`
+      });
+      return;
+    }
+    if (!extraction.quarter) {
+      discrepancies.push({
+        quarter: null,
+        field: 'quarter',
+        fileName: extraction.fileName,
+        severity: 'warning',
+        message: 'Could not tell which quarter this Form 941 is for'
+      });
+      return;
+    }
+
+    const quarter = extraction.quarter;
+    if (seenQuarters[quarter]) {
+      discrepancies.push({
+        quarter,
+        field: 'quarter',
+        fileName: extraction.fileName,
+        severity: 'warning',
+        message: `More than one Form 941 was uploaded for ${quarter} (also ${seenQuarters[quarter]})`
+      });
+    }
+    seenQuarters[quarter] = extraction.fileName;
+
+    if (extraction.credits && extraction.credits.ercClaimed > 0) {
+      discrepancies.push({
+        quarter,
+        field: 'ercClaimed',
+        fileName: extraction.fileName,
+        extractedValue: extraction.credits.ercClaimed,
+        severity: 'warning',
+        message: `The employee retention credit was already claimed on the ${quarter} return`
+      });
+    }
+
+    if (employeeWages.length === 0) return;
+
+    const paid = employeeWages
+      .map(row => row.quarters[quarter])
+      .filter(entry => entry && entry.wages > 0);
+    const formWages = roundCurrency(paid.reduce((sum, entry) => sum + entry.wages, 0));
+
+    if (extraction.wages !== null && Math.abs(extraction.wages - formWages) > WAGE_TOLERANCE) {
+      discrepancies.push({
+        quarter,
+        field: 'wages',
+        fileName: extraction.fileName,
+        formValue: formWages,
+        extractedValue: extraction.wages,
+        difference: roundCurrency(extraction.wages - formWages),
+        severity: 'warning',
+        message: `Form 941 line 2 wages for ${quarter} differ from the wages in ${sourceLabel}`
+      });
+    }
+    if (extraction.employeeCount !== null && extraction.employeeCount !== paid.length) {
+      discrepancies.push({
+        quarter,
+        field: 'employeeCount',
+        fileName: extraction.fileName,
+        formValue: paid.length,
+        extractedValue: extraction.employeeCount,
+        difference: extraction.employeeCount - paid.length,
+        severity: 'info',
+        message: `Form 941 line 1 employee count for ${quarter} differs from the employees paid in ${sourceLabel}`
+      });
+    }
+  });
+
+  return discrepancies;
+}
+
+module.exports = {
+  extract941,
+  parse941Text,
+  crossCheck941,
+  EXTRACTION_STATUS
+};
@@ -0,0 +1,196 @@
+// form941x-builder.js
+// Turns the credit estimate into the Form 941-X figures a preparer enters to
+// claim the employee retention credit, one adjusted return per quarter.
+//
+// For each return the ERC lines are given the way Part 3 of the 941-X asks
+// for them: column 1 (corrected amount), column 2 (amount originally reported,
+// taken from the uploaded Form 941 when one was read), column 3 (difference)
+// and column 4 (tax correction). Credits reduce tax, so their tax correction
+// is the negative of the difference; line 27 totals column 4 and a negative
+// total is the overpayment being claimed.
+//
+// Notes on the figures:
+// - Q1 2020 wages (paid after March 12) are claimed on the Q2 2020 return,
+//   so they are folded into the Q2 2020 worksheet.
+// - The nonrefundable portion is limited to the employer share of social
+//   security tax (6.2%) through Q2 2021 and of Medicare tax (1.45%) for Q3
+//   and Q4 2021, less the nonrefundable sick and family leave credit already
+//   taken. The tax is estimated from Form 941 line 2 wages when available,
+//   otherwise from the wage data, and ignores the social security wage base.
+// - Qualified wages on line 30 exclude health plan expenses, which go on
+//   line 31a; when the wage cap applies, health plan expenses are counted first.
+const { roundCurrency } = require('./credit-calculator');
+
+// Employer share of the tax the nonrefundable portion is limited to
+const NONREFUNDABLE_LIMITS = {
+  'Q2 2020': { tax: 'social security', rate: 0.062 },
+  'Q3 2020': { tax: 'social security', rate: 0.062 },
+  'Q4 2020': { tax: 'social security', rate: 0.062 },
+  'Q1 2021': { tax: 'social security', rate: 0.062 },
+  'Q2 2021': { tax: 'social security', rate: 0.062 },
+  'Q3 2021': { tax: 'Medicare', rate: 0.0145 },
+  'Q4 2021': { tax: 'Medicare', rate: 0.0145 }
+};
+
+// Quarters whose credit is claimed on a later quarter's return
+const CLAIMED_ON = {
+  'Q1 2020': 'Q2 2020'
+};
+
+const FORM_941X_LINES = {
+  NONREFUNDABLE_ERC: { line: '18a', description: 'Nonrefundable portion of employee retention credit', credit: true },
+  REFUNDABLE_ERC: { line: '26a', description: 'Refundable portion of employee retention credit', credit: true },
+  QUALIFIED_WAGES: { line: '30', description: 'Qualified wages for the employee retention credit', credit: false },
+  HEALTH_PLAN_EXPENSES: { line: '31a', description: 'Qualified health plan expenses for the employee retention credit', credit: false }
+};
+
+const ORIGINAL_SOURCES = {
+  FORM_941: 'form_941',
+  NOT_PROVIDED: 'not_provided'
+};
+
+/**
+ * Builds one 941-X line with its four columns
+ * @param {Object} definition - Entry of FORM_941X_LINES
+ * @param {Number} corrected - Column 1
+ * @param {Number} original - Column 2
+ * @returns {Object} - { line, description, corrected, original, difference, taxCorrection }
+ */
+function buildLine(definition, corrected, original) {
+  const difference = roundCurrency(corrected - original);
+  return {
+    line: definition.line,
+    description: definition.description,
+    corrected: roundCurrency(corrected),
+    original: roundCurrency(original),
+    difference,
+    // Informational lines have no tax correction
+    taxCorrection: definition.credit ? roundCurrency(-difference) : null
+  };
+}
+
+/**
+ * Finds the readable Form 941 uploaded for a return quarter
+ * @param {Array<Object>} extractions - [{ fileName, status, quarter, ... }]
+ * @param {String} quarter - e.g. 'Q2 2021'
+ * @returns {Object|null}
+ */
+function findReturn(extractions, quarter) {
+  return (extractions || []).find(extraction => extraction.quarter === quarter
+    && (extraction.status === 'parsed' || extraction.status === 'partial')) || null;
+}
+
+/**
+ * Builds the Form 941-X worksheet data for every qualifying quarter
+ * @param {Object} creditEstimate - Output of estimateCredit
+ * @param {Array<Object>} employeeWages - All wages paid, before exclusions, from resolveEmployeeWages
+ * @param {Array<Object>} form941Extractions - Figures read from uploaded Forms 941
+ * @returns {Object} - { generatedAt, totalOverpayment, quarters: [...] }
+ */
+function build941x(creditEstimate, employeeWages, form941Extractions) {
+  // Group the credit quarters by the return they are claimed on
+  const returns = {};
+  ((creditEstimate && creditEstimate.quarters) || [])
+    .filter(entry => entry.qualifies && entry.credit > 0)
+    .forEach(entry => {
+      const returnQuarter = CLAIMED_ON[entry.quarter] || entry.quarter;
+      if (!returns[returnQuarter]) returns[returnQuarter] = [];
+      returns[returnQuarter].push(entry);
+    });
+
+  const quarters = Object.keys(NONREFUNDABLE_LIMITS)
+    .filter(quarter => returns[quarter])
+    .map(quarter => {
+      const entries = returns[quarter];
+      const notes = [];
+      const sum = field => entries.reduce((total, entry) => total + (entry[field] || 0), 0);
+
+      const credit = roundCurrency(sum('credit'));
+      const creditableWages = sum('creditableWages');
+      const healthPlanExpenses = Math.min(sum('healthPlanExpenses'), creditableWages);
+      const qualifiedWages = creditableWages - healthPlanExpenses;
+      const includesQuarters = entries.map(entry => entry.quarter);
+      if (includesQuarters.length > 1) {
+        notes.push(`Includes wages from ${includesQuarters.join(' and ')}`);
+      }
+
+      // Employer tax the nonrefundable portion is limited to
+      const limit = NONREFUNDABLE_LIMITS[quarter];
+      const filed = findReturn(form941Extractions, quarter);
+      const filedCredits = (filed && filed.credits) || {};
+      let taxableWages;
+      let taxBaseSource;
+      if (filed && filed.wages != null) {
+        taxableWages = filed.wages;
+        taxBaseSource = ORIGINAL_SOURCES.FORM_941;
+      } else {
+        taxableWages = (employeeWages || []).reduce((total, row) => {
+          const amounts = row.quarters && row.quarters[quarter];
+          return total + ((amounts && amounts.wages) || 0);
+        }, 0);
+        taxBaseSource = 'wage_data';
+        notes.push(`Employer ${limit.tax} tax is estimated from the wage data; check it against Form 941 line 5a/5c`);
+      }
+      const employerShare = roundCurrency(taxableWages * limit.rate);
+      const otherNonrefundableCredits = filedCredits.sickLeaveCreditNonrefundable || 0;
+      const nonrefundableLimit = Math.max(0, roundCurrency(employerShare - otherNonrefundableCredits));
+      const nonrefundable = Math.min(credit, nonrefundableLimit);
+      const refundable = roundCurrency(credit - nonrefundable);
+
+      const originalSource = filed ? ORIGINAL_SOURCES.FORM_941 : ORIGINAL_SOURCES.NOT_PROVIDED;
+      if (!filed) {
+        notes.push('No readable Form 941 was uploaded for this quarter; column 2 assumes no ERC was originally claimed');
+      }
+
+      const lines = [
+        buildLine(FORM_941X_LINES.NONREFUNDABLE_ERC, nonrefundable, filedCredits.ercNonrefundable || 0),
+        buildLine(FORM_941X_LINES.REFUNDABLE_ERC, refundable, filedCredits.ercRefundable || 0),
+        buildLine(FORM_941X_LINES.QUALIFIED_WAGES, qualifiedWages, (filed && filed.ercQualifiedWages) || 0),
+        buildLine(FORM_941X_LINES.HEALTH_PLAN_EXPENSES, healthPlanExpenses, (filed && filed.ercHealthPlanExpenses) || 0)
+      ];
+
+      // Line 27: total of column 4; negative means an overpayment
+      const totalTaxCorrection = roundCurrency(lines
+        .filter(line => line.taxCorrection !== null)
+        .reduce((total, line) => total + line.taxCorrection, 0));
+      const overpayment = totalTaxCorrection < 0 ? roundCurrency(-totalTaxCorrection) : 0;
+      if (totalTaxCorrection > 0) {
+        notes.push('More ERC was claimed on the original return than the estimate supports; this would be an underreported tax');
+      }
+
+      return {
+        quarter,
+        includesQuarters,
+        employeeCount: Math.max(...entries.map(entry => entry.employeeCount || 0)),
+        credit,
+        nonrefundableLimit: {
+          tax: limit.tax,
+          rate: limit.rate,
+          taxableWages: roundCurrency(taxableWages),
+          source: taxBaseSource,
+          employerShare,
+          otherNonrefundableCredits: roundCurrency(otherNonrefundableCredits),
+          limit: nonrefundableLimit
+        },
+        originalSource,
+        originalFileName: filed ? filed.fileName : null,
+        lines,
+        totalTaxCorrection,
+        overpayment,
+        notes
+      };
+    });
+
+  return {
+    generatedAt: new Date(),
+    totalOverpayment: roundCurrency(quarters.reduce((total, entry) => total + entry.overpayment, 0)),
+    quarters
+  };
+}
+
+module.exports = {
+  build941x,
+  NONREFUNDABLE_LIMITS,
+  FORM_941X_LINES,
+  ORIGINAL_SOURCES
+};
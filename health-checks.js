@@ -0,0 +1,199 @@
+// health-checks.js
+// Liveness and readiness checks against the service's real dependencies.
+//
+// Readiness asks whether a webhook sent now would be accepted and kept:
+//   - 'ok'          every dependency is healthy
+//   - 'degraded'    MongoDB or GridFS is down; submissions are still accepted
+//                   into the local spool and replayed later
+//   - 'unavailable' uploads cannot be written to local disk (not writable or
+//                   below UPLOADS_MIN_FREE_MB), so submissions would be lost
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const mongoose = require('mongoose');
+const { GridFSBucket } = require('mongodb');
+const { Submission, isConnected } = require('./db-connection');
+const { getQueueStats } = require('./job-queue');
+const { getSpoolBacklog } = require('./offline-spool');
+
+const uploadsDir = path.join(__dirname, 'uploads');
+
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 5000;
+// Below this much free disk, readiness is 'unavailable' and a deploy's health
+// check (railway.toml) fails; raise it where large uploads are expected
+const UPLOADS_MIN_FREE_MB = parseInt(process.env.UPLOADS_MIN_FREE_MB, 10) || 100;
+
+// The GridFS probe writes to a bucket of its own, never to a bucket holding reports
+const HEALTH_CHECK_BUCKET = 'healthChecks';
+
+// Writing to GridFS on every probe would churn the buckets, so the result is reused for a while
+const GRIDFS_CHECK_INTERVAL_MS = parseInt(process.env.HEALTH_GRIDFS_CHECK_INTERVAL_MS, 10) || 60000;
+
+const STATUS = {
+  OK: 'ok',
+  DEGRADED: 'degraded',
+  UNAVAILABLE: 'unavailable'
+};
+
+const startedAt = new Date();
+let lastGridFSCheck = null;
+
+/**
+ * Rejects if a check does not finish in time
+ * @param {Promise} promise
+ * @param {String} name - Check name for the error message
+ * @returns {Promise}
+ */
+function withTimeout(promise, name) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} check timed out after ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs one check and times it
+ * @param {String} name
+ * @param {Function} fn - async () => details; throws when unhealthy
+ * @returns {Promise<Object>} - { healthy, latencyMs, ...details } or { healthy: false, error }
+ */
+async function runCheck(name, fn) {
+  const started = Date.now();
+  try {
+    const details = await withTimeout(fn(), name);
+    return { healthy: true, latencyMs: Date.now() - started, ...details };
+  } catch (error) {
+    return { healthy: false, latencyMs: Date.now() - started, error: error.message };
+  }
+}
+
+// Round trip to the MongoDB server
+async function checkMongo() {
+  if (!isConnected()) {
+    throw new Error('Not connected to MongoDB');
+  }
+  await mongoose.connection.db.admin().ping();
+  return {};
+}
+
+// Write and delete a small file in the health check bucket
+async function writeGridFSProbe() {
+  const bucket = new GridFSBucket(mongoose.connection.db, { bucketName: HEALTH_CHECK_BUCKET });
+  const uploadStream = bucket.openUploadStream(`healthcheck-${os.hostname()}-${process.pid}`, {
+    metadata: { healthcheck: true }
+  });
+  await new Promise((resolve, reject) => {
+    uploadStream.on('error', reject);
+    uploadStream.on('finish', resolve);
+    uploadStream.end(Buffer.from('ok'));
+  });
+  await bucket.delete(uploadStream.id);
+}
+
+async function checkGridFS() {
+  if (!isConnected()) {
+    throw new Error('Not connected to MongoDB');
+  }
+  const now = Date.now();
+  if (!lastGridFSCheck || now - lastGridFSCheck.at >= GRIDFS_CHECK_INTERVAL_MS) {
+    try {
+      await writeGridFSProbe();
+      lastGridFSCheck = { at: now, error: null };
+    } catch (error) {
+      lastGridFSCheck = { at: now, error: error.message };
+    }
+  }
+  if (lastGridFSCheck.error) {
+    throw new Error(lastGridFSCheck.error);
+  }
+  return { checkedAt: new Date(lastGridFSCheck.at) };
+}
+
+// uploads/ must be writable and have room for incoming files
+async function checkDisk() {
+  await fs.promises.access(uploadsDir, fs.constants.W_OK);
+  if (!fs.promises.statfs) {
+    // statfs needs Node 18.15+; only writability can be checked on older versions
+    return { writable: true, freeMb: null, minFreeMb: UPLOADS_MIN_FREE_MB };
+  }
+  const stats = await fs.promises.statfs(uploadsDir);
+  const freeMb = Math.floor((stats.bavail * stats.bsize) / (1024 * 1024));
+  if (freeMb < UPLOADS_MIN_FREE_MB) {
+    throw new Error(`Only ${freeMb}MB free for uploads (minimum ${UPLOADS_MIN_FREE_MB}MB)`);
+  }
+  return { writable: true, freeMb, minFreeMb: UPLOADS_MIN_FREE_MB };
+}
+
+// Jobs waiting in MongoDB and submissions waiting in the local spool
+async function checkQueue() {
+  const spooled = getSpoolBacklog();
+  if (!isConnected()) {
+    return { spooled, jobs: null };
+  }
+  return { spooled, jobs: await getQueueStats() };
+}
+
+async function getLastReportGeneratedAt() {
+  if (!isConnected()) return null;
+  const latest = await Submission.findOne({ 'report.generated': true })
+    .sort({ 'report.generatedAt': -1 })
+    .select('report.generatedAt');
+  return latest?.report?.generatedAt || null;
+}
+
+/**
+ * Liveness: the process is up and serving requests. Never checks dependencies,
+ * so a MongoDB outage does not get the container restarted.
+ * @returns {Object}
+ */
+function checkLiveness() {
+  return {
+    status: STATUS.OK,
+    startedAt: startedAt,
+    uptimeSeconds: Math.round(process.uptime()),
+    timestamp: new Date()
+  };
+}
+
+/**
+ * Readiness: whether submissions can be accepted and processed right now
+ * @returns {Promise<Object>} - { status, ready, checks, lastReportGeneratedAt, timestamp }
+ */
+async function checkReadiness() {
+  const [mongo, gridFS, disk, queue] = await Promise.all([
+    runCheck('mongo', checkMongo),
+    runCheck('gridfs', checkGridFS),
+    runCheck('disk', checkDisk),
+    runCheck('queue', checkQueue)
+  ]);
+
+  let lastReportGeneratedAt = null;
+  try {
+    lastReportGeneratedAt = await withTimeout(getLastReportGeneratedAt(), 'lastReport');
+  } catch (error) {
+    console.error('Error reading last report time:', error.message);
+  }
+
+  let status = STATUS.OK;
+  if (!disk.healthy) {
+    status = STATUS.UNAVAILABLE;
+  } else if (!mongo.healthy || !gridFS.healthy || !queue.healthy) {
+    status = STATUS.DEGRADED;
+  }
+
+  return {
+    status,
+    ready: status !== STATUS.UNAVAILABLE,
+    checks: { mongo, gridFS, disk, queue },
+    lastReportGeneratedAt,
+    timestamp: new Date()
+  };
+}
+
+module.exports = {
+  checkLiveness,
+  checkReadiness,
+  STATUS
+};
@@ -0,0 +1,220 @@
+// job-queue.js
+// MongoDB-backed job queue. Jobs are claimed atomically by a polling worker,
+// retried with exponential backoff when their handler throws, and moved to the
+// 'dead_letter' state once they run out of attempts.
+require('dotenv').config();
+const os = require('os');
+const { ProcessingJob, isConnected } = require('./db-connection');
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+const BACKOFF_BASE_MS = parseInt(process.env.JOB_BACKOFF_BASE_MS, 10) || 5000;
+const BACKOFF_MAX_MS = 15 * 60 * 1000;
+
+// A job locked for longer than this is assumed to belong to a crashed worker
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}-${process.pid}`;
+
+// Job handlers by job type
+const handlers = {};
+
+let pollTimer = null;
+let running = false;
+
+/**
+ * Registers the function that processes jobs of a type
+ * @param {String} type - Job type
+ * @param {Function} handler - async (job, { reportProgress }) => result
+ */
+function registerJobHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+/**
+ * Adds a job to the queue
+ * @param {String} type - Job type
+ * @param {Object} options - { submissionId, payload, maxAttempts }
+ * @returns {Promise<Object>} - The created job document
+ */
+async function enqueueJob(type, { submissionId, payload, maxAttempts } = {}) {
+  const job = await ProcessingJob.create({
+    type,
+    submissionId,
+    payload,
+    maxAttempts,
+    status: 'queued',
+    nextRunAt: new Date()
+  });
+  console.log(`Queued ${type} job ${job._id} for submission ${submissionId}`);
+  return job;
+}
+
+/**
+ * Delay before the next attempt: base * 2^(attempt - 1), capped
+ * @param {Number} attempt - Attempt that just failed (1-based)
+ * @returns {Number} - Milliseconds
+ */
+function backoffDelay(attempt) {
+  return Math.min(BACKOFF_BASE_MS * Math.pow(2, attempt - 1), BACKOFF_MAX_MS);
+}
+
+/**
+ * Atomically claims the next runnable job. Stale jobs are reclaimed whatever
+ * their attempt count; runJob dead-letters those with no attempts left.
+ * @returns {Promise<Object|null>}
+ */
+async function claimNextJob() {
+  const now = new Date();
+  return ProcessingJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: { $in: ['queued', 'retrying'] }, nextRunAt: { $lte: now } },
+        { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'processing', lockedAt: now, lockedBy: WORKER_ID },
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextRunAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Runs one job and records its outcome
+ * @param {Object} job - Claimed job document
+ */
+async function runJob(job) {
+  const handler = handlers[job.type];
+
+  const reportProgress = async (step, percent) => {
+    await ProcessingJob.updateOne(
+      { _id: job._id },
+      { $set: { progress: { step, percent, updatedAt: new Date() } } }
+    );
+  };
+
+  try {
+    if (!handler) {
+      const error = new Error(`No handler registered for job type ${job.type}`);
+      error.permanent = true;
+      throw error;
+    }
+    // A stale job reclaimed after its worker died on the last attempt is not run again
+    if (job.attempts > job.maxAttempts) {
+      const error = new Error(`Worker stopped during the last of ${job.maxAttempts} attempts`);
+      error.permanent = true;
+      throw error;
+    }
+
+    console.log(`Running ${job.type} job ${job._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+    await handler(job, { reportProgress });
+
+    await ProcessingJob.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: 'completed',
+          completedAt: new Date(),
+          progress: { step: 'completed', percent: 100, updatedAt: new Date() }
+        },
+        $unset: { lockedAt: 1, lockedBy: 1 }
+      }
+    );
+    console.log(`Job ${job._id} completed`);
+  } catch (error) {
+    // Permanent errors (e.g. the submission no longer exists) are not retried
+    const exhausted = error.permanent || job.attempts >= job.maxAttempts;
+    const status = exhausted ? 'dead_letter' : 'retrying';
+    const nextRunAt = new Date(Date.now() + backoffDelay(job.attempts));
+
+    console.error(`Job ${job._id} failed on attempt ${job.attempts}: ${error.message}`);
+    if (exhausted) {
+      console.error(`Job ${job._id} moved to dead letter`);
+    }
+
+    await ProcessingJob.updateOne(
+      { _id: job._id },
+      {
+        $set: { status, nextRunAt, lastError: error.message },
+        $unset: { lockedAt: 1, lockedBy: 1 },
+        $push: { failures: { attempt: job.attempts, message: error.message, at: new Date() } }
+      }
+    );
+
+    if (exhausted && handler && handler.onDeadLetter) {
+      try {
+        await handler.onDeadLetter(job, error);
+      } catch (hookError) {
+        console.error(`Error in dead letter hook for job ${job._id}:`, hookError);
+      }
+    }
+  }
+}
+
+// Process jobs until the queue is empty, then wait for the next poll
+async function poll() {
+  if (running || !isConnected()) return;
+  running = true;
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('Error polling job queue:', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Starts the polling worker in this process
+ */
+function startWorker() {
+  if (pollTimer) return;
+  console.log(`Job worker ${WORKER_ID} polling every ${POLL_INTERVAL_MS}ms`);
+  pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+  poll();
+}
+
+/**
+ * Stops the polling worker
+ */
+function stopWorker() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+/**
+ * Wakes the worker so a newly queued job starts without waiting for the next poll
+ */
+function notifyWorker() {
+  if (pollTimer) {
+    setImmediate(poll);
+  }
+}
+
+/**
+ * Number of jobs waiting or running, and dead-lettered jobs
+ * @returns {Promise<Object>} - { pending, processing, deadLetter }
+ */
+async function getQueueStats() {
+  const [pending, processing, deadLetter] = await Promise.all([
+    ProcessingJob.countDocuments({ status: { $in: ['queued', 'retrying'] } }),
+    ProcessingJob.countDocuments({ status: 'processing' }),
+    ProcessingJob.countDocuments({ status: 'dead_letter' })
+  ]);
+  return { pending, processing, deadLetter };
+}
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  startWorker,
+  stopWorker,
+  notifyWorker,
+  getQueueStats
+};
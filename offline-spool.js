@@ -0,0 +1,272 @@
+// offline-spool.js
+// Durable local spool for submissions received while MongoDB is unreachable.
+// The submission document is written to submissions/spool/<submissionId>.json
+// (its files are already in uploads/<submissionId>/), and a reconciler replays
+// each spooled submission into MongoDB once the connection is back. Replay is
+// safe to repeat: the insert is an upsert on submissionId and a processing job
+// is only queued if the submission does not already have one, so a crash
+// part-way through never stores or processes a submission twice.
+//
+// The webhook's audit entry is written when the submission is replayed, from
+// the receipt details kept in the spool file.
+//
+// The reconciler also re-queues submissions that were stored as 'queued' but
+// never got a processing job (the webhook stored the submission, then failed
+// to queue its job).
+const fs = require('fs');
+const path = require('path');
+const { Submission, ProcessingJob, dbEvents, isConnected } = require('./db-connection');
+const { enqueueJob, notifyWorker } = require('./job-queue');
+const { PROCESS_SUBMISSION_JOB } = require('./submission-processor');
+const { emitSubmissionEvent, CALLBACK_EVENTS } = require('./status-callbacks');
+const { recordAuditEvent, AUDIT_ACTIONS, WEBHOOK_ACTOR } = require('./audit-log');
+
+const submissionsDir = path.join(__dirname, 'submissions');
+const spoolDir = path.join(submissionsDir, 'spool');
+const uploadsDir = path.join(__dirname, 'uploads');
+
+const RECONCILE_INTERVAL_MS = parseInt(process.env.SPOOL_RECONCILE_INTERVAL_MS, 10) || 30000;
+
+// A queued submission this old with no processing job is assumed to have lost it
+const ORPHAN_GRACE_MS = 2 * 60 * 1000;
+const ORPHAN_BATCH_SIZE = 100;
+
+if (!fs.existsSync(spoolDir)) {
+  fs.mkdirSync(spoolDir, { recursive: true });
+}
+
+let reconcileTimer = null;
+let reconciling = false;
+
+/**
+ * Writes a submission to the spool. The file is written under a temporary name
+ * and renamed, so a crash never leaves a half-written spool entry.
+ * @param {Object} doc - Submission fields (submissionId, originalData, receivedFiles, ...)
+ * @param {Object} receipt - Audit details of the webhook, from webhookReceiptDetails
+ * @returns {String} - Path of the spool file
+ */
+function spoolSubmission(doc, receipt) {
+  const spoolFile = path.join(spoolDir, `${doc.submissionId}.json`);
+  const tempFile = `${spoolFile}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify({ ...doc, receipt, spooledAt: new Date().toISOString() }, null, 2));
+  fs.renameSync(tempFile, spoolFile);
+  console.log(`MongoDB unavailable; submission ${doc.submissionId} spooled to ${spoolFile}`);
+  return spoolFile;
+}
+
+/**
+ * Lists the spool files waiting to be replayed, oldest first
+ * @returns {Array<String>} - File paths
+ */
+function listSpoolFiles() {
+  return fs.readdirSync(spoolDir)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => path.join(spoolDir, name));
+}
+
+/**
+ * Number of submissions waiting in the spool
+ * @returns {Number}
+ */
+function getSpoolBacklog() {
+  return listSpoolFiles().length;
+}
+
+/**
+ * Reads one spooled submission
+ * @param {String} submissionId
+ * @returns {Object|null}
+ */
+function readSpooledSubmission(submissionId) {
+  const spoolFile = path.join(spoolDir, `${path.basename(submissionId)}.json`);
+  if (!fs.existsSync(spoolFile)) return null;
+  return JSON.parse(fs.readFileSync(spoolFile, 'utf8'));
+}
+
+/**
+ * Finds a spooled submission with the given idempotency key
+ * @param {String} idempotencyKey
+ * @returns {Object|null}
+ */
+function findSpooledByIdempotencyKey(idempotencyKey) {
+  for (const spoolFile of listSpoolFiles()) {
+    try {
+      const doc = JSON.parse(fs.readFileSync(spoolFile, 'utf8'));
+      if (doc.idempotencyKey === idempotencyKey) return doc;
+    } catch (error) {
+      console.error(`Error reading spool file ${spoolFile}:`, error.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * Removes what was kept locally for a submission that turned out to duplicate
+ * one already stored: its upload folder and its submission JSON file
+ * @param {String} submissionId
+ */
+function discardDuplicateSubmission(submissionId) {
+  for (const target of [
+    path.join(uploadsDir, submissionId),
+    path.join(submissionsDir, `submission_${submissionId}.json`)
+  ]) {
+    try {
+      fs.rmSync(target, { recursive: true, force: true });
+    } catch (error) {
+      console.error(`Error removing ${target}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Replays one spooled submission into MongoDB and queues its processing
+ * @param {String} spoolFile
+ */
+async function replaySpoolFile(spoolFile) {
+  const doc = JSON.parse(fs.readFileSync(spoolFile, 'utf8'));
+  const { spooledAt, receipt, ...fields } = doc;
+
+  try {
+    await Submission.updateOne(
+      { submissionId: fields.submissionId },
+      {
+        $setOnInsert: {
+          ...fields,
+          receivedAt: new Date(fields.receivedAt),
+          processingStatus: 'queued',
+          gridFSFiles: [],
+          report: { generated: false }
+        }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // The same retried webhook was stored by another path while we were offline
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.idempotencyKey) {
+      console.log(`Spooled submission ${fields.submissionId} duplicates ${fields.idempotencyKey}; discarding`);
+      discardDuplicateSubmission(fields.submissionId);
+      fs.unlinkSync(spoolFile);
+      return;
+    }
+    throw error;
+  }
+
+  const existingJob = await ProcessingJob.exists({
+    submissionId: fields.submissionId,
+    type: PROCESS_SUBMISSION_JOB
+  });
+  if (!existingJob) {
+    try {
+      await recordAuditEvent({
+        submissionId: fields.submissionId,
+        action: AUDIT_ACTIONS.WEBHOOK_RECEIVED,
+        actor: WEBHOOK_ACTOR,
+        ip: fields.receivedFromIp,
+        details: { ...receipt, spooled: true, spooledAt }
+      });
+    } catch (error) {
+      console.error(`Error recording audit entry for submission ${fields.submissionId}:`, error.message);
+    }
+    await enqueueJob(PROCESS_SUBMISSION_JOB, { submissionId: fields.submissionId });
+    await emitSubmissionEvent(CALLBACK_EVENTS.SUBMISSION_RECEIVED, fields);
+  }
+
+  fs.unlinkSync(spoolFile);
+  console.log(`Replayed spooled submission ${fields.submissionId} (spooled at ${spooledAt})`);
+}
+
+/**
+ * Queues processing for stored submissions still 'queued' with no processing job
+ * @returns {Promise<Number>} - Number of submissions re-queued
+ */
+async function requeueOrphanedSubmissions() {
+  const candidates = await Submission.find({
+    processingStatus: 'queued',
+    receivedAt: { $lt: new Date(Date.now() - ORPHAN_GRACE_MS) }
+  })
+    .select('submissionId callbackUrl')
+    .limit(ORPHAN_BATCH_SIZE)
+    .lean();
+
+  let requeued = 0;
+  for (const submission of candidates) {
+    const existingJob = await ProcessingJob.exists({
+      submissionId: submission.submissionId,
+      type: PROCESS_SUBMISSION_JOB
+    });
+    if (existingJob) continue;
+    await enqueueJob(PROCESS_SUBMISSION_JOB, { submissionId: submission.submissionId });
+    await emitSubmissionEvent(CALLBACK_EVENTS.SUBMISSION_RECEIVED, submission);
+    console.log(`Re-queued submission ${submission.submissionId}, which had no processing job`);
+    requeued++;
+  }
+  return requeued;
+}
+
+/**
+ * Replays every spooled submission, stopping at the first database error, then
+ * re-queues orphaned submissions
+ * @returns {Promise<Number>} - Number of submissions replayed
+ */
+async function replaySpool() {
+  if (reconciling || !isConnected()) return 0;
+  reconciling = true;
+  let replayed = 0;
+  try {
+    for (const spoolFile of listSpoolFiles()) {
+      try {
+        await replaySpoolFile(spoolFile);
+        replayed++;
+      } catch (error) {
+        if (error instanceof SyntaxError) {
+          // A corrupt spool file would block the backlog forever; set it aside
+          fs.renameSync(spoolFile, `${spoolFile}.corrupt`);
+          console.error(`Spool file ${spoolFile} is corrupt and was set aside:`, error.message);
+          continue;
+        }
+        console.error(`Error replaying spool file ${spoolFile}:`, error.message);
+        break;
+      }
+    }
+    let requeued = 0;
+    try {
+      requeued = await requeueOrphanedSubmissions();
+    } catch (error) {
+      console.error('Error re-queueing orphaned submissions:', error.message);
+    }
+    if (replayed > 0 || requeued > 0) {
+      notifyWorker();
+    }
+  } finally {
+    reconciling = false;
+  }
+  return replayed;
+}
+
+/**
+ * Starts the background reconciler: runs on every (re)connection and periodically
+ */
+function startReconciler() {
+  if (reconcileTimer) return;
+  dbEvents.on('connected', () => {
+    replaySpool().catch(error => console.error('Error replaying spool:', error));
+  });
+  reconcileTimer = setInterval(() => {
+    replaySpool().catch(error => console.error('Error replaying spool:', error));
+  }, RECONCILE_INTERVAL_MS);
+  const backlog = getSpoolBacklog();
+  if (backlog > 0) {
+    console.log(`${backlog} spooled submission(s) waiting for MongoDB`);
+  }
+}
+
+module.exports = {
+  spoolSubmission,
+  replaySpool,
+  discardDuplicateSubmission,
+  startReconciler,
+  getSpoolBacklog,
+  readSpooledSubmission,
+  findSpooledByIdempotencyKey
+};
@@ -0,0 +1,334 @@
+// payload-schema.js
+// Versioned schema for incoming webhook payloads. Validation coerces the
+// form's string values into numbers and 'yes'/'no' answers, and collects a
+// field-level error for anything that cannot be coerced.
+
+const SCHEMA_VERSION = '1.0';
+const SUPPORTED_SCHEMA_VERSIONS = ['1.0'];
+
+const QUARTER_KEY_PATTERN = /^q[1-4]_20(20|21)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const YES_VALUES = ['yes', 'y', 'true', '1', 'on'];
+const NO_VALUES = ['no', 'n', 'false', '0', 'off'];
+const NOT_SURE_VALUES = ['not_sure', 'not sure', 'unsure'];
+
+// Field type helpers -------------------------------------------------------
+
+const string = () => ({ type: 'string' });
+const number = (options = {}) => ({ type: 'number', ...options });
+const yesNo = (options = {}) => ({ type: 'yesNo', ...options });
+const date = () => ({ type: 'date' });
+const email = () => ({ type: 'email' });
+const url = () => ({ type: 'url' });
+const quarterList = () => ({ type: 'quarterList' });
+const object = (fields, options = {}) => ({ type: 'object', fields, ...options });
+const arrayOf = (items) => ({ type: 'array', items });
+const mapOf = (values) => ({ type: 'map', values });
+
+const quarterlyAmounts = () => object({
+  q1: number({ min: 0 }),
+  q2: number({ min: 0 }),
+  q3: number({ min: 0 }),
+  q4: number({ min: 0 })
+});
+
+const quarterKeyedAmounts = () => ({ type: 'quarterMap', values: number({ min: 0 }) });
+
+const pppFields = loan => ({
+  [`${loan}_obtained`]: yesNo(),
+  [`${loan}_forgiveness_amount`]: number({ min: 0 }),
+  [`${loan}_nonpayroll_costs`]: number({ min: 0 }),
+  [`${loan}_covered_period_start`]: date(),
+  [`${loan}_covered_period_end`]: date()
+});
+
+const uploadedFile = object({
+  name: string(),
+  path: string(),
+  size: number({ min: 0 }),
+  mimetype: string()
+});
+
+// formData schema, version 1.0
+const FORM_DATA_SCHEMA = object({
+  userEmail: email(),
+  qualifyingQuestions: object({
+    government_shutdowns: quarterList(),
+    shutdown_standards: string(),
+    meetings_inability: quarterList(),
+    supply_chain_disruption: quarterList(),
+    supplier_delays: quarterList(),
+    revenue_reduction: yesNo({ allowNotSure: true }),
+    other_businesses: yesNo()
+  }),
+  businessChallenges: object({
+    full_shutdowns: yesNo(),
+    partial_shutdowns: yesNo(),
+    interrupted_operations: yesNo(),
+    supply_chain_interruptions: yesNo(),
+    inability_access_equipment: yesNo(),
+    limited_capacity: yesNo(),
+    inability_work_vendors: yesNo(),
+    reduction_services: yesNo(),
+    cut_hours: yesNo(),
+    shift_hours_sanitation: yesNo(),
+    employee_challenges: yesNo(),
+    other_challenges: object({
+      selected: yesNo(),
+      text: string()
+    })
+  }),
+  requestedInfo: object({
+    gross_sales_2019: quarterlyAmounts(),
+    gross_sales_2020: quarterlyAmounts(),
+    gross_sales_2021: quarterlyAmounts(),
+    recovery_startup_business: yesNo(),
+    ...pppFields('ppp1'),
+    ...pppFields('ppp2'),
+    employee_wages: arrayOf(object({
+      employee_name: string(),
+      employee_id: string(),
+      wages: quarterKeyedAmounts(),
+      health_plan: quarterKeyedAmounts()
+    }))
+  }),
+  ownershipStructure: arrayOf(object({
+    owner_name: string(),
+    ownership_percentage: number({ min: 0, max: 100 })
+  }, { required: ['owner_name', 'ownership_percentage'] })),
+  relatives: object({
+    has_relatives: yesNo(),
+    relative_rows: arrayOf(object({
+      relative_name: string(),
+      relationship: string(),
+      related_owner: string()
+    }, { required: ['relative_name'] }))
+  }),
+  uploadedFiles: mapOf(arrayOf(uploadedFile))
+}, { required: ['qualifyingQuestions', 'requestedInfo'] });
+
+// Top-level payload schema; unknown keys are kept as-is
+const PAYLOAD_SCHEMA = object({
+  id: string(),
+  timestamp: string(),
+  schemaVersion: string(),
+  callbackUrl: url(),
+  // Optional: which document category each uploaded file belongs to
+  fileManifest: arrayOf(object({
+    field: string(),
+    name: string(),
+    category: string()
+  }, { required: ['category'] })),
+  // Optional: report template for this submission, or the partner firm whose template applies
+  reportTemplate: string(),
+  partnerId: string(),
+  // Optional: header names of the payroll register columns, when they differ from the usual ones
+  payrollColumnMapping: object({
+    employee: string(),
+    employeeId: string(),
+    payDate: string(),
+    grossWages: string(),
+    healthPlan: string()
+  }),
+  formData: FORM_DATA_SCHEMA
+}, { required: ['formData'] });
+
+// Coercion -----------------------------------------------------------------
+
+/**
+ * Coerces a value against a schema node, recording errors by field path
+ * @param {*} value - Raw value
+ * @param {Object} schema - Schema node
+ * @param {String} path - Dotted field path used in error messages
+ * @param {Array} errors - Collected errors (mutated)
+ * @returns {*} - Normalized value
+ */
+function coerce(value, schema, path, errors) {
+  if (value === undefined || value === null) {
+    return value;
+  }
+
+  const fail = (message) => {
+    errors.push({ field: path, message, value: typeof value === 'object' ? undefined : value });
+    return value;
+  };
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value === 'string') return value.trim();
+      if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+      return fail('Expected a string');
+
+    case 'email': {
+      if (typeof value !== 'string') return fail('Expected an email address');
+      const trimmed = value.trim().toLowerCase();
+      if (trimmed === '') return null;
+      return EMAIL_PATTERN.test(trimmed) ? trimmed : fail('Invalid email address');
+    }
+
+    case 'url': {
+      if (typeof value !== 'string') return fail('Expected a URL');
+      const trimmed = value.trim();
+      if (trimmed === '') return null;
+      try {
+        const parsed = new URL(trimmed);
+        if (parsed.protocol === 'https:' || parsed.protocol === 'http:') return trimmed;
+      } catch (error) {
+        // Fall through to the validation error
+      }
+      return fail('Expected an http(s) URL');
+    }
+
+    case 'number': {
+      let parsed = value;
+      if (typeof value === 'string') {
+        const cleaned = value.replace(/[$,%\s]/g, '');
+        if (cleaned === '') return null;
+        parsed = Number(cleaned);
+      }
+      if (typeof parsed !== 'number' || !Number.isFinite(parsed)) {
+        return fail('Expected a number');
+      }
+      if (schema.min !== undefined && parsed < schema.min) {
+        return fail(`Must be at least ${schema.min}`);
+      }
+      if (schema.max !== undefined && parsed > schema.max) {
+        return fail(`Must be at most ${schema.max}`);
+      }
+      return parsed;
+    }
+
+    case 'yesNo': {
+      const normalized = String(value).trim().toLowerCase();
+      if (normalized === '') return null;
+      if (YES_VALUES.includes(normalized)) return 'yes';
+      if (NO_VALUES.includes(normalized)) return 'no';
+      if (schema.allowNotSure && NOT_SURE_VALUES.includes(normalized)) return 'not_sure';
+      return fail(schema.allowNotSure ? 'Expected yes, no or not_sure' : 'Expected yes or no');
+    }
+
+    case 'date': {
+      if (typeof value !== 'string' || value.trim() === '') return null;
+      const trimmed = value.trim();
+      if (!DATE_PATTERN.test(trimmed) || Number.isNaN(Date.parse(trimmed))) {
+        return fail('Expected a date in YYYY-MM-DD format');
+      }
+      return trimmed;
+    }
+
+    case 'quarterList': {
+      const list = Array.isArray(value) ? value : [value];
+      const quarters = [];
+      list.forEach((item, index) => {
+        const normalized = String(item).trim().toLowerCase();
+        if (QUARTER_KEY_PATTERN.test(normalized)) {
+          quarters.push(normalized);
+        } else {
+          errors.push({ field: `${path}[${index}]`, message: 'Expected a quarter such as q1_2021', value: item });
+        }
+      });
+      return quarters;
+    }
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return fail('Expected an object');
+      }
+      const result = { ...value };
+      Object.entries(schema.fields).forEach(([key, fieldSchema]) => {
+        if (result[key] !== undefined) {
+          result[key] = coerce(result[key], fieldSchema, path ? `${path}.${key}` : key, errors);
+        }
+      });
+      (schema.required || []).forEach(key => {
+        if (result[key] === undefined || result[key] === null || result[key] === '') {
+          errors.push({ field: path ? `${path}.${key}` : key, message: 'Required field is missing' });
+        }
+      });
+      return result;
+    }
+
+    case 'array':
+      if (!Array.isArray(value)) return fail('Expected a list');
+      return value.map((item, index) => coerce(item, schema.items, `${path}[${index}]`, errors));
+
+    case 'map': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return fail('Expected an object');
+      }
+      const result = {};
+      Object.entries(value).forEach(([key, item]) => {
+        result[key] = coerce(item, schema.values, `${path}.${key}`, errors);
+      });
+      return result;
+    }
+
+    case 'quarterMap': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return fail('Expected an object keyed by quarter');
+      }
+      const result = {};
+      Object.entries(value).forEach(([key, item]) => {
+        const normalizedKey = key.trim().toLowerCase();
+        if (!QUARTER_KEY_PATTERN.test(normalizedKey)) {
+          errors.push({ field: `${path}.${key}`, message: 'Expected a quarter such as q1_2021' });
+          return;
+        }
+        result[normalizedKey] = coerce(item, schema.values, `${path}.${normalizedKey}`, errors);
+      });
+      return result;
+    }
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Validates and normalizes a parsed webhook payload
+ * @param {Object} payload - Parsed payload ({ id, timestamp, formData, ... })
+ * @returns {Object} - { valid, errors, data, schemaVersion }
+ */
+function validateSubmissionPayload(payload) {
+  const errors = [];
+
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return {
+      valid: false,
+      errors: [{ field: '', message: 'Payload must be a JSON object' }],
+      data: null,
+      schemaVersion: null
+    };
+  }
+
+  const schemaVersion = payload.schemaVersion ? String(payload.schemaVersion) : SCHEMA_VERSION;
+  if (!SUPPORTED_SCHEMA_VERSIONS.includes(schemaVersion)) {
+    return {
+      valid: false,
+      errors: [{
+        field: 'schemaVersion',
+        message: `Unsupported schema version; supported versions: ${SUPPORTED_SCHEMA_VERSIONS.join(', ')}`,
+        value: schemaVersion
+      }],
+      data: null,
+      schemaVersion
+    };
+  }
+
+  const data = coerce(payload, PAYLOAD_SCHEMA, '', errors);
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    data: { ...data, schemaVersion },
+    schemaVersion
+  };
+}
+
+module.exports = {
+  validateSubmissionPayload,
+  SCHEMA_VERSION,
+  SUPPORTED_SCHEMA_VERSIONS
+};
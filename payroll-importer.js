@@ -0,0 +1,404 @@
+// payroll-importer.js
+// Imports payroll registers uploaded as wages_by_period (XLSX or CSV) into the
+// per-employee, per-quarter wage table used by the credit estimate.
+//
+// Each row of a register is one payment: employee, pay date, gross wages and,
+// optionally, the employer's health plan cost. Columns are found by their
+// header text using COLUMN_ALIASES; PAYROLL_COLUMN_ALIASES (JSON, same shape)
+// adds aliases for other payroll systems, and a submission can name its own
+// headers with payrollColumnMapping: { employee, employeeId, payDate,
+// grossWages, healthPlan }. Payments are assigned to a quarter by pay date;
+// payments outside 2020 and 2021 are skipped. Rows that cannot be read are
+// listed as mapping errors instead of failing the import.
+require('dotenv').config();
+const ExcelJS = require('exceljs');
+const stream = require('stream');
+const { roundCurrency } = require('./credit-calculator');
+
+// Header names recognized for each column, compared case- and punctuation-insensitively
+const COLUMN_ALIASES = {
+  employee: ['employee', 'employee name', 'name', 'emp name', 'worker', 'full name'],
+  employeeId: ['employee id', 'emp id', 'employee number', 'employee no', 'emp no', 'id'],
+  payDate: ['pay date', 'check date', 'payment date', 'paid date', 'date', 'period end', 'pay period end'],
+  grossWages: ['gross wages', 'gross pay', 'gross', 'total gross', 'gross earnings', 'wages'],
+  healthPlan: ['health plan', 'health plan costs', 'employer health', 'er health', 'health insurance er', 'medical er']
+};
+
+const IMPORT_STATUS = {
+  IMPORTED: 'imported',
+  NO_HEADER: 'no_header',
+  UNSUPPORTED: 'unsupported',
+  ERROR: 'error'
+};
+
+// Only the first rows are searched for the header row
+const HEADER_SEARCH_ROWS = 25;
+
+// Mapping errors kept per file; the count is always reported in full
+const MAX_ERRORS_PER_FILE = 200;
+
+function loadColumnAliases() {
+  if (!process.env.PAYROLL_COLUMN_ALIASES) return COLUMN_ALIASES;
+  try {
+    const extra = JSON.parse(process.env.PAYROLL_COLUMN_ALIASES);
+    const aliases = {};
+    Object.keys(COLUMN_ALIASES).forEach(column => {
+      aliases[column] = [...(Array.isArray(extra[column]) ? extra[column] : []), ...COLUMN_ALIASES[column]];
+    });
+    return aliases;
+  } catch (error) {
+    console.error('Ignoring invalid PAYROLL_COLUMN_ALIASES:', error.message);
+    return COLUMN_ALIASES;
+  }
+}
+
+const columnAliases = loadColumnAliases();
+
+function normalizeHeader(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Plain value of an exceljs cell (rich text, formulas and hyperlinks unwrapped)
+ * @param {*} value - cell.value
+ * @returns {*}
+ */
+function cellValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return cellValue(value.result);
+    if ('text' in value) return value.text;
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Parses a wage amount: '1,234.50', '$1234.5', '(120.00)' for a reversal
+ * @param {*} value
+ * @returns {Number|null|undefined} - null when blank, undefined when unreadable
+ */
+function parseAmount(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  let text = String(value).trim();
+  if (text === '' || text === '-') return null;
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  const parsed = Number(text.replace(/[$,\s]/g, ''));
+  return Number.isFinite(parsed) ? sign * parsed : undefined;
+}
+
+/**
+ * Parses a pay date: a Date cell, an Excel serial number, 'YYYY-MM-DD' or 'MM/DD/YYYY'
+ * @param {*} value
+ * @returns {Date|null}
+ */
+function parsePayDate(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (typeof value === 'number') {
+    // Excel serial date: days since 1899-12-30
+    if (value < 20000 || value > 80000) return null;
+    return new Date(Math.round((value - 25569) * 86400 * 1000));
+  }
+  const text = String(value || '').trim();
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text);
+  if (match) return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  match = /^(\d{1,2})[/-](\d{1,2})[/-](\d{2}|\d{4})$/.exec(text);
+  if (match) {
+    const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+    return new Date(Date.UTC(year, Number(match[1]) - 1, Number(match[2])));
+  }
+  return null;
+}
+
+/**
+ * Quarter label for a pay date within the ERC period
+ * @param {Date} date
+ * @returns {String|null} - e.g. 'Q3 2020'
+ */
+function quarterForDate(date) {
+  const year = date.getUTCFullYear();
+  if (year !== 2020 && year !== 2021) return null;
+  return `Q${Math.floor(date.getUTCMonth() / 3) + 1} ${year}`;
+}
+
+/**
+ * Finds the header row and the column of each field
+ * @param {Object} worksheet - exceljs worksheet
+ * @param {Object} mapping - Header names chosen by the submission, by field
+ * @returns {Object|null} - { headerRow, columns: { field: columnNumber } }
+ */
+function findHeader(worksheet, mapping = {}) {
+  const lastRow = Math.min(worksheet.rowCount, HEADER_SEARCH_ROWS);
+  for (let rowNumber = 1; rowNumber <= lastRow; rowNumber++) {
+    const headers = {};
+    worksheet.getRow(rowNumber).eachCell((cell, columnNumber) => {
+      const header = normalizeHeader(cellValue(cell.value));
+      if (header && !(header in headers)) headers[header] = columnNumber;
+    });
+
+    const columns = {};
+    Object.keys(COLUMN_ALIASES).forEach(field => {
+      const names = mapping[field] ? [mapping[field]] : columnAliases[field];
+      const name = names.map(normalizeHeader).find(candidate => candidate in headers);
+      if (name) columns[field] = headers[name];
+    });
+
+    if ((columns.employee || columns.employeeId) && columns.payDate && columns.grossWages) {
+      return { headerRow: rowNumber, columns };
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads the payments of one worksheet
+ * @param {Object} worksheet - exceljs worksheet
+ * @param {Object} header - From findHeader
+ * @param {String} fileName
+ * @returns {Object} - { payments, errors, rowsRead, rowsSkipped }
+ */
+function readPayments(worksheet, header, fileName) {
+  const payments = [];
+  const errors = [];
+  let rowsRead = 0;
+  let rowsSkipped = 0;
+  const { columns } = header;
+  const columnLetter = field => (columns[field] ? worksheet.getColumn(columns[field]).letter : undefined);
+
+  const addError = (rowNumber, field, message, value) => {
+    errors.push({
+      fileName,
+      sheet: worksheet.name,
+      row: rowNumber,
+      column: field ? columnLetter(field) : undefined,
+      field,
+      message,
+      value: value === null || value === undefined ? undefined : String(value)
+    });
+  };
+
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber <= header.headerRow) return;
+    const read = field => (columns[field] ? cellValue(row.getCell(columns[field]).value) : null);
+
+    const employee = read('employee');
+    const employeeId = read('employeeId');
+    const rawDate = read('payDate');
+    const rawWages = read('grossWages');
+    const rawHealthPlan = read('healthPlan');
+
+    // Skip blank lines and undated totals rows
+    if (!employee && !employeeId && !rawDate) return;
+    if (!rawDate && /^(grand\s+)?totals?\b/i.test(String(employee || employeeId))) return;
+    rowsRead++;
+
+    if (!employee && !employeeId) {
+      addError(rowNumber, 'employee', 'Row has no employee name or ID');
+      return;
+    }
+    const payDate = parsePayDate(rawDate);
+    if (!payDate) {
+      addError(rowNumber, 'payDate', 'Pay date is missing or not a date', rawDate);
+      return;
+    }
+    const wages = parseAmount(rawWages);
+    if (wages === undefined) {
+      addError(rowNumber, 'grossWages', 'Gross wages is not a number', rawWages);
+      return;
+    }
+    const healthPlan = parseAmount(rawHealthPlan);
+    if (healthPlan === undefined) {
+      addError(rowNumber, 'healthPlan', 'Health plan cost is not a number', rawHealthPlan);
+      return;
+    }
+
+    const quarter = quarterForDate(payDate);
+    if (!quarter) {
+      rowsSkipped++;
+      return;
+    }
+
+    payments.push({
+      employee: employee ? String(employee).trim() : null,
+      employeeId: employeeId !== null ? String(employeeId).trim() : null,
+      payDate: payDate.toISOString().slice(0, 10),
+      quarter,
+      wages: wages || 0,
+      healthPlanExpenses: healthPlan || 0,
+      fileName,
+      sheet: worksheet.name,
+      row: rowNumber
+    });
+  });
+
+  return { payments, errors, rowsRead, rowsSkipped };
+}
+
+/**
+ * Loads a payroll file into an exceljs workbook
+ * @param {Buffer} buffer
+ * @param {String} type - 'xlsx' or 'csv'
+ * @returns {Promise<Object>} - Workbook
+ */
+async function loadWorkbook(buffer, type) {
+  const workbook = new ExcelJS.Workbook();
+  if (type === 'xlsx') {
+    await workbook.xlsx.load(buffer);
+    return workbook;
+  }
+
+  // Keep every CSV value as text; dates and amounts are parsed by this module
+  const firstLine = buffer.toString('utf8', 0, Math.min(buffer.length, 4096)).split(/\r?\n/)[0];
+  const delimiters = [',', ';', '\t'];
+  const delimiter = delimiters.reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+  const input = new stream.PassThrough();
+  input.end(buffer);
+  await workbook.csv.read(input, {
+    sheetName: 'CSV',
+    map: datum => (datum === '' ? null : datum),
+    parserOptions: { delimiter, ignoreEmpty: true, trim: true }
+  });
+  return workbook;
+}
+
+/**
+ * Imports one payroll file
+ * @param {Buffer} buffer - File content
+ * @param {Object} options - { fileName, type: 'xlsx'|'csv', mapping }
+ * @returns {Promise<Object>} - { fileName, status, sheets, rowsRead, rowsImported, rowsSkipped, mappingErrors, errorCount, payments }
+ */
+async function importPayrollFile(buffer, { fileName, type, mapping } = {}) {
+  const result = {
+    fileName,
+    status: IMPORT_STATUS.IMPORTED,
+    sheets: [],
+    rowsRead: 0,
+    rowsImported: 0,
+    rowsSkipped: 0,
+    mappingErrors: [],
+    errorCount: 0,
+    payments: []
+  };
+
+  if (type !== 'xlsx' && type !== 'csv') {
+    result.status = IMPORT_STATUS.UNSUPPORTED;
+    result.mappingErrors.push({ fileName, message: `Files of type ${type} cannot be imported; save the register as XLSX or CSV` });
+    result.errorCount = 1;
+    return result;
+  }
+
+  let workbook;
+  try {
+    workbook = await loadWorkbook(buffer, type);
+  } catch (error) {
+    result.status = IMPORT_STATUS.ERROR;
+    result.mappingErrors.push({ fileName, message: `File could not be read: ${error.message}` });
+    result.errorCount = 1;
+    return result;
+  }
+
+  workbook.eachSheet(worksheet => {
+    const header = findHeader(worksheet, mapping);
+    if (!header) return;
+    const sheet = readPayments(worksheet, header, fileName);
+    result.sheets.push({ name: worksheet.name, headerRow: header.headerRow, rowsImported: sheet.payments.length });
+    result.rowsRead += sheet.rowsRead;
+    result.rowsSkipped += sheet.rowsSkipped;
+    result.payments.push(...sheet.payments);
+    result.mappingErrors.push(...sheet.errors);
+  });
+
+  if (result.sheets.length === 0) {
+    result.status = IMPORT_STATUS.NO_HEADER;
+    result.mappingErrors.push({
+      fileName,
+      message: 'No header row with employee, pay date and gross wages columns was found'
+    });
+  }
+
+  result.rowsImported = result.payments.length;
+  result.errorCount = result.mappingErrors.length;
+  result.mappingErrors = result.mappingErrors.slice(0, MAX_ERRORS_PER_FILE);
+  return result;
+}
+
+/**
+ * Totals payments per employee and quarter, in the shape estimateCredit expects
+ * @param {Array} payments - From importPayrollFile
+ * @returns {Object} - { employeeWages, duplicatePayments }
+ */
+function buildEmployeeWageTable(payments) {
+  const byEmployee = new Map();
+  // Payment key => file it was first seen in
+  const seen = new Map();
+  let duplicatePayments = 0;
+
+  payments.forEach(payment => {
+    // The same payments in a second file (e.g. a register uploaded twice) must
+    // not double the wages; identical payments within one file are kept
+    const key = [payment.employeeId || payment.employee, payment.payDate, payment.wages, payment.healthPlanExpenses].join('|');
+    if (seen.has(key) && seen.get(key) !== payment.fileName) {
+      duplicatePayments++;
+      return;
+    }
+    seen.set(key, payment.fileName);
+
+    const employeeKey = payment.employeeId ? `id:${payment.employeeId}` : `name:${payment.employee.toLowerCase()}`;
+    if (!byEmployee.has(employeeKey)) {
+      byEmployee.set(employeeKey, {
+        employee: payment.employee || payment.employeeId,
+        employeeId: payment.employeeId,
+        quarters: {}
+      });
+    }
+    const row = byEmployee.get(employeeKey);
+    if (!row.employee && payment.employee) row.employee = payment.employee;
+    const quarter = row.quarters[payment.quarter] || (row.quarters[payment.quarter] = { wages: 0, healthPlanExpenses: 0 });
+    quarter.wages = roundCurrency(quarter.wages + payment.wages);
+    quarter.healthPlanExpenses = roundCurrency(quarter.healthPlanExpenses + payment.healthPlanExpenses);
+  });
+
+  return { employeeWages: [...byEmployee.values()], duplicatePayments };
+}
+
+/**
+ * Imports every payroll file of a submission
+ * @param {Array<Object>} files - [{ fileName, fileId, type, buffer }]
+ * @param {Object} mapping - payrollColumnMapping from the payload
+ * @returns {Promise<Object>} - { importedAt, files, employeeWages, duplicatePayments }
+ */
+async function importPayrollFiles(files, mapping) {
+  const results = [];
+  const payments = [];
+  for (const file of files) {
+    const result = await importPayrollFile(file.buffer, { fileName: file.fileName, type: file.type, mapping });
+    payments.push(...result.payments);
+    const { payments: _payments, ...summary } = result;
+    results.push({ ...summary, fileId: file.fileId });
+  }
+
+  const { employeeWages, duplicatePayments } = buildEmployeeWageTable(payments);
+  return {
+    importedAt: new Date(),
+    files: results,
+    employeeWages,
+    duplicatePayments
+  };
+}
+
+module.exports = {
+  importPayrollFile,
+  importPayrollFiles,
+  buildEmployeeWageTable,
+  parsePayDate,
+  COLUMN_ALIASES,
+  IMPORT_STATUS
+};
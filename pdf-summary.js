@@ -0,0 +1,210 @@
+// pdf-summary.js
+// One-page, client-facing PDF summary of a submission, for clients who cannot
+// open the Excel workbook and for advisors to email.
+//
+// It is built from the same data as the workbook (generateExcelReport's
+// result plus the form and document checklist), so both always agree, and is
+// stored in its own GridFS bucket ('pdfReports').
+const PDFDocument = require('pdfkit');
+const mongoose = require('mongoose');
+const { GridFSBucket } = require('mongodb');
+const stream = require('stream');
+const { QUALIFICATION_TESTS } = require('./qualification-engine');
+
+const PDF_BUCKET = 'pdfReports';
+
+const COLORS = {
+  brand: '#4472C4',
+  text: '#222222',
+  muted: '#666666',
+  qualifies: '#2E7D32',
+  missing: '#C62828'
+};
+
+const currency = value => `$${Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const percent = value => `${Number(value).toFixed(1)}%`;
+
+/**
+ * Describes, in plain words, the rule that decided a quarter
+ * @param {Object} entry - quarterAnalysis entry
+ * @returns {String}
+ */
+function describeRule(entry) {
+  const decline = entry.percentDecrease !== null && entry.percentDecrease !== undefined
+    ? `receipts ${percent(entry.percentDecrease)} below 2019`
+    : null;
+
+  if (entry.qualifies) {
+    if (entry.qualificationTest === QUALIFICATION_TESTS.CARRYOVER) {
+      return 'Within a period of significant decline that began in an earlier quarter';
+    }
+    if (entry.qualificationTest === QUALIFICATION_TESTS.ALTERNATIVE_QUARTER) {
+      const alternative = entry.alternativeQuarter || {};
+      return `Alternative quarter election: ${alternative.quarter} receipts ${percent(alternative.percentDecrease)} below 2019 (over ${entry.threshold}% required)`;
+    }
+    return `Gross receipts test: ${decline} (over ${entry.threshold}% required)`;
+  }
+  if (entry.note) return entry.note;
+  return decline
+    ? `Does not qualify: ${decline}; over ${entry.threshold}% required`
+    : 'Does not qualify';
+}
+
+/**
+ * Renders the summary into a PDF buffer
+ * @param {Object} summaryData - { receivedAt, formData, qualificationData, creditEstimate, documentChecklist, qualificationOverrides }
+ * @param {String} submissionId
+ * @returns {Promise<Buffer>}
+ */
+function renderPdfSummary(summaryData, submissionId) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 50, info: { Title: `ERTC Summary ${submissionId}`, Author: 'ERTC Webhook Receiver' } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const formData = summaryData.formData || {};
+    const { quarterAnalysis = [] } = summaryData.qualificationData || {};
+    const creditEstimate = summaryData.creditEstimate || {};
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    function sectionTitle(title) {
+      doc.moveDown(0.8);
+      doc.font('Helvetica-Bold').fontSize(12).fillColor(COLORS.brand).text(title, left);
+      doc.moveTo(left, doc.y + 2).lineTo(left + width, doc.y + 2).strokeColor(COLORS.brand).lineWidth(0.5).stroke();
+      doc.moveDown(0.4);
+      doc.font('Helvetica').fontSize(9).fillColor(COLORS.text);
+    }
+
+    // Header band
+    doc.rect(0, 0, doc.page.width, 70).fill(COLORS.brand);
+    doc.font('Helvetica-Bold').fontSize(18).fillColor('#FFFFFF')
+      .text('Employee Retention Credit Summary', left, 24);
+    doc.font('Helvetica').fontSize(9)
+      .text(`Submission ${submissionId}`, left, 48);
+    doc.y = 90;
+
+    // Business information
+    sectionTitle('Business Information');
+    doc.text(`Contact: ${formData.userEmail || 'Not provided'}`);
+    doc.text(`Submitted: ${new Date(summaryData.receivedAt || Date.now()).toLocaleDateString('en-US')}`);
+    const owners = (formData.ownershipStructure || [])
+      .map(owner => `${owner.owner_name} (${owner.ownership_percentage}%)`);
+    doc.text(`Owners: ${owners.length > 0 ? owners.join(', ') : 'Not provided'}`);
+
+    // Qualification per quarter
+    sectionTitle('Qualification by Quarter');
+    const columns = [
+      { label: 'Quarter', x: left, width: 55 },
+      { label: 'Result', x: left + 55, width: 70 },
+      { label: 'Rule applied', x: left + 125, width: width - 125 }
+    ];
+    doc.font('Helvetica-Bold');
+    const headerY = doc.y;
+    columns.forEach(column => doc.text(column.label, column.x, headerY, { width: column.width }));
+    doc.font('Helvetica');
+    const overrides = summaryData.qualificationOverrides || [];
+    quarterAnalysis.forEach(entry => {
+      // A staff override replaces the computed result; its reason is internal and stays off the PDF
+      const override = overrides.find(candidate => candidate.quarter === entry.quarter);
+      const qualifies = override ? override.qualifies : entry.qualifies;
+      const rule = override ? 'Determined on review' : describeRule(entry);
+      const rowY = doc.y + 2;
+      doc.fillColor(COLORS.text).text(entry.quarter, columns[0].x, rowY, { width: columns[0].width });
+      doc.fillColor(qualifies ? COLORS.qualifies : COLORS.muted)
+        .text(qualifies ? 'Qualifies' : 'No', columns[1].x, rowY, { width: columns[1].width });
+      doc.fillColor(COLORS.text).text(rule, columns[2].x, rowY, { width: columns[2].width });
+    });
+
+    // Estimated credit
+    sectionTitle('Estimated Credit');
+    if (!creditEstimate.employeeCount) {
+      doc.text('No per-employee wage data was provided yet, so the credit has not been estimated.', left);
+    } else {
+      (creditEstimate.quarters || [])
+        .filter(entry => entry.qualifies && entry.credit > 0)
+        .forEach(entry => {
+          doc.text(`${entry.quarter}: ${currency(entry.credit)} on ${currency(entry.creditableWages)} of qualified wages (${entry.employeeCount} employees)`, left);
+        });
+      doc.moveDown(0.3);
+      doc.font('Helvetica-Bold').fontSize(11)
+        .text(`Total estimated credit: ${currency(creditEstimate.totalCredit)}`, left);
+      doc.font('Helvetica').fontSize(9);
+      doc.text(`2020: ${currency(creditEstimate.credit2020)}    2021: ${currency(creditEstimate.credit2021)}`, left);
+    }
+
+    // Missing documents
+    sectionTitle('Documents');
+    const checklist = summaryData.documentChecklist;
+    if (!checklist) {
+      doc.text('No document checklist is available for this submission.', left);
+    } else if (checklist.complete) {
+      doc.fillColor(COLORS.qualifies).text('All required documents have been received.', left);
+    } else {
+      checklist.items
+        .filter(item => item.required && item.received === 0)
+        .forEach(item => {
+          doc.fillColor(COLORS.missing).text(`Missing: ${item.label}`, left);
+        });
+      (checklist.declaredNotReceived || []).forEach(entry => {
+        doc.fillColor(COLORS.missing).text(`Listed but not received: ${entry.name}`, left);
+      });
+    }
+
+    // Footer
+    doc.font('Helvetica').fontSize(7).fillColor(COLORS.muted)
+      .text('This is an estimate based on the information provided and is not tax advice. Final figures are confirmed when the Form 941-X is prepared.',
+        left, doc.page.height - doc.page.margins.bottom - 20, { width, align: 'center' });
+
+    doc.end();
+  });
+}
+
+/**
+ * Generates the PDF summary for a submission and stores it in GridFS
+ * @param {Object} summaryData - See renderPdfSummary
+ * @param {String} submissionId
+ * @returns {Promise<Object>} - { fileId, filename }
+ */
+async function generatePdfSummary(summaryData, submissionId) {
+  const buffer = await renderPdfSummary(summaryData, submissionId);
+
+  const bucket = new GridFSBucket(mongoose.connection.db, {
+    bucketName: PDF_BUCKET
+  });
+  const filename = `summary_${submissionId}.pdf`;
+
+  const bufferStream = new stream.PassThrough();
+  bufferStream.end(buffer);
+
+  return new Promise((resolve, reject) => {
+    const uploadStream = bucket.openUploadStream(filename, {
+      metadata: {
+        submissionId,
+        contentType: 'application/pdf',
+        createdAt: new Date()
+      }
+    });
+    const fileId = uploadStream.id;
+
+    bufferStream.pipe(uploadStream);
+
+    uploadStream.on('error', (error) => {
+      console.error('Error uploading PDF summary to GridFS:', error);
+      reject(error);
+    });
+
+    uploadStream.on('finish', () => {
+      console.log(`PDF summary saved to GridFS with ID: ${fileId}`);
+      resolve({ fileId, filename });
+    });
+  });
+}
+
+module.exports = {
+  generatePdfSummary,
+  renderPdfSummary,
+  PDF_BUCKET
+};
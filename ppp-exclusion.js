@@ -0,0 +1,213 @@
+// ppp-exclusion.js
+// Wages reported as payroll costs for PPP loan forgiveness cannot also be
+// claimed as qualified wages for the ERTC. This module works out how much
+// forgiven payroll each loan represents, spreads it over the calendar quarters
+// of the loan's covered period, and removes it from the per-employee wages
+// before the credit is estimated.
+
+const { parseRevenue } = require('./qualification-engine');
+const { roundCurrency } = require('./credit-calculator');
+
+const PPP_LOANS = ['ppp1', 'ppp2'];
+
+// PPP requires at least 60% of the forgiven amount to be spent on payroll
+const MIN_PAYROLL_SHARE = 0.6;
+
+// Used when the form does not provide the covered period: a 24-week period
+// from a typical disbursement date for each draw
+const DEFAULT_COVERED_PERIODS = {
+  ppp1: { start: '2020-04-15', end: '2020-09-29' },
+  ppp2: { start: '2021-02-01', end: '2021-07-18' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a YYYY-MM-DD date as UTC midnight
+ * @param {String} value
+ * @returns {Date|null}
+ */
+function parseDate(value) {
+  if (!value || typeof value !== 'string') return null;
+  const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Formats a UTC date as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {String}
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Reads the PPP loan fields from requestedInfo
+ * Recognised fields per loan (ppp1/ppp2): _obtained, _forgiveness_amount,
+ * _nonpayroll_costs, _covered_period_start and _covered_period_end
+ * @param {Object} requestedInfo - formData.requestedInfo
+ * @returns {Array<Object>} - Loans that were obtained and forgiven
+ */
+function extractPppLoans(requestedInfo = {}) {
+  return PPP_LOANS
+    .filter(loan => requestedInfo[`${loan}_obtained`] === 'yes')
+    .map(loan => {
+      const forgivenessAmount = parseRevenue(requestedInfo[`${loan}_forgiveness_amount`]) || 0;
+      const nonPayrollCosts = parseRevenue(requestedInfo[`${loan}_nonpayroll_costs`]) || 0;
+
+      // Assume everything not spent on other costs was payroll, but never less
+      // than the 60% payroll minimum required for forgiveness
+      const forgivenPayroll = Math.min(
+        forgivenessAmount,
+        Math.max(forgivenessAmount - nonPayrollCosts, forgivenessAmount * MIN_PAYROLL_SHARE)
+      );
+
+      let start = parseDate(requestedInfo[`${loan}_covered_period_start`]);
+      let end = parseDate(requestedInfo[`${loan}_covered_period_end`]);
+      const assumedCoveredPeriod = !start || !end || end < start;
+      if (assumedCoveredPeriod) {
+        start = parseDate(DEFAULT_COVERED_PERIODS[loan].start);
+        end = parseDate(DEFAULT_COVERED_PERIODS[loan].end);
+      }
+
+      return {
+        loan,
+        forgivenessAmount: roundCurrency(forgivenessAmount),
+        nonPayrollCosts: roundCurrency(nonPayrollCosts),
+        forgivenPayroll: roundCurrency(forgivenPayroll),
+        coveredPeriodStart: formatDate(start),
+        coveredPeriodEnd: formatDate(end),
+        assumedCoveredPeriod
+      };
+    })
+    .filter(loan => loan.forgivenessAmount > 0);
+}
+
+/**
+ * Splits a loan's forgiven payroll across quarters by days of covered period
+ * @param {Object} loan - Entry from extractPppLoans
+ * @returns {Array<Object>} - [{ quarter: 'Q2 2020', days, amount }]
+ */
+function allocateLoan(loan) {
+  const start = parseDate(loan.coveredPeriodStart);
+  const end = parseDate(loan.coveredPeriodEnd);
+  const totalDays = Math.round((end - start) / DAY_MS) + 1;
+
+  const allocations = [];
+  let cursor = start;
+  while (cursor <= end) {
+    const year = cursor.getUTCFullYear();
+    const quarterIndex = Math.floor(cursor.getUTCMonth() / 3);
+    const quarterEnd = new Date(Date.UTC(year, quarterIndex * 3 + 3, 0));
+    const segmentEnd = quarterEnd < end ? quarterEnd : end;
+    const days = Math.round((segmentEnd - cursor) / DAY_MS) + 1;
+
+    allocations.push({
+      quarter: `Q${quarterIndex + 1} ${year}`,
+      days,
+      amount: roundCurrency(loan.forgivenPayroll * (days / totalDays))
+    });
+
+    cursor = new Date(segmentEnd.getTime() + DAY_MS);
+  }
+
+  // Put any rounding difference on the last quarter so the total matches
+  const allocated = allocations.reduce((sum, a) => sum + a.amount, 0);
+  const last = allocations[allocations.length - 1];
+  last.amount = roundCurrency(last.amount + (loan.forgivenPayroll - allocated));
+
+  return allocations;
+}
+
+/**
+ * Allocates forgiven PPP payroll for every loan in the submission
+ * @param {Object} requestedInfo - formData.requestedInfo
+ * @returns {Object} - { loans: [...with allocations], byQuarter: { 'Q2 2020': amount } }
+ */
+function allocatePppForgiveness(requestedInfo = {}) {
+  const loans = extractPppLoans(requestedInfo).map(loan => ({
+    ...loan,
+    allocations: allocateLoan(loan)
+  }));
+
+  const byQuarter = {};
+  loans.forEach(loan => {
+    loan.allocations.forEach(({ quarter, amount }) => {
+      byQuarter[quarter] = roundCurrency((byQuarter[quarter] || 0) + amount);
+    });
+  });
+
+  return { loans, byQuarter };
+}
+
+/**
+ * Removes allocated PPP payroll from per-employee wages, pro rata to each
+ * employee's share of the quarter's wages. Wages are reduced before health
+ * plan expenses.
+ * @param {Array<Object>} employeeWages - Normalized rows from resolveEmployeeWages
+ * @param {Object} allocation - Output of allocatePppForgiveness
+ * @returns {Object} - { employeeWages: adjusted rows, quarters: [audit entries] }
+ */
+function applyPppExclusion(employeeWages, allocation) {
+  const byQuarter = (allocation && allocation.byQuarter) || {};
+  const rows = employeeWages || [];
+
+  const quarters = Object.keys(byQuarter).map(quarter => {
+    const reportedWages = rows.reduce((sum, row) => {
+      const amounts = row.quarters && row.quarters[quarter];
+      return amounts ? sum + (amounts.wages || 0) + (amounts.healthPlanExpenses || 0) : sum;
+    }, 0);
+    const allocated = byQuarter[quarter];
+    const excludedFromWages = Math.min(allocated, reportedWages);
+
+    return {
+      quarter,
+      allocated,
+      reportedWages: roundCurrency(reportedWages),
+      excludedFromWages: roundCurrency(excludedFromWages),
+      // PPP payroll with no matching reported wages to remove it from
+      unabsorbed: roundCurrency(allocated - excludedFromWages)
+    };
+  });
+
+  const adjusted = rows.map(row => {
+    const adjustedQuarters = {};
+    Object.entries(row.quarters || {}).forEach(([quarter, amounts]) => {
+      const audit = quarters.find(q => q.quarter === quarter);
+      const wages = amounts.wages || 0;
+      const healthPlanExpenses = amounts.healthPlanExpenses || 0;
+      const total = wages + healthPlanExpenses;
+
+      if (!audit || audit.reportedWages <= 0 || total <= 0) {
+        adjustedQuarters[quarter] = { ...amounts };
+        return;
+      }
+
+      let reduction = audit.excludedFromWages * (total / audit.reportedWages);
+      const wageReduction = Math.min(reduction, wages);
+      reduction -= wageReduction;
+      const healthReduction = Math.min(reduction, healthPlanExpenses);
+
+      adjustedQuarters[quarter] = {
+        ...amounts,
+        wages: roundCurrency(wages - wageReduction),
+        healthPlanExpenses: roundCurrency(healthPlanExpenses - healthReduction),
+        pppExcluded: roundCurrency(wageReduction + healthReduction)
+      };
+    });
+
+    return { ...row, quarters: adjustedQuarters };
+  });
+
+  return { employeeWages: adjusted, quarters };
+}
+
+module.exports = {
+  allocatePppForgiveness,
+  applyPppExclusion,
+  extractPppLoans,
+  DEFAULT_COVERED_PERIODS
+};
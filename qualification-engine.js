@@ -0,0 +1,239 @@
+// qualification-engine.js
+// Applies the ERTC gross-receipts test to every quarter of 2020 and 2021.
+//
+// 2020: a quarter starts a period of significant decline when its receipts are
+// less than 50% of the same 2019 quarter (a decline of more than 50%). The
+// period continues through the first later quarter in which receipts recover
+// to more than 80% of the 2019 quarter, and ends after it.
+// 2021: a quarter qualifies when its receipts are less than 80% of the same
+// 2019 quarter (a decline of more than 20%), or under the alternative quarter
+// election, when the immediately preceding quarter was less than 80% of its
+// 2019 equivalent. The credit ended after Q3 2021 for everyone except
+// recovery startup businesses, which do not use the gross-receipts test.
+
+const QUARTERS = ['q1', 'q2', 'q3', 'q4'];
+
+// Thresholds expressed as the percentage decrease that must be exceeded
+const DECLINE_THRESHOLDS = {
+  2020: 50,
+  2021: 20
+};
+
+// A 2020 period of significant decline ends once receipts are above 80% of 2019
+const RECOVERY_PERCENTAGE_2020 = 80;
+
+// Tests that can make a quarter qualify
+const QUALIFICATION_TESTS = {
+  NORMAL: 'normal',
+  CARRYOVER: 'carryover',
+  ALTERNATIVE_QUARTER: 'alternative_quarter'
+};
+
+/**
+ * Parses a revenue figure from the form, keeping blanks distinct from zero
+ * @param {*} value - Raw value (string or number)
+ * @returns {Number|null} - Parsed amount, or null when not provided
+ */
+function parseRevenue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'string') {
+    const cleaned = value.replace(/[$,\s]/g, '');
+    if (cleaned === '') return null;
+    value = cleaned;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Builds a label such as 'Q1 2021'
+ * @param {String} q - Quarter key ('q1'..'q4')
+ * @param {Number} year - Calendar year
+ * @returns {String}
+ */
+function quarterLabel(q, year) {
+  return `${q.toUpperCase()} ${year}`;
+}
+
+/**
+ * Compares a quarter's receipts against the same quarter of 2019
+ * @param {Number|null} revenue2019 - Base period receipts
+ * @param {Number|null} comparisonRevenue - Receipts for the quarter being tested
+ * @returns {Object|null} - Change and percent decrease, or null if not comparable
+ */
+function compareToBase(revenue2019, comparisonRevenue) {
+  if (revenue2019 === null || comparisonRevenue === null || revenue2019 <= 0) {
+    return null;
+  }
+  const change = revenue2019 - comparisonRevenue;
+  return {
+    change,
+    percentDecrease: (change / revenue2019) * 100
+  };
+}
+
+/**
+ * Reads the gross_sales_<year> objects from requestedInfo
+ * @param {Object} requestedInfo - formData.requestedInfo
+ * @returns {Object} - { 2019: { q1: Number|null, ... }, 2020: {...}, 2021: {...} }
+ */
+function extractGrossReceipts(requestedInfo = {}) {
+  const receipts = {};
+  [2019, 2020, 2021].forEach(year => {
+    const source = requestedInfo[`gross_sales_${year}`] || {};
+    receipts[year] = {};
+    QUARTERS.forEach(q => {
+      receipts[year][q] = parseRevenue(source[q]);
+    });
+  });
+  return receipts;
+}
+
+/**
+ * Evaluates the 2020 quarters, tracking the period of significant decline
+ * @param {Object} receipts - Output of extractGrossReceipts
+ * @returns {Array<Object>} - Quarter analysis entries for 2020
+ */
+function analyze2020(receipts) {
+  let inDeclinePeriod = false;
+
+  return QUARTERS.map(q => {
+    const revenue2019 = receipts[2019][q];
+    const comparisonRevenue = receipts[2020][q];
+    const comparison = compareToBase(revenue2019, comparisonRevenue);
+
+    const entry = {
+      quarter: quarterLabel(q, 2020),
+      year: 2020,
+      revenues: { revenue2019, comparisonRevenue },
+      change: comparison ? comparison.change : null,
+      percentDecrease: comparison ? comparison.percentDecrease : null,
+      threshold: DECLINE_THRESHOLDS[2020],
+      qualifies: false,
+      qualificationTest: null,
+      note: null
+    };
+
+    if (!comparison) {
+      // Without figures we cannot tell whether receipts recovered, so the period ends here
+      inDeclinePeriod = false;
+      entry.note = 'Insufficient revenue data to evaluate this quarter';
+      return entry;
+    }
+
+    const percentOf2019 = 100 - comparison.percentDecrease;
+
+    if (comparison.percentDecrease > DECLINE_THRESHOLDS[2020]) {
+      entry.qualifies = true;
+      entry.qualificationTest = inDeclinePeriod
+        ? QUALIFICATION_TESTS.CARRYOVER
+        : QUALIFICATION_TESTS.NORMAL;
+      inDeclinePeriod = true;
+    } else if (inDeclinePeriod) {
+      // Still inside the period of significant decline; it closes after the
+      // first quarter in which receipts are back above 80% of 2019
+      entry.qualifies = true;
+      entry.qualificationTest = QUALIFICATION_TESTS.CARRYOVER;
+      if (percentOf2019 > RECOVERY_PERCENTAGE_2020) {
+        inDeclinePeriod = false;
+        entry.note = 'Receipts recovered above 80% of 2019; period of significant decline ends after this quarter';
+      }
+    }
+
+    return entry;
+  });
+}
+
+/**
+ * Evaluates the 2021 quarters under the normal and alternative quarter tests
+ * @param {Object} receipts - Output of extractGrossReceipts
+ * @param {Object} options - { recoveryStartupBusiness: Boolean }
+ * @returns {Array<Object>} - Quarter analysis entries for 2021
+ */
+function analyze2021(receipts, options = {}) {
+  return QUARTERS.map((q, index) => {
+    const revenue2019 = receipts[2019][q];
+    const comparisonRevenue = receipts[2021][q];
+    const comparison = compareToBase(revenue2019, comparisonRevenue);
+
+    // The alternative quarter is the immediately preceding calendar quarter
+    const previousYear = index === 0 ? 2020 : 2021;
+    const previousQ = QUARTERS[(index + 3) % 4];
+    const alternativeComparison = compareToBase(
+      receipts[2019][previousQ],
+      receipts[previousYear][previousQ]
+    );
+
+    const entry = {
+      quarter: quarterLabel(q, 2021),
+      year: 2021,
+      revenues: { revenue2019, comparisonRevenue },
+      change: comparison ? comparison.change : null,
+      percentDecrease: comparison ? comparison.percentDecrease : null,
+      threshold: DECLINE_THRESHOLDS[2021],
+      alternativeQuarter: {
+        quarter: quarterLabel(previousQ, previousYear),
+        revenue2019: receipts[2019][previousQ],
+        comparisonRevenue: receipts[previousYear][previousQ],
+        percentDecrease: alternativeComparison ? alternativeComparison.percentDecrease : null
+      },
+      qualifies: false,
+      qualificationTest: null,
+      note: null
+    };
+
+    if (q === 'q4' && !options.recoveryStartupBusiness) {
+      entry.note = 'The credit ended after Q3 2021 except for recovery startup businesses';
+      return entry;
+    }
+
+    if (comparison && comparison.percentDecrease > DECLINE_THRESHOLDS[2021]) {
+      entry.qualifies = true;
+      entry.qualificationTest = QUALIFICATION_TESTS.NORMAL;
+    } else if (alternativeComparison && alternativeComparison.percentDecrease > DECLINE_THRESHOLDS[2021]) {
+      entry.qualifies = true;
+      entry.qualificationTest = QUALIFICATION_TESTS.ALTERNATIVE_QUARTER;
+    } else if (!comparison && !alternativeComparison) {
+      entry.note = 'Insufficient revenue data to evaluate this quarter';
+    }
+
+    return entry;
+  });
+}
+
+/**
+ * Runs the gross-receipts qualification test for all 2020 and 2021 quarters
+ * @param {Object} requestedInfo - formData.requestedInfo with gross_sales_2019/2020/2021
+ * @param {Object} options - { recoveryStartupBusiness: Boolean }
+ * @returns {Object} - { qualifyingQuarters: [String], quarterAnalysis: [Object] }
+ */
+function analyzeQualification(requestedInfo = {}, options = {}) {
+  const receipts = extractGrossReceipts(requestedInfo);
+
+  const recoveryStartupBusiness = options.recoveryStartupBusiness !== undefined
+    ? options.recoveryStartupBusiness
+    : requestedInfo.recovery_startup_business === 'yes';
+
+  const quarterAnalysis = [
+    ...analyze2020(receipts),
+    ...analyze2021(receipts, { recoveryStartupBusiness })
+  ];
+
+  const qualifyingQuarters = quarterAnalysis
+    .filter(entry => entry.qualifies)
+    .map(entry => entry.quarter);
+
+  return {
+    qualifyingQuarters,
+    quarterAnalysis
+  };
+}
+
+module.exports = {
+  analyzeQualification,
+  extractGrossReceipts,
+  parseRevenue,
+  QUALIFICATION_TESTS,
+  DECLINE_THRESHOLDS,
+  RECOVERY_PERCENTAGE_2020
+};
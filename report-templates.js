@@ -0,0 +1,289 @@
+// report-templates.js
+// Templates that control how the Excel report looks: branding (logo, colors,
+// company name), which sheets appear and in what order, sheet names, the
+// order and titles of the summary sections, labels for raw form keys such as
+// 'shutdown_standards', and number formats.
+//
+// The current layout is DEFAULT_REPORT_TEMPLATE. Other templates only list
+// what they change; they are merged over the default (objects key by key,
+// arrays such as `sheets` replaced whole).
+//
+// Templates are looked up by templateId, first in the ReportTemplate
+// collection, then as report-templates/<templateId>.json on disk. A
+// submission picks one with `reportTemplate` in the payload, or through its
+// `partnerId` when a template lists that partner in `partnerIds`. Anything
+// that cannot be found or read falls back to the default, so a bad template
+// never stops a report from being generated.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { ReportTemplate, isConnected } = require('./db-connection');
+
+const TEMPLATES_DIR = process.env.REPORT_TEMPLATES_DIR || path.join(__dirname, 'report-templates');
+
+const DEFAULT_REPORT_TEMPLATE = {
+  templateId: 'default',
+  name: 'Default',
+  branding: {
+    companyName: 'ERTC Webhook Receiver',
+    // { path: 'logos/acme.png' } (relative to TEMPLATES_DIR) or { base64, extension }
+    logo: null,
+    colors: {
+      headerFill: 'FF4472C4',
+      headerText: 'FFFFFFFF',
+      sectionFill: 'FFDEEBF7',
+      qualifies: 'FF92D050',
+      missing: 'FFC00000',
+      error: 'FFFF7C80',
+      warning: 'FFFFD966',
+      info: 'FFDEEBF7'
+    }
+  },
+  // Sheets in display order; leave a sheet out to hide it
+  sheets: [
+    { key: 'summary', name: 'Form Submission Summary' },
+    // Only added once the client has amended the submission
+    { key: 'amendments', name: 'Amendments' },
+    { key: 'revenue', name: 'Revenue Analysis' },
+    { key: 'credit', name: 'Credit Estimate' },
+    { key: 'payroll', name: 'Payroll Import' },
+    { key: 'ppp', name: 'PPP Wage Exclusion' },
+    { key: 'compliance', name: 'Compliance Flags' },
+    { key: 'form941', name: 'Form 941 Cross-Check' },
+    // One sheet per amended return; {quarter} is replaced, e.g. '941-X Q2 2021'
+    { key: 'form941x', name: '941-X {quarter}' }
+  ],
+  // Sections of the summary sheet in display order; leave one out to hide it
+  summarySections: [
+    'basicInformation',
+    'qualifyingQuestions',
+    'businessChallenges',
+    'requestedInformation',
+    'ownershipStructure',
+    'relatives',
+    'uploadedFiles'
+  ],
+  sectionTitles: {
+    basicInformation: 'Basic Information',
+    qualifyingQuestions: 'Qualifying Questions',
+    businessChallenges: 'Business Challenges',
+    requestedInformation: 'Requested Information',
+    ownershipStructure: 'Ownership Structure',
+    relatives: 'Relatives',
+    uploadedFiles: 'Uploaded Files'
+  },
+  // Labels for raw form keys, e.g. { shutdown_standards: 'Affected by shutdown orders' };
+  // keys without a label are shown as they are
+  fieldLabels: {},
+  numberFormats: {
+    currency: '$#,##0.00',
+    percent: '0.00%',
+    threshold: '0%',
+    count: '0'
+  }
+};
+
+const SHEET_KEYS = DEFAULT_REPORT_TEMPLATE.sheets.map(sheet => sheet.key);
+const SUMMARY_SECTION_KEYS = [...DEFAULT_REPORT_TEMPLATE.summarySections];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Excel's limits on worksheet names
+const SHEET_NAME_MAX_LENGTH = 31;
+const SHEET_NAME_FORBIDDEN = /[\/\\?*:[\]]/;
+
+// Longest value {quarter} is replaced with in the form941x sheet name
+const QUARTER_PLACEHOLDER_SAMPLE = 'Q4 2021';
+
+/**
+ * Merges a template over a base: objects key by key, everything else replaced
+ * @param {Object} base
+ * @param {Object} override
+ * @returns {Object}
+ */
+function mergeTemplate(base, override) {
+  const merged = { ...base };
+  Object.entries(override || {}).forEach(([key, value]) => {
+    if (value === undefined) return;
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeTemplate(base[key], value)
+      : value;
+  });
+  return merged;
+}
+
+/**
+ * Why a template's sheet name cannot be used, if it cannot
+ * @param {*} name - Name from the template
+ * @param {String} key - Sheet key
+ * @returns {String|null}
+ */
+function sheetNameProblem(name, key) {
+  if (typeof name !== 'string') return 'it is not text';
+  if (name.trim() === '') return 'it is empty';
+  // Every amended return gets its own sheet, so the name has to tell them apart
+  if (key === 'form941x' && !name.includes('{quarter}')) return 'it has no {quarter} placeholder';
+  const resolved = name.replace('{quarter}', QUARTER_PLACEHOLDER_SAMPLE);
+  if (SHEET_NAME_FORBIDDEN.test(resolved)) return 'it contains one of / \\ ? * : [ ]';
+  if (resolved.startsWith("'") || resolved.endsWith("'")) return 'it starts or ends with an apostrophe';
+  if (resolved.length > SHEET_NAME_MAX_LENGTH) return `it is longer than ${SHEET_NAME_MAX_LENGTH} characters`;
+  return null;
+}
+
+/**
+ * Gives every sheet a name Excel accepts and no other sheet has (names are
+ * compared case-insensitively, as Excel does). A name that does not qualify
+ * falls back to the sheet's default name.
+ * @param {String} templateId
+ * @param {Array<Object>} sheets - [{ key, name }] from the template
+ * @returns {Array<Object>} - [{ key, name }]
+ */
+function assignSheetNames(templateId, sheets) {
+  const defaultName = key => DEFAULT_REPORT_TEMPLATE.sheets.find(entry => entry.key === key).name;
+  // Sheets left out of the template are still built under their default name
+  const taken = new Set(SHEET_KEYS
+    .filter(key => !sheets.some(sheet => sheet.key === key))
+    .map(key => defaultName(key).toLowerCase()));
+
+  return sheets.map(sheet => {
+    let name = sheet.name || defaultName(sheet.key);
+    const problem = sheetNameProblem(name, sheet.key)
+      || (taken.has(name.toLowerCase()) ? 'another sheet already has it' : null);
+    if (problem) {
+      console.error(`Report template ${templateId}: sheet name ${JSON.stringify(sheet.name)} for ${sheet.key} cannot be used because ${problem}; using the default`);
+      name = defaultName(sheet.key);
+      for (let suffix = 2; taken.has(name.toLowerCase()); suffix++) {
+        name = `${defaultName(sheet.key)} ${suffix}`;
+      }
+    }
+    taken.add(name.toLowerCase());
+    return { key: sheet.key, name };
+  });
+}
+
+/**
+ * Merges a template over the default and drops entries the generator does not know
+ * @param {Object} definition - Template as stored
+ * @returns {Object} - Complete template
+ */
+function resolveTemplate(definition) {
+  const template = mergeTemplate(DEFAULT_REPORT_TEMPLATE, definition);
+
+  const sheets = (Array.isArray(template.sheets) ? template.sheets : [])
+    .map(sheet => (typeof sheet === 'string' ? { key: sheet } : sheet))
+    .filter(sheet => {
+      if (sheet && SHEET_KEYS.includes(sheet.key)) return true;
+      console.error(`Report template ${template.templateId}: ignoring unknown sheet ${JSON.stringify(sheet)}`);
+      return false;
+    })
+    // A sheet listed twice would be built once; keep its first place
+    .filter((sheet, index, list) => list.findIndex(entry => entry.key === sheet.key) === index);
+
+  const summarySections = (Array.isArray(template.summarySections) ? template.summarySections : [])
+    .filter(section => {
+      if (SUMMARY_SECTION_KEYS.includes(section)) return true;
+      console.error(`Report template ${template.templateId}: ignoring unknown summary section ${JSON.stringify(section)}`);
+      return false;
+    });
+
+  return { ...template, sheets: assignSheetNames(template.templateId, sheets), summarySections };
+}
+
+/**
+ * Reads a template file from TEMPLATES_DIR
+ * @param {String} templateId
+ * @returns {Object|null}
+ */
+function readTemplateFile(templateId) {
+  // Template IDs come from payloads; never let one point outside the directory
+  if (!/^[\w-]+$/.test(templateId)) return null;
+  const filePath = path.join(TEMPLATES_DIR, `${templateId}.json`);
+  if (!fs.existsSync(filePath)) return null;
+  return { templateId, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+}
+
+/**
+ * Lists the templates on disk
+ * @returns {Array<Object>}
+ */
+function readTemplateFiles() {
+  if (!fs.existsSync(TEMPLATES_DIR)) return [];
+  return fs.readdirSync(TEMPLATES_DIR)
+    .filter(name => name.endsWith('.json'))
+    .map(name => {
+      try {
+        return readTemplateFile(path.basename(name, '.json'));
+      } catch (error) {
+        console.error(`Error reading report template ${name}:`, error.message);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Finds the stored template for a template ID or partner
+ * @param {Object} selection - { templateId, partnerId }
+ * @returns {Promise<Object|null>} - Stored definition
+ */
+async function findTemplateDefinition({ templateId, partnerId }) {
+  if (isConnected()) {
+    const query = templateId ? { templateId } : { partnerIds: partnerId };
+    const stored = await ReportTemplate.findOne(query).lean();
+    if (stored) return { ...stored.definition, templateId: stored.templateId, partnerIds: stored.partnerIds };
+  }
+  if (templateId) return readTemplateFile(templateId);
+  return readTemplateFiles().find(template => (template.partnerIds || []).includes(partnerId)) || null;
+}
+
+/**
+ * Selects the report template for a submission
+ * @param {Object} originalData - Webhook payload (reportTemplate, partnerId)
+ * @returns {Promise<Object>} - Complete template; the default when none matches
+ */
+async function loadReportTemplate(originalData = {}) {
+  const templateId = originalData.reportTemplate || null;
+  const partnerId = originalData.partnerId || null;
+  if (!templateId && !partnerId) return resolveTemplate({});
+
+  try {
+    const definition = await findTemplateDefinition({ templateId, partnerId });
+    if (definition) return resolveTemplate(definition);
+    if (templateId) {
+      console.error(`Report template ${templateId} not found; using the default template`);
+    }
+  } catch (error) {
+    console.error('Error loading report template; using the default template:', error.message);
+  }
+  return resolveTemplate({});
+}
+
+/**
+ * Image options for ExcelJS's workbook.addImage, from a template's logo
+ * @param {Object} logo - branding.logo
+ * @returns {Object|null} - { filename, extension } or { base64, extension }
+ */
+function resolveLogo(logo) {
+  if (!logo) return null;
+  if (logo.base64) {
+    return { base64: logo.base64, extension: logo.extension || 'png' };
+  }
+  if (logo.path) {
+    const filePath = path.resolve(TEMPLATES_DIR, logo.path);
+    if (!filePath.startsWith(path.resolve(TEMPLATES_DIR) + path.sep) || !fs.existsSync(filePath)) {
+      console.error(`Report template logo ${logo.path} not found`);
+      return null;
+    }
+    return { filename: filePath, extension: path.extname(filePath).slice(1).toLowerCase().replace('jpg', 'jpeg') };
+  }
+  return null;
+}
+
+module.exports = {
+  loadReportTemplate,
+  resolveTemplate,
+  resolveLogo,
+  DEFAULT_REPORT_TEMPLATE,
+  SHEET_KEYS,
+  SUMMARY_SECTION_KEYS
+};
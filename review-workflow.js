@@ -0,0 +1,148 @@
+// review-workflow.js
+// Staff review of a submission once its report exists: a status lifecycle
+// with allowed transitions, reviewer assignment, internal notes, and staff
+// overrides of a quarter's qualification.
+//
+// Lifecycle:
+//   submitted       -> in_review, rejected
+//   in_review       -> needs_documents, approved, rejected
+//   needs_documents -> in_review, rejected
+//   approved        -> filed, in_review (reopened)
+//   rejected        -> in_review (reopened)
+//   filed           (final)
+//
+// Overrides are kept in review.overrides, apart from the computed
+// report.qualificationData. Every override is kept; the latest one for a
+// quarter applies, and one with `qualifies: null` returns the quarter to the
+// computed result. Reports generated afterwards use the overridden quarters.
+const { QUARTER_KEYS, quarterKeyToLabel } = require('./credit-calculator');
+
+const REVIEW_STATUSES = {
+  SUBMITTED: 'submitted',
+  IN_REVIEW: 'in_review',
+  NEEDS_DOCUMENTS: 'needs_documents',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  FILED: 'filed'
+};
+
+const REVIEW_TRANSITIONS = {
+  [REVIEW_STATUSES.SUBMITTED]: [REVIEW_STATUSES.IN_REVIEW, REVIEW_STATUSES.REJECTED],
+  [REVIEW_STATUSES.IN_REVIEW]: [REVIEW_STATUSES.NEEDS_DOCUMENTS, REVIEW_STATUSES.APPROVED, REVIEW_STATUSES.REJECTED],
+  [REVIEW_STATUSES.NEEDS_DOCUMENTS]: [REVIEW_STATUSES.IN_REVIEW, REVIEW_STATUSES.REJECTED],
+  [REVIEW_STATUSES.APPROVED]: [REVIEW_STATUSES.FILED, REVIEW_STATUSES.IN_REVIEW],
+  [REVIEW_STATUSES.REJECTED]: [REVIEW_STATUSES.IN_REVIEW],
+  [REVIEW_STATUSES.FILED]: []
+};
+
+const QUARTER_LABELS = QUARTER_KEYS.map(quarterKeyToLabel);
+
+const MAX_NOTE_LENGTH = 5000;
+
+/**
+ * Review status of a submission; submissions saved before the workflow existed are 'submitted'
+ * @param {Object} submission
+ * @returns {String}
+ */
+function currentReviewStatus(submission) {
+  return (submission && submission.review && submission.review.status) || REVIEW_STATUSES.SUBMITTED;
+}
+
+/**
+ * Checks a status change against the lifecycle
+ * @param {String} from - Current status
+ * @param {String} to - Requested status
+ * @returns {String|null} - Why the change is not allowed, or null
+ */
+function checkTransition(from, to) {
+  if (!REVIEW_TRANSITIONS[to]) {
+    return `Unknown review status "${to}"; expected one of ${Object.keys(REVIEW_TRANSITIONS).join(', ')}`;
+  }
+  if (!REVIEW_TRANSITIONS[from].includes(to)) {
+    const allowed = REVIEW_TRANSITIONS[from];
+    return `Cannot move a submission from ${from} to ${to}; allowed: ${allowed.length > 0 ? allowed.join(', ') : 'none'}`;
+  }
+  return null;
+}
+
+/**
+ * Accepts 'Q1 2021', 'q1 2021', 'Q1-2021' or 'q1_2021'
+ * @param {String} value
+ * @returns {String|null} - e.g. 'Q1 2021'
+ */
+function normalizeQuarter(value) {
+  const match = /^\s*q([1-4])[\s_-]*(20\d{2})\s*$/i.exec(String(value || ''));
+  if (!match) return null;
+  const label = `Q${match[1]} ${match[2]}`;
+  return QUARTER_LABELS.includes(label) ? label : null;
+}
+
+/**
+ * Validates a note body
+ * @param {*} text
+ * @returns {String|null} - Why the note is not valid, or null
+ */
+function checkNote(text) {
+  if (typeof text !== 'string' || text.trim() === '') return 'Note text is required';
+  if (text.length > MAX_NOTE_LENGTH) return `Notes are limited to ${MAX_NOTE_LENGTH} characters`;
+  return null;
+}
+
+/**
+ * Validates an override request
+ * @param {Object} body - { quarter, qualifies, reason }
+ * @returns {Object} - { error } or { override: { quarter, qualifies, reason } }
+ */
+function parseOverride(body = {}) {
+  const quarter = normalizeQuarter(body.quarter);
+  if (!quarter) {
+    return { error: `quarter must be one of ${QUARTER_LABELS.join(', ')}` };
+  }
+  if (body.qualifies !== true && body.qualifies !== false && body.qualifies !== null) {
+    return { error: 'qualifies must be true, false, or null to return to the computed result' };
+  }
+  if (typeof body.reason !== 'string' || body.reason.trim() === '') {
+    return { error: 'A reason is required for every override' };
+  }
+  return { override: { quarter, qualifies: body.qualifies, reason: body.reason.trim() } };
+}
+
+/**
+ * The override in effect for each quarter
+ * @param {Array<Object>} overrides - review.overrides, oldest first
+ * @returns {Array<Object>} - Latest override per quarter, without cleared ones
+ */
+function effectiveOverrides(overrides) {
+  const latest = {};
+  (overrides || []).forEach(override => {
+    latest[override.quarter] = override;
+  });
+  return Object.values(latest).filter(override => override.qualifies === true || override.qualifies === false);
+}
+
+/**
+ * Applies staff overrides to the computed qualifying quarters
+ * @param {Array<String>} qualifyingQuarters - Computed by the qualification engine
+ * @param {Array<Object>} overrides - From effectiveOverrides
+ * @returns {Array<String>} - Qualifying quarters after overrides, in calendar order
+ */
+function applyQualificationOverrides(qualifyingQuarters, overrides) {
+  const qualifying = new Set(qualifyingQuarters || []);
+  (overrides || []).forEach(override => {
+    if (override.qualifies) qualifying.add(override.quarter);
+    else qualifying.delete(override.quarter);
+  });
+  return QUARTER_LABELS.filter(label => qualifying.has(label));
+}
+
+module.exports = {
+  currentReviewStatus,
+  checkTransition,
+  normalizeQuarter,
+  checkNote,
+  parseOverride,
+  effectiveOverrides,
+  applyQualificationOverrides,
+  REVIEW_STATUSES,
+  REVIEW_TRANSITIONS
+};
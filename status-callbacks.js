@@ -0,0 +1,265 @@
+// status-callbacks.js
+// Outbound webhooks telling the intake app what happened to a submission.
+//
+// Callbacks go to every URL in CALLBACK_URLS (comma separated, configured per
+// environment) and to the submission's own callbackUrl if the payload had one.
+// Each request is signed like inbound webhooks (X-Webhook-Timestamp and
+// X-Webhook-Signature, HMAC-SHA256 over `${timestamp}.${body}` with
+// CALLBACK_SECRET) and retried with backoff through the job queue. Every
+// attempt is recorded on a CallbackDelivery document.
+//
+// A per-submission callbackUrl comes from the client, so it must not reach the
+// server's own network: its host has to be on CALLBACK_ALLOWED_HOSTS (when
+// set), and it must not be or resolve to a loopback, private, link-local or
+// otherwise reserved address. The resolved address is checked again when the
+// request connects, so a DNS answer that changes after validation is caught.
+require('dotenv').config();
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { CallbackDelivery } = require('./db-connection');
+const { enqueueJob, notifyWorker, registerJobHandler } = require('./job-queue');
+const { signPayload } = require('./webhook-auth');
+
+const DELIVER_CALLBACK_JOB = 'deliver_callback';
+
+const CALLBACK_EVENTS = {
+  SUBMISSION_RECEIVED: 'submission.received',
+  REPORT_GENERATED: 'report.generated',
+  REPORT_FAILED: 'report.failed'
+};
+
+const CALLBACK_URLS = (process.env.CALLBACK_URLS || '')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean);
+
+const CALLBACK_SECRET = process.env.CALLBACK_SECRET || '';
+const CALLBACK_TIMEOUT_MS = parseInt(process.env.CALLBACK_TIMEOUT_MS, 10) || 10000;
+const CALLBACK_MAX_ATTEMPTS = parseInt(process.env.CALLBACK_MAX_ATTEMPTS, 10) || 6;
+
+// Hosts a per-submission callbackUrl may use; empty allows any public host
+const CALLBACK_ALLOWED_HOSTS = (process.env.CALLBACK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Addresses a per-submission callback may never connect to
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const BLOCKED_ADDRESS_CODE = 'ECALLBACKBLOCKED';
+
+if (CALLBACK_URLS.length > 0 && !CALLBACK_SECRET) {
+  console.log('WARNING: CALLBACK_SECRET is not set; status callbacks will be sent unsigned');
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise reserved
+ * @param {String} address - IPv4 or IPv6 address
+ * @returns {Boolean}
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup replacement for callback requests that refuses blocked addresses,
+ * so the check applies to the address actually connected to
+ * @param {String} hostname
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      const refused = new Error(`Callback host ${hostname} resolves to a non-public address (${blocked.address})`);
+      refused.code = BLOCKED_ADDRESS_CODE;
+      return callback(refused);
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const guardedAgents = {
+  httpAgent: new http.Agent({ lookup: guardedLookup }),
+  httpsAgent: new https.Agent({ lookup: guardedLookup })
+};
+
+/**
+ * Whether a per-submission callback URL is acceptable. Host names are
+ * resolved when the callback is sent (see guardedLookup).
+ * @param {String} url
+ * @returns {Boolean}
+ */
+function isValidCallbackUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const protocols = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+    if (!protocols.includes(parsed.protocol)) return false;
+
+    const host = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (CALLBACK_ALLOWED_HOSTS.length > 0 && !CALLBACK_ALLOWED_HOSTS.includes(host)) return false;
+    if (host === 'localhost' || host.endsWith('.localhost')) return false;
+    return net.isIP(host) === 0 || !isBlockedAddress(host);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Queues a callback for every configured URL
+ * @param {String} event - One of CALLBACK_EVENTS
+ * @param {Object} submission - Submission document or plain object (submissionId, callbackUrl, report)
+ * @param {Object} details - Extra fields for the payload (e.g. error)
+ * @returns {Promise<Number>} - Number of deliveries queued
+ */
+async function emitSubmissionEvent(event, submission, details = {}) {
+  const urls = [...CALLBACK_URLS];
+  if (submission.callbackUrl && !isValidCallbackUrl(submission.callbackUrl)) {
+    console.error(`Ignoring callback URL for ${submission.submissionId}: ${submission.callbackUrl}`);
+  } else if (submission.callbackUrl && !urls.includes(submission.callbackUrl)) {
+    urls.push(submission.callbackUrl);
+  }
+  if (urls.length === 0) return 0;
+
+  const report = submission.report || {};
+  const payload = {
+    event,
+    submissionId: submission.submissionId,
+    occurredAt: new Date().toISOString(),
+    reportFileId: report.fileId ? String(report.fileId) : null,
+    qualifyingQuarters: (report.qualificationData && report.qualificationData.qualifyingQuarters) || [],
+    ...details
+  };
+
+  for (const url of urls) {
+    try {
+      const delivery = await CallbackDelivery.create({
+        submissionId: submission.submissionId,
+        event,
+        url,
+        payload
+      });
+      await enqueueJob(DELIVER_CALLBACK_JOB, {
+        submissionId: submission.submissionId,
+        payload: { deliveryId: delivery._id },
+        maxAttempts: CALLBACK_MAX_ATTEMPTS
+      });
+    } catch (error) {
+      // A callback problem must never fail the submission itself
+      console.error(`Error queueing ${event} callback to ${url}:`, error.message);
+    }
+  }
+  notifyWorker();
+  return urls.length;
+}
+
+/**
+ * Job handler: sends one callback and records the attempt
+ * @param {Object} job - ProcessingJob with payload.deliveryId
+ */
+async function deliverCallback(job) {
+  const delivery = await CallbackDelivery.findById(job.payload && job.payload.deliveryId);
+  if (!delivery) {
+    const error = new Error('Callback delivery record not found');
+    error.permanent = true;
+    throw error;
+  }
+  if (delivery.status === 'delivered') return;
+
+  // Configured URLs are trusted; anything else came with a submission
+  const configured = CALLBACK_URLS.includes(delivery.url);
+  if (!configured && !isValidCallbackUrl(delivery.url)) {
+    await CallbackDelivery.updateOne(
+      { _id: delivery._id },
+      { $push: { attempts: { at: new Date(), error: 'Callback URL is not allowed', durationMs: 0 } } }
+    );
+    const error = new Error(`Callback URL is not allowed: ${delivery.url}`);
+    error.permanent = true;
+    throw error;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Webhook-Event': delivery.event,
+    'X-Webhook-Delivery': String(delivery._id),
+    'X-Webhook-Timestamp': String(timestamp)
+  };
+  if (CALLBACK_SECRET) {
+    headers['X-Webhook-Signature'] = signPayload(CALLBACK_SECRET, timestamp, body);
+  }
+
+  const startedAt = Date.now();
+  let statusCode = null;
+  let failure = null;
+  try {
+    const response = await axios.post(delivery.url, body, {
+      headers,
+      timeout: CALLBACK_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      ...(configured ? {} : guardedAgents)
+    });
+    statusCode = response.status;
+    if (statusCode < 200 || statusCode >= 300) {
+      failure = new Error(`Callback endpoint responded with ${statusCode}`);
+      // Client errors other than timeouts and rate limits will not succeed on retry
+      failure.permanent = statusCode >= 400 && statusCode < 500 && ![408, 429].includes(statusCode);
+    }
+  } catch (error) {
+    failure = error;
+    failure.permanent = error.code === BLOCKED_ADDRESS_CODE || (error.cause && error.cause.code === BLOCKED_ADDRESS_CODE);
+  }
+
+  const attempt = {
+    at: new Date(),
+    statusCode,
+    error: failure ? failure.message : undefined,
+    durationMs: Date.now() - startedAt
+  };
+
+  if (!failure) {
+    await CallbackDelivery.updateOne(
+      { _id: delivery._id },
+      { $set: { status: 'delivered', deliveredAt: new Date() }, $push: { attempts: attempt } }
+    );
+    console.log(`Delivered ${delivery.event} callback for ${delivery.submissionId} to ${delivery.url}`);
+    return;
+  }
+
+  await CallbackDelivery.updateOne({ _id: delivery._id }, { $push: { attempts: attempt } });
+  throw failure;
+}
+
+// Mark the delivery as failed once the job gives up
+deliverCallback.onDeadLetter = async (job) => {
+  await CallbackDelivery.updateOne(
+    { _id: job.payload && job.payload.deliveryId },
+    { $set: { status: 'failed' } }
+  );
+};
+
+registerJobHandler(DELIVER_CALLBACK_JOB, deliverCallback);
+
+module.exports = {
+  emitSubmissionEvent,
+  isValidCallbackUrl,
+  CALLBACK_EVENTS
+};
@@ -0,0 +1,511 @@
+// submission-processor.js
+// Background processing of a received submission: copies the uploaded files
+// into GridFS, runs the qualification analysis and stores the Excel report
+// and the PDF summary.
+// Each step is safe to repeat, since a failed job is retried from the start.
+//
+// Running the job again for a processed submission regenerates its report
+// from the stored originalData and files. Every report is kept as a version in
+// reportVersions, with the generator version and a hash of its inputs, and
+// report points at the current one.
+const crypto = require('crypto');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { GridFSBucket } = require('mongodb');
+const { generateExcelReport, REPORT_GENERATOR_VERSION, EXCEL_BUCKET } = require('./excel-generator');
+const { generatePdfSummary, PDF_BUCKET } = require('./pdf-summary');
+const { loadReportTemplate } = require('./report-templates');
+const { effectiveOverrides } = require('./review-workflow');
+const { Submission, ProcessingJob, isConnected } = require('./db-connection');
+const { registerJobHandler, enqueueJob } = require('./job-queue');
+const { assignFileCategories, buildDocumentChecklist } = require('./document-checklist');
+const { scanFile, SCAN_VERDICTS } = require('./file-scanner');
+const { extract941 } = require('./form941-extractor');
+const { importPayrollFiles } = require('./payroll-importer');
+const { emitSubmissionEvent, CALLBACK_EVENTS } = require('./status-callbacks');
+const { recordAuditEvent, AUDIT_ACTIONS, SYSTEM_ACTOR } = require('./audit-log');
+
+const PROCESS_SUBMISSION_JOB = 'process_submission';
+
+// Why a report was generated; recorded on each version
+const REPORT_REASONS = {
+  RECEIVED: 'received',
+  MANUAL: 'manual',
+  BULK: 'bulk',
+  OVERRIDE: 'override',
+  AMENDMENT: 'amendment'
+};
+
+// Function to store a file in GridFS
+async function storeFileInGridFS(filePath, fileName, mimeType, metadata) {
+  if (!isConnected()) {
+    // Not permanent: the job is retried once the connection is back
+    throw new Error('MongoDB is not connected; cannot store file in GridFS');
+  }
+  return new Promise((resolve, reject) => {
+    const bucket = new GridFSBucket(mongoose.connection.db, {
+      bucketName: 'clientFiles'
+    });
+
+    const fileStream = fs.createReadStream(filePath);
+    const uploadStream = bucket.openUploadStream(fileName, {
+      metadata: {
+        ...metadata,
+        contentType: mimeType,
+        uploadedAt: new Date()
+      }
+    });
+
+    const fileId = uploadStream.id;
+
+    fileStream.on('error', (error) => {
+      uploadStream.abort().catch(() => {});
+      reject(error);
+    });
+
+    fileStream.pipe(uploadStream);
+
+    uploadStream.on('error', (error) => {
+      console.error('Error uploading file to GridFS:', error);
+      reject(error);
+    });
+
+    uploadStream.on('finish', () => {
+      console.log(`File ${fileName} saved to GridFS with ID: ${fileId}`);
+      resolve(fileId);
+    });
+  });
+}
+
+// Read a stored file back from GridFS into memory
+async function readFileFromGridFS(fileId, bucketName = 'clientFiles') {
+  const bucket = new GridFSBucket(mongoose.connection.db, { bucketName });
+  const chunks = [];
+  for await (const chunk of bucket.openDownloadStream(fileId)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Deletes report files a failed attempt stored but never recorded on the
+ * submission. If the failed write may have been applied after all (the
+ * submission references the report), nothing is deleted.
+ * @param {String} submissionId
+ * @param {Array<Object>} files - [{ bucketName, fileId }]; the Excel report first
+ */
+async function discardUnrecordedFiles(submissionId, files) {
+  try {
+    const recorded = await Submission.exists({ submissionId, 'reportVersions.fileId': files[0].fileId });
+    if (recorded) return;
+    for (const { bucketName, fileId } of files) {
+      await new GridFSBucket(mongoose.connection.db, { bucketName }).delete(fileId);
+    }
+    console.log(`Deleted ${files.length} unrecorded report file(s) of submission ${submissionId}`);
+  } catch (error) {
+    console.error(`Error deleting unrecorded report files of submission ${submissionId}:`, error.message);
+  }
+}
+
+/**
+ * Works out file categories from the stored submission. Submissions received
+ * before category matching existed have no categories or checklist of their own;
+ * files that were categorized on receipt, including amendment files, keep theirs.
+ * @param {Object} submission - Submission document
+ * @returns {Object} - Result of assignFileCategories
+ */
+function resolveFileCategories(submission) {
+  const originalData = submission.originalData || {};
+  const assignment = assignFileCategories(
+    (submission.receivedFiles || []).map(file => ({
+      originalName: file.originalName,
+      fieldname: file.fieldname,
+      size: file.size,
+      mimetype: file.mimetype
+    })),
+    originalData.formData || {},
+    originalData.fileManifest
+  );
+  assignment.receivedFiles.forEach((entry, index) => {
+    const stored = submission.receivedFiles[index].category;
+    if (stored) entry.category = stored;
+  });
+  return assignment;
+}
+
+/**
+ * Scans received files and copies the clean ones that are not yet in GridFS,
+ * recording each one on the submission as soon as it is handled so a retry
+ * does not store it twice
+ * @param {Object} submission - Submission document
+ * @param {Object} categoryAssignment - From resolveFileCategories
+ */
+async function ingestFiles(submission, categoryAssignment) {
+  const stored = new Set((submission.gridFSFiles || []).map(f => f.savedPath));
+
+  for (const [index, file] of (submission.receivedFiles || []).entries()) {
+    if (stored.has(file.savedPath)) continue;
+
+    // Files received before upload validation existed have no category or sniffed type
+    const fileCategory = file.category || categoryAssignment.receivedFiles[index].category;
+    const mimetype = file.detectedMimetype || file.mimetype;
+
+    const scan = await scanFile(file.savedPath);
+    let fileId = null;
+    if (scan.verdict === SCAN_VERDICTS.INFECTED) {
+      console.error(`- ${file.originalName} failed the malware scan (${scan.signature}); not stored`);
+      await fs.promises.unlink(file.savedPath).catch(() => {});
+    } else {
+      fileId = await storeFileInGridFS(
+        file.savedPath,
+        file.filename || file.originalName,
+        mimetype,
+        {
+          submissionId: submission.submissionId,
+          fileCategory,
+          originalName: file.originalName,
+          originalSize: file.size,
+          scanVerdict: scan.verdict
+        }
+      );
+      console.log(`- ${file.originalName} (${file.size} bytes) stored in GridFS with ID: ${fileId}`);
+    }
+
+    const entry = {
+      originalName: file.originalName,
+      savedPath: file.savedPath,
+      fileId: fileId,
+      size: file.size,
+      mimetype: mimetype,
+      category: fileCategory,
+      detectedType: file.detectedType,
+      scan: scan
+    };
+    await Submission.updateOne(
+      { submissionId: submission.submissionId },
+      { $push: { gridFSFiles: entry } }
+    );
+    submission.gridFSFiles.push(entry);
+  }
+}
+
+/**
+ * Reads the figures from every stored Form 941 that has not been read yet and
+ * records them on its gridFSFiles entry
+ * @param {Object} submission - Submission document
+ * @returns {Promise<Array>} - [{ fileName, ...extraction }] for every 941 of the submission
+ */
+async function extract941Forms(submission) {
+  const extractions = [];
+  for (const file of submission.gridFSFiles || []) {
+    if (file.category !== 'quarterly_941_forms' || !file.fileId) continue;
+
+    let form941 = file.form941 && file.form941.status ? file.form941 : null;
+    if (!form941) {
+      const buffer = await readFileFromGridFS(file.fileId);
+      form941 = await extract941(buffer, file.originalName);
+      await Submission.updateOne(
+        { submissionId: submission.submissionId, 'gridFSFiles.fileId': file.fileId },
+        { $set: { 'gridFSFiles.$.form941': form941 } }
+      );
+      console.log(`- Form 941 ${file.originalName}: ${form941.status}${form941.quarter ? ` (${form941.quarter})` : ''}`);
+    }
+
+    const plain = typeof form941.toObject === 'function' ? form941.toObject() : form941;
+    extractions.push({ fileName: file.originalName, ...plain });
+  }
+  return extractions;
+}
+
+/**
+ * Imports the payroll registers uploaded as wages_by_period into a per-employee,
+ * per-quarter wage table and stores it on the submission
+ * @param {Object} submission - Submission document
+ * @returns {Promise<Object|null>} - payrollImport, or null when there is no register to import
+ */
+async function importPayroll(submission) {
+  // Legacy .xls registers are accepted on upload but cannot be read; they are
+  // passed on so the import lists them as unsupported instead of skipping them
+  const registers = (submission.gridFSFiles || []).filter(file =>
+    file.category === 'wages_by_period' && file.fileId && ['xlsx', 'xls', 'csv'].includes(file.detectedType));
+  if (registers.length === 0) return null;
+
+  const files = [];
+  for (const file of registers) {
+    files.push({
+      fileName: file.originalName,
+      fileId: file.fileId,
+      type: file.detectedType,
+      buffer: file.detectedType === 'xls' ? null : await readFileFromGridFS(file.fileId)
+    });
+  }
+
+  const mapping = (submission.originalData && submission.originalData.payrollColumnMapping) || {};
+  const payrollImport = await importPayrollFiles(files, mapping);
+  await Submission.updateOne({ submissionId: submission.submissionId }, { $set: { payrollImport } });
+
+  const errorCount = payrollImport.files.reduce((sum, file) => sum + file.errorCount, 0);
+  console.log(`- Imported payroll for ${payrollImport.employeeWages.length} employee(s) from ${files.length} file(s); ${errorCount} mapping error(s)`);
+  return payrollImport;
+}
+
+/**
+ * Hash of everything a report is built from: the form data, the stored files,
+ * the staff overrides and the template. Two versions with the same hash and
+ * generator version have the same content.
+ * @param {Object} submission - Submission document
+ * @param {Array<Object>} overrides - From effectiveOverrides
+ * @param {Object} template - Complete report template
+ * @returns {String} - Hex digest
+ */
+function hashReportInputs(submission, overrides, template) {
+  const inputs = {
+    originalData: submission.originalData || {},
+    files: (submission.gridFSFiles || []).map(file => ({
+      fileId: file.fileId ? String(file.fileId) : null,
+      originalName: file.originalName,
+      size: file.size,
+      category: file.category
+    })),
+    overrides: overrides.map(({ quarter, qualifies, reason }) => ({ quarter, qualifies, reason })),
+    template
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(inputs)).digest('hex');
+}
+
+/**
+ * Version entry for a report generated before versioning, so it is kept in
+ * reportVersions when the submission is regenerated
+ * @param {Object} report - submission.report
+ * @returns {Object}
+ */
+function legacyReportVersion(report) {
+  return {
+    version: 1,
+    fileId: report.fileId,
+    filename: report.filename,
+    pdfFileId: report.pdf && report.pdf.fileId,
+    generatedAt: report.generatedAt,
+    generatorVersion: null,
+    inputsHash: null,
+    templateId: report.templateId,
+    reason: REPORT_REASONS.RECEIVED,
+    requestedBy: null,
+    jobId: null
+  };
+}
+
+/**
+ * Job handler: ingests files and generates the report for one submission
+ * @param {Object} job - ProcessingJob document
+ * @param {Object} context - { reportProgress }
+ */
+async function processSubmission(job, { reportProgress }) {
+  const submission = await Submission.findOne({ submissionId: job.submissionId });
+  if (!submission) {
+    const error = new Error(`Submission ${job.submissionId} not found`);
+    error.permanent = true;
+    throw error;
+  }
+
+  await Submission.updateOne({ submissionId: submission.submissionId }, { $set: { processingStatus: 'processing' } });
+
+  const categoryAssignment = resolveFileCategories(submission);
+  let documentChecklist = submission.documentChecklist;
+  if (!documentChecklist || !documentChecklist.items || documentChecklist.items.length === 0) {
+    documentChecklist = buildDocumentChecklist(categoryAssignment);
+    await Submission.updateOne({ submissionId: submission.submissionId }, { $set: { documentChecklist } });
+  }
+
+  await reportProgress('storing_files', 10);
+  await ingestFiles(submission, categoryAssignment);
+
+  await reportProgress('reading_941_forms', 30);
+  const form941Extractions = await extract941Forms(submission);
+
+  await reportProgress('importing_payroll', 40);
+  const payrollImport = await importPayroll(submission);
+
+  await reportProgress('generating_report', 50);
+  const reportTemplate = await loadReportTemplate(submission.originalData || {});
+  const qualificationOverrides = effectiveOverrides(submission.review && submission.review.overrides)
+    .map(override => ({
+      quarter: override.quarter,
+      qualifies: override.qualifies,
+      reason: override.reason,
+      by: override.by,
+      at: override.at
+    }));
+  const previousReport = submission.report && submission.report.generated ? submission.report : null;
+  const priorVersions = (submission.reportVersions || []).map(entry => entry.toObject());
+  const legacyVersion = previousReport && priorVersions.length === 0 ? legacyReportVersion(previousReport) : null;
+  if (legacyVersion) priorVersions.push(legacyVersion);
+  const version = priorVersions.reduce((highest, entry) => Math.max(highest, entry.version || 0), 0) + 1;
+  const inputsHash = hashReportInputs(submission, qualificationOverrides, reportTemplate);
+
+  const reportResult = await generateExcelReport({
+    receivedAt: submission.receivedAt,
+    originalData: submission.originalData,
+    receivedFiles: categoryAssignment.receivedFiles,
+    documentChecklist: documentChecklist,
+    form941Extractions: form941Extractions,
+    payrollImport: payrollImport,
+    qualificationOverrides: qualificationOverrides,
+    amendments: (submission.amendments || []).map(amendment => amendment.toObject())
+  }, submission.submissionId, reportTemplate, { version, inputsHash });
+
+  // Files this attempt wrote are deleted if it fails before recording them, so a
+  // retried or dead-lettered job leaves nothing unreferenced in GridFS
+  const writtenFiles = [{ bucketName: EXCEL_BUCKET, fileId: reportResult.fileId }];
+  let pdfResult;
+  let versionEntry;
+  try {
+    await reportProgress('generating_pdf', 80);
+    pdfResult = await generatePdfSummary({
+      receivedAt: submission.receivedAt,
+      formData: (submission.originalData || {}).formData,
+      qualificationData: reportResult.qualificationData,
+      creditEstimate: reportResult.creditEstimate,
+      documentChecklist: documentChecklist,
+      qualificationOverrides: qualificationOverrides
+    }, submission.submissionId);
+    writtenFiles.push({ bucketName: PDF_BUCKET, fileId: pdfResult.fileId });
+
+    await reportProgress('saving', 90);
+    const payload = job.payload || {};
+    const generatedAt = new Date();
+    versionEntry = {
+      version,
+      fileId: reportResult.fileId,
+      filename: reportResult.filename,
+      pdfFileId: pdfResult.fileId,
+      generatedAt,
+      generatorVersion: reportResult.generatorVersion,
+      inputsHash,
+      templateId: reportResult.templateId,
+      reason: payload.reason || REPORT_REASONS.RECEIVED,
+      requestedBy: payload.requestedBy || null,
+      jobId: String(job._id)
+    };
+    // Versions are pushed, never rewritten from the copy read at the start, so a
+    // version saved by another job meanwhile is kept
+    if (legacyVersion) {
+      await Submission.updateOne(
+        { submissionId: submission.submissionId, 'reportVersions.0': { $exists: false } },
+        { $push: { reportVersions: legacyVersion } }
+      );
+    }
+    await Submission.updateOne(
+      { submissionId: submission.submissionId },
+      {
+        $push: { reportVersions: versionEntry },
+        $set: {
+          processingStatus: 'completed',
+          report: {
+            generated: true,
+            fileId: reportResult.fileId,
+            filename: reportResult.filename,
+            generatedAt,
+            templateId: reportResult.templateId,
+            version,
+            generatorVersion: reportResult.generatorVersion,
+            inputsHash,
+            appliedOverrides: qualificationOverrides,
+            qualificationData: reportResult.qualificationData,
+            creditEstimate: reportResult.creditEstimate,
+            form941CrossCheck: reportResult.form941CrossCheck,
+            form941x: reportResult.form941x,
+            pdf: {
+              fileId: pdfResult.fileId,
+              filename: pdfResult.filename
+            }
+          }
+        }
+      }
+    );
+  } catch (error) {
+    await discardUnrecordedFiles(submission.submissionId, writtenFiles);
+    throw error;
+  }
+
+  // The report is saved either way; a missing audit entry is logged, not retried
+  try {
+    await recordAuditEvent({
+      submissionId: submission.submissionId,
+      action: previousReport ? AUDIT_ACTIONS.REPORT_REGENERATED : AUDIT_ACTIONS.REPORT_GENERATED,
+      actor: SYSTEM_ACTOR,
+      details: {
+        jobId: String(job._id),
+        reason: versionEntry.reason,
+        requestedBy: versionEntry.requestedBy,
+        version,
+        generatorVersion: versionEntry.generatorVersion,
+        inputsHash,
+        fileId: String(reportResult.fileId),
+        pdfFileId: String(pdfResult.fileId),
+        previousFileId: previousReport ? String(previousReport.fileId) : null,
+        templateId: reportResult.templateId,
+        appliedOverrides: qualificationOverrides.length
+      }
+    });
+  } catch (error) {
+    console.error(`Error recording audit entry for submission ${submission.submissionId}:`, error.message);
+  }
+
+  const quarters = reportResult.qualificationData.qualifyingQuarters;
+  console.log(`Submission ${submission.submissionId} processed; qualifying quarters: ${quarters.join(', ') || 'None'}`);
+  
+  await emitSubmissionEvent(CALLBACK_EVENTS.REPORT_GENERATED, {
+    submissionId: submission.submissionId,
+    callbackUrl: submission.callbackUrl,
+    report: {
+      fileId: reportResult.fileId,
+      version,
+      qualificationData: reportResult.qualificationData
+    }
+  });
+  return reportResult;
+}
+
+// Record that the submission could not be processed after all retries
+processSubmission.onDeadLetter = async (job, error) => {
+  const submission = await Submission.findOneAndUpdate(
+    { submissionId: job.submissionId },
+    { $set: { processingStatus: 'dead_letter', processingError: error.message } },
+    { new: true }
+  );
+  if (submission) {
+    await emitSubmissionEvent(CALLBACK_EVENTS.REPORT_FAILED, submission, { error: error.message });
+  }
+};
+
+registerJobHandler(PROCESS_SUBMISSION_JOB, processSubmission);
+
+/**
+ * Queues a new report version for a submission, unless a job that has not
+ * started yet will build it from the same data anyway. A running job may have
+ * read the submission already, so it does not count.
+ * @param {String} submissionId
+ * @param {Object} request - { reason, requestedBy }
+ * @returns {Promise<Object|null>} - The queued job, or null when one is already waiting
+ */
+async function queueReportRegeneration(submissionId, { reason, requestedBy }) {
+  const pending = await ProcessingJob.exists({
+    submissionId,
+    type: PROCESS_SUBMISSION_JOB,
+    status: { $in: ['queued', 'retrying'] }
+  });
+  if (pending) return null;
+  return enqueueJob(PROCESS_SUBMISSION_JOB, {
+    submissionId,
+    payload: { reason, requestedBy }
+  });
+}
+
+module.exports = {
+  processSubmission,
+  queueReportRegeneration,
+  storeFileInGridFS,
+  PROCESS_SUBMISSION_JOB,
+  REPORT_REASONS
+};
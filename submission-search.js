@@ -0,0 +1,291 @@
+// submission-search.js
+// Staff search over the Submission collection: filters, sorting, cursor
+// pagination and a summary of the whole matching set.
+//
+// Filters (all optional, combined with AND):
+//   from, to           receivedAt range (dates or ISO timestamps)
+//   quarter            a qualifying quarter as computed by the report, e.g. 'Q2 2021'
+//   reviewStatus       review status (see review-workflow.js)
+//   missingDocuments   'true', 'false', or a document category still missing
+//   pppObtained        'true' or 'false': either PPP loan was obtained
+//   email              part of the client's email address
+//
+// Results are sorted by receivedAt or estimatedCredit ('-' for descending),
+// with submissionId breaking ties. The cursor encodes the last result's sort
+// value and ID, so pages stay stable while new submissions arrive.
+const { Submission } = require('./db-connection');
+const { normalizeQuarter, REVIEW_STATUSES } = require('./review-workflow');
+
+const SORT_FIELDS = {
+  receivedAt: 'receivedAt',
+  estimatedCredit: 'report.creditEstimate.totalCredit'
+};
+
+const DEFAULT_SORT = '-receivedAt';
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const RESULT_FIELDS = [
+  'submissionId',
+  'userEmail',
+  'receivedAt',
+  'processingStatus',
+  'review.status',
+  'review.assignedTo',
+  'report.generated',
+  'report.version',
+  'report.qualificationData.qualifyingQuarters',
+  'report.creditEstimate.totalCredit',
+  'documentChecklist.missingCategories',
+  'amendments.number'
+].join(' ');
+
+const SEARCH_PARAMETERS = ['from', 'to', 'quarter', 'reviewStatus', 'missingDocuments', 'pppObtained', 'email', 'sort', 'limit', 'cursor'];
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Reads a 'true'/'false' query parameter
+ * @param {String} value
+ * @returns {Boolean|null} - null when the value is neither
+ */
+function parseBoolean(value) {
+  if (value === 'true' || value === true) return true;
+  if (value === 'false' || value === false) return false;
+  return null;
+}
+
+/**
+ * Encodes the position after a result
+ * @param {Object} position - { value, submissionId }
+ * @returns {String}
+ */
+function encodeCursor({ value, submissionId }) {
+  const encoded = value instanceof Date ? { d: value.toISOString() } : { v: value === undefined ? null : value };
+  return Buffer.from(JSON.stringify({ ...encoded, id: submissionId })).toString('base64url');
+}
+
+/**
+ * Decodes a cursor from encodeCursor
+ * @param {String} cursor
+ * @returns {Object|null} - { value, submissionId }, or null when the cursor is not valid
+ */
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!decoded || typeof decoded.id !== 'string') return null;
+    const value = decoded.d !== undefined ? new Date(decoded.d) : decoded.v;
+    if (value instanceof Date && Number.isNaN(value.getTime())) return null;
+    return { value, submissionId: decoded.id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Condition for the results after a cursor position. MongoDB sorts missing
+ * values first, so they come last in descending order.
+ * @param {String} field - Sort field path
+ * @param {Number} direction - 1 or -1
+ * @param {Object} position - From decodeCursor
+ * @returns {Object} - Query condition
+ */
+function afterCursor(field, direction, { value, submissionId }) {
+  const beyond = direction === 1 ? '$gt' : '$lt';
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, submissionId: { $gt: submissionId } }, { [field]: { $ne: null } }] }
+      : { [field]: null, submissionId: { $lt: submissionId } };
+  }
+  const conditions = [
+    { [field]: { [beyond]: value } },
+    { [field]: value, submissionId: { [beyond]: submissionId } }
+  ];
+  if (direction === -1) conditions.push({ [field]: null });
+  return { $or: conditions };
+}
+
+/**
+ * Validates the search parameters and builds the query
+ * @param {Object} params - Query string parameters
+ * @returns {Object} - { error } or { filter, sortField, direction, limit, cursor }
+ */
+function buildSearch(params = {}) {
+  // A repeated query parameter arrives as an array, and qs can also build objects
+  const notText = SEARCH_PARAMETERS.find(name => params[name] !== undefined && typeof params[name] !== 'string');
+  if (notText) {
+    return { error: `${notText} must be given once, as text` };
+  }
+
+  const conditions = [];
+
+  for (const [name, operator] of [['from', '$gte'], ['to', '$lte']]) {
+    if (params[name] === undefined) continue;
+    const date = new Date(params[name]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${name} must be a date, e.g. 2024-01-31` };
+    }
+    conditions.push({ receivedAt: { [operator]: date } });
+  }
+
+  if (params.quarter !== undefined) {
+    const quarter = normalizeQuarter(params.quarter);
+    if (!quarter) return { error: 'quarter must be a 2020 or 2021 quarter, e.g. Q2 2021' };
+    conditions.push({ 'report.qualificationData.qualifyingQuarters': quarter });
+  }
+
+  if (params.reviewStatus !== undefined) {
+    if (!Object.values(REVIEW_STATUSES).includes(params.reviewStatus)) {
+      return { error: `reviewStatus must be one of ${Object.values(REVIEW_STATUSES).join(', ')}` };
+    }
+    // Submissions from before the review workflow have no status and count as submitted
+    conditions.push({
+      'review.status': params.reviewStatus === REVIEW_STATUSES.SUBMITTED
+        ? { $in: [REVIEW_STATUSES.SUBMITTED, null] }
+        : params.reviewStatus
+    });
+  }
+
+  if (params.missingDocuments !== undefined) {
+    const missing = parseBoolean(params.missingDocuments);
+    if (missing === true) {
+      conditions.push({ 'documentChecklist.missingCategories.0': { $exists: true } });
+    } else if (missing === false) {
+      conditions.push({ 'documentChecklist.missingCategories.0': { $exists: false } });
+    } else if (/^[\w-]+$/.test(params.missingDocuments)) {
+      conditions.push({ 'documentChecklist.missingCategories': params.missingDocuments });
+    } else {
+      return { error: 'missingDocuments must be true, false or a document category' };
+    }
+  }
+
+  if (params.pppObtained !== undefined) {
+    const obtained = parseBoolean(params.pppObtained);
+    if (obtained === null) return { error: 'pppObtained must be true or false' };
+    const either = [
+      { 'originalData.formData.requestedInfo.ppp1_obtained': 'yes' },
+      { 'originalData.formData.requestedInfo.ppp2_obtained': 'yes' }
+    ];
+    conditions.push(obtained ? { $or: either } : { $nor: either });
+  }
+
+  if (params.email !== undefined) {
+    const email = String(params.email).trim().toLowerCase();
+    if (email === '') return { error: 'email must not be empty' };
+    // Emails are stored in lower case (older ones are lower-cased on connect, see
+    // db-connection.js); a search from the start of the address can use the index
+    conditions.push({ userEmail: { $regex: email.includes('@') ? `^${escapeRegex(email)}` : escapeRegex(email) } });
+  }
+
+  const sort = params.sort || DEFAULT_SORT;
+  const direction = sort.startsWith('-') ? -1 : 1;
+  const sortField = SORT_FIELDS[sort.replace(/^-/, '')];
+  if (!sortField) {
+    return { error: `sort must be one of ${Object.keys(SORT_FIELDS).join(', ')}, with '-' for descending` };
+  }
+
+  const limit = params.limit === undefined ? DEFAULT_LIMIT : Number(params.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+
+  let cursor = null;
+  if (params.cursor !== undefined) {
+    cursor = decodeCursor(params.cursor);
+    if (!cursor) return { error: 'cursor is not valid; use nextCursor from the previous page' };
+  }
+
+  return {
+    filter: conditions.length > 0 ? { $and: conditions } : {},
+    sortField,
+    direction,
+    limit,
+    cursor
+  };
+}
+
+/**
+ * Counts the whole matching set per qualifying quarter, review status and processing status
+ * @param {Object} filter - From buildSearch
+ * @returns {Promise<Object>} - { total, byQualifyingQuarter, byReviewStatus, byProcessingStatus }
+ */
+async function summarizeSubmissions(filter) {
+  const countBy = path => [
+    { $group: { _id: path, count: { $sum: 1 } } },
+    { $sort: { _id: 1 } }
+  ];
+  const [facets] = await Submission.aggregate([
+    { $match: filter },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        byQualifyingQuarter: [
+          { $unwind: '$report.qualificationData.qualifyingQuarters' },
+          ...countBy('$report.qualificationData.qualifyingQuarters')
+        ],
+        byReviewStatus: countBy({ $ifNull: ['$review.status', REVIEW_STATUSES.SUBMITTED] }),
+        byProcessingStatus: countBy({ $ifNull: ['$processingStatus', 'unknown'] })
+      }
+    }
+  ]);
+  const toCounts = entries => Object.fromEntries(entries.map(entry => [entry._id, entry.count]));
+  return {
+    total: facets.total.length > 0 ? facets.total[0].count : 0,
+    byQualifyingQuarter: toCounts(facets.byQualifyingQuarter),
+    byReviewStatus: toCounts(facets.byReviewStatus),
+    byProcessingStatus: toCounts(facets.byProcessingStatus)
+  };
+}
+
+/**
+ * One page of matching submissions and the summary of all of them
+ * @param {Object} search - From buildSearch
+ * @returns {Promise<Object>} - { submissions, nextCursor, summary }
+ */
+async function searchSubmissions({ filter, sortField, direction, limit, cursor }) {
+  const pageFilter = cursor
+    ? { $and: [filter, afterCursor(sortField, direction, cursor)] }
+    : filter;
+
+  // One more than the page tells whether another page follows
+  const [rows, summary] = await Promise.all([
+    Submission.find(pageFilter)
+      .select(RESULT_FIELDS)
+      .sort({ [sortField]: direction, submissionId: direction })
+      .limit(limit + 1)
+      .lean(),
+    summarizeSubmissions(filter)
+  ]);
+
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  const sortValue = row => sortField.split('.').reduce((value, key) => (value == null ? null : value[key]), row);
+
+  return {
+    submissions: page.map(row => ({
+      submissionId: row.submissionId,
+      userEmail: row.userEmail || null,
+      receivedAt: row.receivedAt,
+      processingStatus: row.processingStatus || null,
+      reviewStatus: (row.review && row.review.status) || REVIEW_STATUSES.SUBMITTED,
+      assignedTo: (row.review && row.review.assignedTo) || null,
+      reportGenerated: !!(row.report && row.report.generated),
+      reportVersion: (row.report && row.report.version) || null,
+      qualifyingQuarters: row.report?.qualificationData?.qualifyingQuarters || [],
+      estimatedCredit: row.report?.creditEstimate?.totalCredit ?? null,
+      missingDocuments: row.documentChecklist?.missingCategories || [],
+      amendments: (row.amendments || []).length
+    })),
+    nextCursor: rows.length > limit
+      ? encodeCursor({ value: sortValue(last), submissionId: last.submissionId })
+      : null,
+    summary
+  };
+}
+
+module.exports = {
+  buildSearch,
+  searchSubmissions,
+  SORT_FIELDS,
+  MAX_LIMIT
+};
@@ -0,0 +1,101 @@
+// Behavior tests for amendments.js: JSON-pointer patching, protected paths and diffs
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyAmendmentChanges, diffValues, summarizeAmendments } = require('../amendments');
+
+const original = () => ({
+  id: 'upstream-1',
+  formData: {
+    userEmail: 'client@example.com',
+    requestedInfo: { gross_sales_2021: { q2: 40000 } },
+    ownershipStructure: [{ owner_name: 'A' }]
+  }
+});
+
+test('replace, add and remove change a copy of the data', () => {
+  const data = original();
+  const result = applyAmendmentChanges(data, [
+    { op: 'replace', path: '/formData/requestedInfo/gross_sales_2021/q2', value: 41000 },
+    { op: 'add', path: '/formData/requestedInfo/gross_sales_2021/q3', value: 5 },
+    { op: 'add', path: '/formData/ownershipStructure/-', value: { owner_name: 'B' } },
+    { op: 'remove', path: '/formData/ownershipStructure/0' }
+  ]);
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual(result.data.formData.requestedInfo.gross_sales_2021, { q2: 41000, q3: 5 });
+  assert.deepStrictEqual(result.data.formData.ownershipStructure, [{ owner_name: 'B' }]);
+  assert.strictEqual(data.formData.requestedInfo.gross_sales_2021.q2, 40000);
+});
+
+test('add creates missing parent objects; replace needs the value to exist', () => {
+  const added = applyAmendmentChanges(original(), [{ op: 'add', path: '/formData/extra/note', value: 'x' }]);
+  assert.strictEqual(added.data.formData.extra.note, 'x');
+
+  const replaced = applyAmendmentChanges(original(), [{ op: 'replace', path: '/formData/missing/note', value: 'x' }]);
+  assert.strictEqual(replaced.data, null);
+  assert.match(replaced.errors[0].message, /does not exist/);
+});
+
+test('any error rejects the whole amendment', () => {
+  const result = applyAmendmentChanges(original(), [
+    { op: 'replace', path: '/formData/requestedInfo/gross_sales_2021/q2', value: 1 },
+    { op: 'move', path: '/formData' }
+  ]);
+  assert.strictEqual(result.data, null);
+  assert.strictEqual(result.errors.length, 1);
+  assert.strictEqual(result.errors[0].field, 'changes[1]');
+});
+
+test('protected paths cannot be changed directly, from below or from above', () => {
+  for (const change of [
+    { op: 'replace', path: '/formData/userEmail', value: 'other@example.com' },
+    { op: 'replace', path: '/id', value: 'other' },
+    { op: 'add', path: '/id/nested', value: 'x' },
+    { op: 'replace', path: '/formData', value: { userEmail: 'other@example.com' } },
+    { op: 'remove', path: '/formData' }
+  ]) {
+    const result = applyAmendmentChanges(original(), [change]);
+    assert.strictEqual(result.data, null, change.path);
+    assert.match(result.errors[0].message, /cannot be amended/, change.path);
+  }
+});
+
+test('the root path and malformed pointers are rejected', () => {
+  for (const path of ['', '/', 'formData', undefined]) {
+    const result = applyAmendmentChanges(original(), [{ op: 'replace', path, value: {} }]);
+    assert.strictEqual(result.data, null);
+    assert.match(result.errors[0].message, /JSON pointer/);
+  }
+});
+
+test('prototype keys never reach Object.prototype', () => {
+  for (const path of ['/__proto__/isStaff', '/formData/__proto__/isStaff', '/constructor/prototype/isStaff']) {
+    const result = applyAmendmentChanges(original(), [{ op: 'add', path, value: true }]);
+    assert.strictEqual(result.data, null, path);
+  }
+  assert.strictEqual(({}).isStaff, undefined);
+
+  // Inherited names are treated as new own keys, not walked into
+  const result = applyAmendmentChanges(original(), [{ op: 'add', path: '/formData/toString/x', value: 1 }]);
+  assert.deepStrictEqual(result.data.formData.toString, { x: 1 });
+  assert.strictEqual(typeof ({}).toString, 'function');
+});
+
+test('diffValues lists every changed leaf with its value before and after', () => {
+  const diff = diffValues(
+    { a: 1, b: { c: 2 }, list: [1, 2] },
+    { a: 1, b: { c: 3, d: 4 }, list: [1] }
+  );
+  assert.deepStrictEqual(diff, [
+    { path: '/b/c', before: 2, after: 3 },
+    { path: '/b/d', before: null, after: 4 },
+    { path: '/list/1', before: 2, after: null }
+  ]);
+});
+
+test('summarizeAmendments keeps the first original value and the latest current value', () => {
+  const summary = summarizeAmendments([
+    { number: 1, diff: [{ path: '/x', before: 1, after: 2 }, { path: '/y', before: 'a', after: 'b' }] },
+    { number: 2, diff: [{ path: '/x', before: 2, after: 3 }, { path: '/y', before: 'b', after: 'a' }] }
+  ]);
+  assert.deepStrictEqual(summary, [{ path: '/x', original: 1, current: 3, amendment: 2 }]);
+});
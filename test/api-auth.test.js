@@ -0,0 +1,77 @@
+// Behavior tests for api-auth.js: API keys, roles, client ownership and signed download URLs
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadFresh, mockRequest, mockResponse, runMiddleware } = require('./helpers');
+
+process.env.API_KEYS = 'portal:client:client-key,ops:staff:staff-key,broken:admin:x';
+process.env.DOWNLOAD_URL_SECRET = 'download-secret';
+const auth = loadFresh('api-auth');
+
+test('requests without a known API key are rejected', async () => {
+  for (const headers of [{}, { 'X-API-Key': 'wrong' }, { 'X-API-Key': 'x' }]) {
+    const res = mockResponse();
+    assert.strictEqual(await runMiddleware(auth.requireApiKey, mockRequest({ headers }), res), false);
+    assert.strictEqual(res.statusCode, 401);
+  }
+});
+
+test('staff keys are accepted from X-API-Key or a bearer token', async () => {
+  for (const headers of [{ 'X-API-Key': 'staff-key' }, { Authorization: 'Bearer staff-key' }]) {
+    const req = mockRequest({ headers });
+    assert.strictEqual(await runMiddleware(auth.requireApiKey, req, mockResponse()), true);
+    assert.deepStrictEqual(req.auth, { role: 'staff', keyName: 'ops', email: null, via: 'api_key' });
+  }
+});
+
+test('client keys need X-User-Email, which is normalized', async () => {
+  const res = mockResponse();
+  assert.strictEqual(await runMiddleware(auth.requireApiKey, mockRequest({ headers: { 'X-API-Key': 'client-key' } }), res), false);
+  assert.strictEqual(res.statusCode, 401);
+
+  const req = mockRequest({ headers: { 'X-API-Key': 'client-key', 'X-User-Email': ' Client@Example.com ' } });
+  assert.strictEqual(await runMiddleware(auth.requireApiKey, req, mockResponse()), true);
+  assert.strictEqual(req.auth.role, 'client');
+  assert.strictEqual(req.auth.email, 'client@example.com');
+});
+
+test('clients only see their own submissions; staff see all', () => {
+  const client = { role: 'client', email: 'client@example.com', via: 'api_key' };
+  assert.strictEqual(auth.canAccessSubmission(client, { userEmail: 'Client@Example.com' }), true);
+  assert.strictEqual(auth.canAccessSubmission(client, { userEmail: 'other@example.com' }), false);
+  assert.strictEqual(auth.canAccessSubmission(client, { userEmail: null }), false);
+  assert.strictEqual(auth.canAccessSubmission({ role: 'staff', via: 'api_key' }, { userEmail: 'other@example.com' }), true);
+  assert.strictEqual(auth.canAccessSubmission(null, { userEmail: 'client@example.com' }), false);
+});
+
+test('requireStaff refuses client keys', async () => {
+  const res = mockResponse();
+  const req = mockRequest();
+  req.auth = { role: 'client' };
+  assert.strictEqual(await runMiddleware(auth.requireStaff, req, res), false);
+  assert.strictEqual(res.statusCode, 403);
+});
+
+test('signed download URLs grant access to exactly their path until they expire', async () => {
+  const { url } = auth.createSignedDownloadUrl('/download/report/abc', 60);
+  const query = Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+
+  const req = mockRequest({ path: '/download/report/abc', query });
+  assert.strictEqual(await runMiddleware(auth.requireDownloadAccess, req, mockResponse()), true);
+  assert.strictEqual(req.auth.via, 'signed_url');
+
+  const otherPath = mockResponse();
+  assert.strictEqual(await runMiddleware(auth.requireDownloadAccess, mockRequest({ path: '/download/report/other', query }), otherPath), false);
+  assert.strictEqual(otherPath.statusCode, 401);
+
+  const expired = auth.createSignedDownloadUrl('/download/report/abc', -10).url;
+  const expiredQuery = Object.fromEntries(new URL(expired, 'http://localhost').searchParams);
+  const expiredRes = mockResponse();
+  assert.strictEqual(await runMiddleware(auth.requireDownloadAccess, mockRequest({ path: '/download/report/abc', query: expiredQuery }), expiredRes), false);
+  assert.strictEqual(expiredRes.statusCode, 401);
+});
+
+test('download routes still accept an API key without a signature', async () => {
+  const req = mockRequest({ path: '/download/report/abc', headers: { 'X-API-Key': 'staff-key' } });
+  assert.strictEqual(await runMiddleware(auth.requireDownloadAccess, req, mockResponse()), true);
+  assert.strictEqual(req.auth.via, 'api_key');
+});
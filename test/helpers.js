@@ -0,0 +1,82 @@
+// Shared test helpers
+const path = require('path');
+
+/**
+ * Replaces a repo module with the given exports for every later require,
+ * e.g. stubModule('db-connection', { Submission: fakeModel })
+ * @param {String} name - Module file name in the repo root, without .js
+ * @param {Object} exports
+ * @returns {Object} - The stub's exports
+ */
+function stubModule(name, exports) {
+  const filename = require.resolve(path.join(__dirname, '..', name));
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+  return exports;
+}
+
+/**
+ * Loads a repo module afresh, so it picks up stubs registered before
+ * @param {String} name - Module file name in the repo root, without .js
+ * @returns {Object}
+ */
+function loadFresh(name) {
+  const filename = require.resolve(path.join(__dirname, '..', name));
+  delete require.cache[filename];
+  return require(filename);
+}
+
+/**
+ * Minimal Express request: header lookup by name, query and path
+ * @param {Object} options - { headers, query, path }
+ * @param {Object} base - Object to extend, e.g. a stream for a request body
+ * @returns {Object}
+ */
+function mockRequest({ headers = {}, query = {}, path: requestPath = '/' } = {}, base = {}) {
+  const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return Object.assign(base, {
+    get: name => lowerCased[name.toLowerCase()],
+    query,
+    path: requestPath
+  });
+}
+
+/**
+ * Minimal Express response that records the status and JSON body sent
+ * @returns {Object} - Response with statusCode and body once sent
+ */
+function mockResponse() {
+  const res = {
+    statusCode: null,
+    body: null,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+}
+
+/**
+ * Runs a middleware and tells whether it called next
+ * @param {Function} middleware - (req, res, next)
+ * @param {Object} req
+ * @param {Object} res
+ * @returns {Promise<Boolean>}
+ */
+async function runMiddleware(middleware, req, res) {
+  let calledNext = false;
+  await middleware(req, res, () => { calledNext = true; });
+  return calledNext;
+}
+
+module.exports = {
+  stubModule,
+  loadFresh,
+  mockRequest,
+  mockResponse,
+  runMiddleware
+};
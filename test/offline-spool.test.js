@@ -0,0 +1,165 @@
+// Behavior tests for offline-spool.js: spooling, replay, duplicates and orphaned submissions
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { stubModule, loadFresh } = require('./helpers');
+
+const root = path.join(__dirname, '..');
+const submissionsDir = path.join(root, 'submissions');
+const uploadsDir = path.join(root, 'uploads');
+
+// In-memory stand-ins for the collections and services the spool uses
+const state = { submissions: [], jobs: [], audit: [], events: [], duplicateKeys: new Set() };
+
+stubModule('db-connection', {
+  Submission: {
+    updateOne: async (query, update) => {
+      const fields = update.$setOnInsert;
+      if (state.duplicateKeys.has(fields.idempotencyKey)) {
+        const error = new Error('E11000 duplicate key');
+        error.code = 11000;
+        error.keyPattern = { idempotencyKey: 1 };
+        throw error;
+      }
+      if (!state.submissions.some(doc => doc.submissionId === query.submissionId)) {
+        state.submissions.push(fields);
+      }
+    },
+    find: query => {
+      const rows = state.submissions.filter(doc =>
+        doc.processingStatus === query.processingStatus && doc.receivedAt < query.receivedAt.$lt);
+      const chain = { select: () => chain, limit: () => chain, lean: async () => rows };
+      return chain;
+    }
+  },
+  ProcessingJob: {
+    exists: async query => state.jobs.some(job => job.submissionId === query.submissionId)
+  },
+  dbEvents: new EventEmitter(),
+  isConnected: () => true
+});
+stubModule('job-queue', {
+  enqueueJob: async (type, options) => state.jobs.push({ type, ...options }),
+  notifyWorker: () => {}
+});
+stubModule('submission-processor', { PROCESS_SUBMISSION_JOB: 'process_submission' });
+stubModule('status-callbacks', {
+  emitSubmissionEvent: async (event, submission) => state.events.push([event, submission.submissionId]),
+  CALLBACK_EVENTS: { SUBMISSION_RECEIVED: 'submission.received' }
+});
+stubModule('audit-log', {
+  recordAuditEvent: async entry => state.audit.push(entry),
+  AUDIT_ACTIONS: { WEBHOOK_RECEIVED: 'webhook.received' },
+  WEBHOOK_ACTOR: { type: 'webhook' }
+});
+
+const spool = loadFresh('offline-spool');
+
+let counter = 0;
+function newSubmission(fields = {}) {
+  const submissionId = `test-spool-${process.pid}-${++counter}`;
+  return {
+    submissionId,
+    idempotencyKey: `upstream:${submissionId}`,
+    receivedAt: new Date().toISOString(),
+    originalData: { formData: {} },
+    receivedFiles: [],
+    ...fields
+  };
+}
+
+// Everything a test leaves on disk for its submissions
+function cleanUp(submissionId) {
+  for (const target of [
+    path.join(submissionsDir, 'spool', `${submissionId}.json`),
+    path.join(submissionsDir, 'spool', `${submissionId}.json.corrupt`),
+    path.join(submissionsDir, `submission_${submissionId}.json`),
+    path.join(uploadsDir, submissionId)
+  ]) {
+    fs.rmSync(target, { recursive: true, force: true });
+  }
+}
+
+test.beforeEach(() => {
+  state.submissions.length = 0;
+  state.jobs.length = 0;
+  state.audit.length = 0;
+  state.events.length = 0;
+  state.duplicateKeys.clear();
+});
+
+test('a spooled submission is stored, audited and queued once on replay', async (t) => {
+  const doc = newSubmission();
+  t.after(() => cleanUp(doc.submissionId));
+
+  const spoolFile = spool.spoolSubmission(doc, { signatureVerified: true });
+  assert.ok(fs.existsSync(spoolFile));
+  assert.strictEqual(spool.readSpooledSubmission(doc.submissionId).submissionId, doc.submissionId);
+  assert.strictEqual(spool.findSpooledByIdempotencyKey(doc.idempotencyKey).submissionId, doc.submissionId);
+
+  assert.strictEqual(await spool.replaySpool(), 1);
+  assert.strictEqual(fs.existsSync(spoolFile), false);
+  assert.strictEqual(state.submissions.length, 1);
+  assert.strictEqual(state.submissions[0].processingStatus, 'queued');
+  assert.ok(state.submissions[0].receivedAt instanceof Date);
+  assert.deepStrictEqual(state.jobs.map(job => job.submissionId), [doc.submissionId]);
+  assert.strictEqual(state.audit[0].details.spooled, true);
+  assert.deepStrictEqual(state.events, [['submission.received', doc.submissionId]]);
+});
+
+test('replaying a submission that already has a job does not queue it again', async (t) => {
+  const doc = newSubmission();
+  t.after(() => cleanUp(doc.submissionId));
+  state.jobs.push({ submissionId: doc.submissionId });
+
+  spool.spoolSubmission(doc, {});
+  await spool.replaySpool();
+  assert.strictEqual(state.jobs.length, 1);
+  assert.strictEqual(state.audit.length, 0);
+});
+
+test('a spooled duplicate is discarded with its uploads and submission file', async (t) => {
+  const doc = newSubmission();
+  t.after(() => cleanUp(doc.submissionId));
+  state.duplicateKeys.add(doc.idempotencyKey);
+
+  const uploadDir = path.join(uploadsDir, doc.submissionId);
+  const submissionFile = path.join(submissionsDir, `submission_${doc.submissionId}.json`);
+  fs.mkdirSync(uploadDir, { recursive: true });
+  fs.writeFileSync(path.join(uploadDir, 'file.pdf'), 'x');
+  fs.writeFileSync(submissionFile, '{}');
+  const spoolFile = spool.spoolSubmission(doc, {});
+
+  await spool.replaySpool();
+  assert.strictEqual(fs.existsSync(spoolFile), false);
+  assert.strictEqual(fs.existsSync(uploadDir), false);
+  assert.strictEqual(fs.existsSync(submissionFile), false);
+  assert.strictEqual(state.jobs.length, 0);
+});
+
+test('a corrupt spool file is set aside instead of blocking the backlog', async (t) => {
+  const doc = newSubmission();
+  t.after(() => cleanUp(doc.submissionId));
+  const spoolFile = path.join(submissionsDir, 'spool', `${doc.submissionId}.json`);
+  fs.writeFileSync(spoolFile, '{ not json');
+
+  await spool.replaySpool();
+  assert.strictEqual(fs.existsSync(spoolFile), false);
+  assert.ok(fs.existsSync(`${spoolFile}.corrupt`));
+});
+
+test('queued submissions that lost their job are queued again after a grace period', async () => {
+  const old = new Date(Date.now() - 10 * 60 * 1000);
+  state.submissions.push(
+    { submissionId: 'orphan', processingStatus: 'queued', receivedAt: old },
+    { submissionId: 'has-job', processingStatus: 'queued', receivedAt: old },
+    { submissionId: 'just-received', processingStatus: 'queued', receivedAt: new Date() }
+  );
+  state.jobs.push({ submissionId: 'has-job' });
+
+  await spool.replaySpool();
+  assert.deepStrictEqual(state.jobs.map(job => job.submissionId), ['has-job', 'orphan']);
+  assert.deepStrictEqual(state.events, [['submission.received', 'orphan']]);
+});
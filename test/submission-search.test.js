@@ -0,0 +1,116 @@
+// Behavior tests for submission-search.js: parameter checks, filters and cursor pagination
+const test = require('node:test');
+const assert = require('node:assert');
+const { stubModule, loadFresh } = require('./helpers');
+
+// Rows the fake collection holds, and the queries it was asked
+const collection = { rows: [], finds: [] };
+
+const valueAt = (row, field) => field.split('.').reduce((value, key) => (value == null ? null : value[key]), row);
+
+stubModule('db-connection', {
+  Submission: {
+    find: filter => {
+      collection.finds.push(filter);
+      let sort = {};
+      let limit = Infinity;
+      const chain = {
+        select: () => chain,
+        sort: order => { sort = order; return chain; },
+        limit: count => { limit = count; return chain; },
+        lean: async () => {
+          const [field, direction] = Object.entries(sort)[0];
+          // Missing values sort first, as MongoDB does
+          const key = row => [valueAt(row, field) ?? -Infinity, row.submissionId];
+          return [...collection.rows]
+            .sort((a, b) => {
+              const [valueA, idA] = key(a);
+              const [valueB, idB] = key(b);
+              if (valueA < valueB) return -direction;
+              if (valueA > valueB) return direction;
+              return idA < idB ? -direction : idA > idB ? direction : 0;
+            })
+            .filter(row => !filter.$and || !filter.$and[1] || matchesCursor(row, field, direction, filter.$and[1]))
+            .slice(0, limit);
+        }
+      };
+      return chain;
+    },
+    aggregate: async () => [{ total: [{ count: collection.rows.length }], byQualifyingQuarter: [], byReviewStatus: [], byProcessingStatus: [] }]
+  }
+});
+
+// Evaluates the condition afterCursor builds for the fake collection
+function matchesCursor(row, field, direction, condition) {
+  const value = valueAt(row, field) ?? null;
+  return condition.$or
+    ? condition.$or.some(part => matchesCursor(row, field, direction, part))
+    : Object.entries(condition).every(([path, expected]) => {
+      const actual = path === 'submissionId' ? row.submissionId : value;
+      if (expected === null) return actual === null;
+      if (typeof expected !== 'object' || expected instanceof Date) return +actual === +expected;
+      if ('$ne' in expected) return actual !== expected.$ne;
+      if (actual === null) return false;
+      if ('$gt' in expected) return actual > expected.$gt;
+      return actual < expected.$lt;
+    });
+}
+
+const { buildSearch, searchSubmissions, MAX_LIMIT } = loadFresh('submission-search');
+
+test('a repeated or nested parameter is rejected instead of throwing', () => {
+  for (const params of [{ sort: ['a', 'b'] }, { cursor: ['x', 'y'] }, { email: { $ne: null } }, { missingDocuments: ['true'] }, { limit: ['1', '2'] }]) {
+    const search = buildSearch(params);
+    assert.match(search.error, /must be given once/, JSON.stringify(params));
+  }
+});
+
+test('invalid values are reported', () => {
+  assert.match(buildSearch({ from: 'yesterday' }).error, /from must be a date/);
+  assert.match(buildSearch({ quarter: 'Q5 2021' }).error, /quarter/);
+  assert.match(buildSearch({ reviewStatus: 'lost' }).error, /reviewStatus/);
+  assert.match(buildSearch({ pppObtained: 'maybe' }).error, /pppObtained/);
+  assert.match(buildSearch({ email: '  ' }).error, /email/);
+  assert.match(buildSearch({ sort: 'name' }).error, /sort must be one of/);
+  assert.match(buildSearch({ limit: String(MAX_LIMIT + 1) }).error, /limit/);
+  assert.match(buildSearch({ cursor: 'not-a-cursor' }).error, /cursor/);
+});
+
+test('filters are combined into one query', () => {
+  const search = buildSearch({ quarter: 'q2-2021', email: 'Client@', pppObtained: 'false', sort: 'estimatedCredit', limit: '10' });
+  assert.deepStrictEqual(search.filter.$and[0], { 'report.qualificationData.qualifyingQuarters': 'Q2 2021' });
+  assert.strictEqual(search.filter.$and[1].$nor.length, 2);
+  // Email is matched in lower case, from the start when it holds an @
+  assert.deepStrictEqual(search.filter.$and[2], { userEmail: { $regex: '^client@' } });
+  assert.strictEqual(search.sortField, 'report.creditEstimate.totalCredit');
+  assert.strictEqual(search.direction, 1);
+  assert.strictEqual(search.limit, 10);
+});
+
+test('submissions without a review status count as submitted', () => {
+  const search = buildSearch({ reviewStatus: 'submitted' });
+  assert.deepStrictEqual(search.filter.$and[0], { 'review.status': { $in: ['submitted', null] } });
+});
+
+test('cursor pages visit every submission once, including ones with no sort value', async () => {
+  collection.rows = [
+    { submissionId: 'a', report: { creditEstimate: { totalCredit: 500 } } },
+    { submissionId: 'b', report: { creditEstimate: { totalCredit: 100 } } },
+    { submissionId: 'c' },
+    { submissionId: 'd', report: { creditEstimate: { totalCredit: 500 } } },
+    { submissionId: 'e' }
+  ];
+  for (const sort of ['estimatedCredit', '-estimatedCredit']) {
+    const seen = [];
+    let cursor;
+    do {
+      const search = buildSearch({ sort, limit: '2', ...(cursor ? { cursor } : {}) });
+      assert.strictEqual(search.error, undefined);
+      const page = await searchSubmissions(search);
+      seen.push(...page.submissions.map(row => row.submissionId));
+      assert.strictEqual(page.summary.total, 5);
+      cursor = page.nextCursor;
+    } while (cursor);
+    assert.deepStrictEqual(seen, sort === 'estimatedCredit' ? ['c', 'e', 'b', 'a', 'd'] : ['d', 'a', 'b', 'e', 'c'], sort);
+  }
+});
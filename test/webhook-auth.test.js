@@ -0,0 +1,120 @@
+// Behavior tests for webhook-auth.js: signatures, timestamp window, secret rotation and replays
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { stubModule, loadFresh, mockRequest, mockResponse, runMiddleware } = require('./helpers');
+
+process.env.WEBHOOK_SECRET = '';
+process.env.WEBHOOK_SECRETS = 'current-secret,previous-secret';
+process.env.WEBHOOK_ALLOW_UNSIGNED = 'false';
+stubModule('db-connection', { WebhookNonce: {}, isConnected: () => false });
+const { startSignatureDigest, verifyWebhookSignature, signPayload } = loadFresh('webhook-auth');
+
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Sends a request through both middlewares the way the /webhook route does
+ * @param {Object} options - { headers, body, files }
+ * @returns {Promise<Object>} - { accepted, res, req }
+ */
+async function sendWebhook({ headers, body = '{"event":"submitted"}', files }) {
+  const req = mockRequest({ headers }, new PassThrough());
+  req.files = files;
+  const res = mockResponse();
+
+  if (!await runMiddleware(startSignatureDigest, req, res)) return { accepted: false, res, req };
+  req.end(body);
+  const accepted = await runMiddleware(verifyWebhookSignature, req, res);
+  return { accepted, res, req };
+}
+
+function signedHeaders(body, { secret = 'current-secret', timestamp = now(), nonce } = {}) {
+  const headers = {
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': signPayload(secret, timestamp, body)
+  };
+  if (nonce) headers['X-Webhook-Nonce'] = nonce;
+  return headers;
+}
+
+test('a correctly signed request is accepted', async () => {
+  const body = '{"id":1}';
+  const { accepted, req } = await sendWebhook({ headers: signedHeaders(body), body });
+  assert.strictEqual(accepted, true);
+  assert.deepStrictEqual(req.webhookAuth, { verified: true, keyIndex: 0 });
+});
+
+test('a request signed with a rotated-out secret that is still listed is accepted', async () => {
+  const body = '{"id":2}';
+  const { accepted, req } = await sendWebhook({ headers: signedHeaders(body, { secret: 'previous-secret' }), body });
+  assert.strictEqual(accepted, true);
+  assert.strictEqual(req.webhookAuth.keyIndex, 1);
+});
+
+test('a signature for a different body or secret is rejected', async () => {
+  const tampered = await sendWebhook({ headers: signedHeaders('{"id":3}'), body: '{"id":4}' });
+  assert.strictEqual(tampered.accepted, false);
+  assert.strictEqual(tampered.res.statusCode, 401);
+  assert.strictEqual(tampered.res.body.message, 'Invalid webhook signature');
+
+  const unknownSecret = await sendWebhook({ headers: signedHeaders('{"id":5}', { secret: 'other' }), body: '{"id":5}' });
+  assert.strictEqual(unknownSecret.accepted, false);
+});
+
+test('missing headers and malformed values are rejected before the body is read', async () => {
+  const cases = [
+    [{}, 'Missing X-Webhook-Timestamp or X-Webhook-Signature header'],
+    [{ 'X-Webhook-Timestamp': 'soon', 'X-Webhook-Signature': 'sha256=00' }, 'Invalid X-Webhook-Timestamp header'],
+    [{ 'X-Webhook-Timestamp': String(now()), 'X-Webhook-Signature': 'md5=00' }, 'Invalid X-Webhook-Signature header']
+  ];
+  for (const [headers, message] of cases) {
+    const { accepted, res } = await sendWebhook({ headers });
+    assert.strictEqual(accepted, false);
+    assert.strictEqual(res.statusCode, 401);
+    assert.strictEqual(res.body.message, message);
+  }
+});
+
+test('timestamps outside the tolerance window are rejected', async () => {
+  for (const timestamp of [now() - 301, now() + 301]) {
+    const { accepted, res } = await sendWebhook({ headers: signedHeaders('{}', { timestamp }), body: '{}' });
+    assert.strictEqual(accepted, false);
+    assert.strictEqual(res.body.message, 'Request timestamp is outside the allowed window');
+  }
+});
+
+test('replaying a request is rejected, with or without a nonce', async () => {
+  const body = '{"id":6}';
+  const withoutNonce = signedHeaders(body);
+  assert.strictEqual((await sendWebhook({ headers: withoutNonce, body })).accepted, true);
+  const replay = await sendWebhook({ headers: withoutNonce, body });
+  assert.strictEqual(replay.accepted, false);
+  assert.strictEqual(replay.res.body.message, 'Replayed webhook request');
+
+  assert.strictEqual((await sendWebhook({ headers: signedHeaders('{"id":7}', { nonce: 'n-1' }), body: '{"id":7}' })).accepted, true);
+  // Same nonce on a freshly signed request: rejected from the headers alone
+  const nonceReplay = await sendWebhook({ headers: signedHeaders('{"id":8}', { nonce: 'n-1' }), body: '{"id":8}' });
+  assert.strictEqual(nonceReplay.accepted, false);
+  assert.strictEqual(nonceReplay.res.body.message, 'Replayed webhook request');
+  assert.strictEqual(nonceReplay.req.webhookSignature, undefined);
+});
+
+test('uploads of a rejected request are removed', async () => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-auth-'));
+  fs.writeFileSync(path.join(folder, 'w2.pdf'), 'pdf');
+
+  const { accepted } = await sendWebhook({
+    headers: signedHeaders('signed body'),
+    body: 'other body',
+    files: [{ destination: folder }]
+  });
+  assert.strictEqual(accepted, false);
+
+  for (let attempt = 0; attempt < 50 && fs.existsSync(folder); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.strictEqual(fs.existsSync(folder), false);
+});
@@ -0,0 +1,177 @@
+// upload-validation.js
+// Checks on files uploaded with a webhook, before the submission is accepted.
+//
+// - Filenames are sanitized; files are saved under a random prefix so a
+//   client-supplied name can never escape or overwrite anything in uploads/.
+// - The file type is sniffed from its first bytes; the client's mimetype and
+//   extension are not trusted.
+// - Each document category only accepts certain types (CATEGORY_RULES).
+// - Per-file, per-request file count and per-submission size caps apply.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { assignFileCategories, buildDocumentChecklist } = require('./document-checklist');
+
+const MB = 1024 * 1024;
+
+const UPLOAD_LIMITS = {
+  maxFileBytes: (parseInt(process.env.UPLOAD_MAX_FILE_MB, 10) || 25) * MB,
+  maxFiles: parseInt(process.env.UPLOAD_MAX_FILES, 10) || 20,
+  maxSubmissionBytes: (parseInt(process.env.UPLOAD_MAX_SUBMISSION_MB, 10) || 100) * MB
+};
+
+// Detected type => mimetype stored with the file
+const FILE_TYPES = {
+  pdf: 'application/pdf',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  xls: 'application/vnd.ms-excel',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  csv: 'text/csv',
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  zip: 'application/zip',
+  unknown: 'application/octet-stream'
+};
+
+// Types accepted per uploadedFiles category
+const CATEGORY_RULES = {
+  quarterly_941_forms: ['pdf'],
+  wages_by_period: ['pdf', 'xlsx', 'xls', 'csv']
+};
+
+// Categories without a rule of their own (including files that match no category)
+const DEFAULT_ALLOWED_TYPES = ['pdf', 'xlsx', 'xls', 'csv', 'docx', 'png', 'jpeg'];
+
+// Bytes read from the start of a file for sniffing
+const SNIFF_BYTES = 64 * 1024;
+
+/**
+ * Makes a client-supplied filename safe to use on disk and in headers
+ * @param {String} name - e.g. '..\\..\\payroll "Q2".pdf'
+ * @returns {String} - e.g. 'payroll _Q2_.pdf'
+ */
+function sanitizeFilename(name) {
+  // Drop any directory part, whichever separator the client used
+  const base = String(name || '').split(/[\\/]/).pop();
+  let sanitized = base
+    .normalize('NFKD')
+    .replace(/[^\w.\- ()]+/g, '_')
+    .replace(/\s+/g, ' ')
+    .replace(/^[.\s]+/, '')
+    .trim();
+
+  if (sanitized.length > 120) {
+    const ext = path.extname(sanitized).slice(0, 10);
+    sanitized = sanitized.slice(0, 120 - ext.length) + ext;
+  }
+  return sanitized || 'file';
+}
+
+/**
+ * Works out a file's type from its content
+ * @param {String} filePath
+ * @returns {Object} - { type, mimetype }
+ */
+function sniffFileType(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  let head;
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0);
+    head = buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  let type = 'unknown';
+  if (head.subarray(0, 5).toString('latin1') === '%PDF-') {
+    type = 'pdf';
+  } else if (head.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))) {
+    // Office Open XML files are zip archives; the part names tell them apart
+    const names = head.toString('latin1');
+    if (names.includes('xl/')) type = 'xlsx';
+    else if (names.includes('word/')) type = 'docx';
+    else type = 'zip';
+  } else if (head.subarray(0, 8).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]))) {
+    type = 'xls';
+  } else if (head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    type = 'png';
+  } else if (head.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]))) {
+    type = 'jpeg';
+  } else if (head.length > 0 && isDelimitedText(head)) {
+    type = 'csv';
+  }
+
+  return { type, mimetype: FILE_TYPES[type] };
+}
+
+// Plain text without control characters, with at least one comma, tab or semicolon
+function isDelimitedText(buffer) {
+  const text = buffer.toString('utf8');
+  if (text.includes('\uFFFD') && buffer.length < SNIFF_BYTES) return false;
+  if (/[\x00-\x08\x0e-\x1f]/.test(text)) return false;
+  return /[,\t;]/.test(text);
+}
+
+/**
+ * Validates the files multer stored for a webhook request and assigns their categories
+ * @param {Array} files - req.files
+ * @param {Object} formData - Validated formData
+ * @param {Array} manifest - Optional fileManifest from the payload
+ * @returns {Object} - { valid, errors: [{ field, message, value }], receivedFiles, documentChecklist }
+ */
+function validateUploadedFiles(files, formData, manifest) {
+  const errors = [];
+  let totalBytes = 0;
+
+  const assignment = assignFileCategories((files || []).map(file => ({
+    originalName: file.originalname,
+    filename: path.basename(file.path),
+    savedPath: file.path,
+    size: file.size,
+    mimetype: file.mimetype,
+    fieldname: file.fieldname
+  })), formData, manifest);
+
+  assignment.receivedFiles.forEach(entry => {
+    totalBytes += entry.size;
+    const detected = sniffFileType(entry.savedPath);
+    entry.detectedType = detected.type;
+    entry.detectedMimetype = detected.mimetype;
+
+    const allowed = CATEGORY_RULES[entry.category] || DEFAULT_ALLOWED_TYPES;
+    if (entry.size === 0) {
+      errors.push({ field: `files.${entry.category}`, message: 'File is empty', value: entry.originalName });
+    } else if (!allowed.includes(detected.type)) {
+      errors.push({
+        field: `files.${entry.category}`,
+        message: `File content is ${detected.type}; ${entry.category} accepts ${allowed.join(', ')}`,
+        value: entry.originalName
+      });
+    }
+  });
+
+  if (totalBytes > UPLOAD_LIMITS.maxSubmissionBytes) {
+    errors.push({
+      field: 'files',
+      message: `Uploads total ${Math.ceil(totalBytes / MB)}MB; the limit per submission is ${UPLOAD_LIMITS.maxSubmissionBytes / MB}MB`,
+      value: totalBytes
+    });
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    receivedFiles: assignment.receivedFiles,
+    documentChecklist: buildDocumentChecklist(assignment)
+  };
+}
+
+module.exports = {
+  sanitizeFilename,
+  sniffFileType,
+  validateUploadedFiles,
+  UPLOAD_LIMITS,
+  CATEGORY_RULES,
+  FILE_TYPES
+};
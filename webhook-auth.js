@@ -0,0 +1,231 @@
+// webhook-auth.js
+// HMAC signature verification and replay protection for the /webhook route.
+//
+// Senders sign `${timestamp}.${rawBody}` with a shared secret using HMAC-SHA256
+// and send it as:
+//   X-Webhook-Timestamp: <unix seconds>
+//   X-Webhook-Signature: sha256=<hex digest>[,sha256=<hex digest>...]
+//   X-Webhook-Nonce:     <unique id> (optional; the signature is used otherwise)
+// Several secrets can be active at once (WEBHOOK_SECRETS, comma separated) so
+// they can be rotated without downtime.
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const { WebhookNonce, isConnected } = require('./db-connection');
+
+const WEBHOOK_SECRETS = [process.env.WEBHOOK_SECRET, ...(process.env.WEBHOOK_SECRETS || '').split(',')]
+  .map(secret => (secret || '').trim())
+  .filter(Boolean);
+
+const TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS, 10) || 300;
+
+// Unsigned requests are only accepted when explicitly enabled outside production
+const ALLOW_UNSIGNED = process.env.WEBHOOK_ALLOW_UNSIGNED === 'true' && process.env.NODE_ENV !== 'production';
+
+if (process.env.WEBHOOK_ALLOW_UNSIGNED === 'true' && !ALLOW_UNSIGNED) {
+  console.error('WEBHOOK_ALLOW_UNSIGNED is ignored when NODE_ENV is production');
+}
+if (ALLOW_UNSIGNED) {
+  console.log('WARNING: Unsigned webhook requests are accepted (local development mode)');
+} else if (WEBHOOK_SECRETS.length === 0) {
+  console.error('ERROR: No WEBHOOK_SECRET configured; all webhook requests will be rejected');
+}
+
+// In-memory nonce store used when MongoDB is unavailable
+const memoryNonces = new Map();
+
+/**
+ * Records a nonce, returning false if it has already been seen
+ * @param {String} nonce
+ * @param {Date} expiresAt - When the nonce can be forgotten
+ * @returns {Promise<Boolean>}
+ */
+async function claimNonce(nonce, expiresAt) {
+  const now = Date.now();
+  for (const [key, expiry] of memoryNonces) {
+    if (expiry <= now) memoryNonces.delete(key);
+  }
+
+  if (memoryNonces.has(nonce)) return false;
+  memoryNonces.set(nonce, expiresAt.getTime());
+
+  if (!isConnected()) return true;
+
+  try {
+    await WebhookNonce.create({ nonce, expiresAt });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false; // Duplicate key: seen by a previous process
+    console.error('Error storing webhook nonce, relying on in-memory store:', error.message);
+    return true;
+  }
+}
+
+/**
+ * Whether a nonce has already been claimed, without claiming it
+ * @param {String} nonce
+ * @returns {Promise<Boolean>}
+ */
+async function isNonceSeen(nonce) {
+  const expiry = memoryNonces.get(nonce);
+  if (expiry && expiry > Date.now()) return true;
+  if (!isConnected()) return false;
+
+  try {
+    return !!(await WebhookNonce.exists({ nonce }));
+  } catch (error) {
+    // claimNonce still rejects the replay once the body is verified
+    console.error('Error looking up webhook nonce:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Computes the signature a sender should put in X-Webhook-Signature
+ * @param {String} secret - Shared secret
+ * @param {String|Number} timestamp - Unix seconds
+ * @param {Buffer|String} rawBody - Exact request body
+ * @returns {String} - 'sha256=<hex>'
+ */
+function signPayload(secret, timestamp, rawBody) {
+  const digest = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody)
+    .digest('hex');
+  return `sha256=${digest}`;
+}
+
+function rejectRequest(res, message) {
+  return res.status(401).json({
+    success: false,
+    message: message
+  });
+}
+
+// Remove the upload folder multer already wrote for a request that turned out
+// to be unauthorized. Each request has a folder of its own (see uploadDirName
+// in webhook-receiver.js), so the whole folder goes.
+function discardUploads(req) {
+  const folders = new Set((req.files || []).map(file => file.destination));
+  folders.forEach(folder => {
+    fs.rm(folder, { recursive: true, force: true }, error => {
+      if (error) console.error(`Error removing rejected uploads in ${folder}:`, error.message);
+    });
+  });
+}
+
+/**
+ * Checks the signature headers and starts hashing the raw body as it streams in.
+ * Must be registered before any body parser so no bytes are missed; works for
+ * JSON, urlencoded and multipart bodies alike. Everything that can be rejected
+ * without the body (headers, timestamp, a replayed X-Webhook-Nonce) is rejected
+ * here, before multer writes any upload to disk.
+ */
+async function startSignatureDigest(req, res, next) {
+  const timestamp = req.get('X-Webhook-Timestamp');
+  const signatureHeader = req.get('X-Webhook-Signature');
+
+  if (!timestamp && !signatureHeader && ALLOW_UNSIGNED) {
+    req.webhookAuth = { verified: false, unsigned: true };
+    return next();
+  }
+
+  if (!timestamp || !signatureHeader) {
+    return rejectRequest(res, 'Missing X-Webhook-Timestamp or X-Webhook-Signature header');
+  }
+
+  if (WEBHOOK_SECRETS.length === 0) {
+    return rejectRequest(res, 'Webhook signing is not configured on this server');
+  }
+
+  const timestampSeconds = Number(timestamp);
+  if (!Number.isInteger(timestampSeconds)) {
+    return rejectRequest(res, 'Invalid X-Webhook-Timestamp header');
+  }
+  if (Math.abs(Date.now() / 1000 - timestampSeconds) > TOLERANCE_SECONDS) {
+    return rejectRequest(res, 'Request timestamp is outside the allowed window');
+  }
+
+  const signatures = signatureHeader
+    .split(',')
+    .map(part => part.trim())
+    .filter(part => part.startsWith('sha256='))
+    .map(part => part.slice('sha256='.length).toLowerCase());
+
+  if (signatures.length === 0) {
+    return rejectRequest(res, 'Invalid X-Webhook-Signature header');
+  }
+
+  // The body is not read until the HMACs are attached below, so waiting here loses nothing
+  const nonce = req.get('X-Webhook-Nonce');
+  if (nonce && await isNonceSeen(nonce)) {
+    return rejectRequest(res, 'Replayed webhook request');
+  }
+
+  // One running HMAC per active secret
+  const hmacs = WEBHOOK_SECRETS.map(secret => crypto.createHmac('sha256', secret).update(`${timestamp}.`));
+  req.on('data', chunk => {
+    hmacs.forEach(hmac => hmac.update(chunk));
+  });
+
+  req.webhookSignature = { timestamp: timestampSeconds, signatures, hmacs };
+  next();
+}
+
+/**
+ * Compares the finished digests against the signature header and rejects
+ * replays. Registered after the body parsers (including multer).
+ */
+async function verifyWebhookSignature(req, res, next) {
+  const signature = req.webhookSignature;
+  if (!signature) {
+    // Unsigned development request, already let through by startSignatureDigest
+    return next();
+  }
+
+  try {
+    // Make sure the whole body went through the HMACs
+    if (!req.readableEnded) {
+      await new Promise((resolve, reject) => {
+        req.on('end', resolve);
+        req.on('error', reject);
+        req.resume();
+      });
+    }
+
+    const digests = signature.hmacs.map(hmac => hmac.digest());
+    const matchedDigest = digests.find(digest => signature.signatures.some(candidate => {
+      const candidateBuffer = Buffer.from(candidate, 'hex');
+      return candidateBuffer.length === digest.length && crypto.timingSafeEqual(candidateBuffer, digest);
+    }));
+
+    if (!matchedDigest) {
+      discardUploads(req);
+      return rejectRequest(res, 'Invalid webhook signature');
+    }
+
+    const nonce = req.get('X-Webhook-Nonce') || matchedDigest.toString('hex');
+    const expiresAt = new Date((signature.timestamp + TOLERANCE_SECONDS) * 1000);
+    const fresh = await claimNonce(nonce, expiresAt);
+    if (!fresh) {
+      discardUploads(req);
+      return rejectRequest(res, 'Replayed webhook request');
+    }
+
+    req.webhookAuth = {
+      verified: true,
+      keyIndex: digests.indexOf(matchedDigest)
+    };
+    next();
+  } catch (error) {
+    console.error('Error verifying webhook signature:', error);
+    discardUploads(req);
+    rejectRequest(res, 'Unable to verify webhook signature');
+  }
+}
+
+module.exports = {
+  startSignatureDigest,
+  verifyWebhookSignature,
+  signPayload
+};
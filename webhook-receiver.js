@@ -4,20 +4,79 @@ const bodyParser = require('body-parser');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
-const { generateExcelReport } = require('./excel-generator');
-const { connectToDatabase, Submission } = require('./db-connection');
+const crypto = require('crypto');
+const { runEligibilityChecks } = require('./eligibility-checks');
+const { validateSubmissionPayload } = require('./payload-schema');
+const { sanitizeFilename, validateUploadedFiles, UPLOAD_LIMITS } = require('./upload-validation');
+const { startSignatureDigest, verifyWebhookSignature } = require('./webhook-auth');
+const {
+  requireApiKey,
+  requireDownloadAccess,
+  requireStaff,
+  canAccessSubmission,
+  createSignedDownloadUrl,
+  normalizeEmail,
+  ROLES
+} = require('./api-auth');
+const {
+  connectToDatabase,
+  Submission,
+  ProcessingJob,
+  CallbackDelivery,
+  isConnected,
+  isTransientDatabaseError
+} = require('./db-connection');
+const { enqueueJob, startWorker, notifyWorker } = require('./job-queue');
+const { PROCESS_SUBMISSION_JOB, REPORT_REASONS, queueReportRegeneration } = require('./submission-processor');
+const { applyAmendmentChanges, diffValues, rebuildDocumentChecklist } = require('./amendments');
+const { buildSearch, searchSubmissions } = require('./submission-search');
+const { REPORT_GENERATOR_VERSION } = require('./excel-generator');
+const { emitSubmissionEvent, CALLBACK_EVENTS } = require('./status-callbacks');
+const {
+  spoolSubmission,
+  discardDuplicateSubmission,
+  startReconciler,
+  getSpoolBacklog,
+  readSpooledSubmission,
+  findSpooledByIdempotencyKey
+} = require('./offline-spool');
+const { checkLiveness, checkReadiness } = require('./health-checks');
+const { PDF_BUCKET } = require('./pdf-summary');
+const {
+  recordAuditEvent,
+  getAuditTrail,
+  actorFromRequest,
+  webhookReceiptDetails,
+  AUDIT_ACTIONS,
+  WEBHOOK_ACTOR
+} = require('./audit-log');
+const {
+  currentReviewStatus,
+  checkTransition,
+  checkNote,
+  parseOverride,
+  REVIEW_STATUSES
+} = require('./review-workflow');
 const mongoose = require('mongoose');
 const { GridFSBucket } = require('mongodb');
 const stream = require('stream');
 const app = express();
 const PORT = process.env.PORT || 8000;
 
+// Behind a proxy (e.g. Railway), req.ip is only the client's address when the
+// proxy is trusted; TRUST_PROXY takes a hop count or 'true'
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === 'true');
+}
+
 // Create directories for storing files and reports (temporary storage)
 const submissionsDir = path.join(__dirname, 'submissions');
 const uploadsDir = path.join(__dirname, 'uploads');
+const quarantineDir = path.join(submissionsDir, 'quarantine');
 
 // Ensure directories exist
-[submissionsDir, uploadsDir].forEach(dir => {
+[submissionsDir, uploadsDir, quarantineDir].forEach(dir => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
@@ -26,9 +85,8 @@ const uploadsDir = path.join(__dirname, 'uploads');
 // Configure multer for temporary file storage before moving to GridFS
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    // Create a directory for this submission
-    const submissionId = Date.now().toString();
-    const submissionDir = path.join(uploadsDir, submissionId);
+    // All files of a request share the upload folder chosen before multer runs
+    const submissionDir = path.join(uploadsDir, req.uploadDirName);
     
     if (!fs.existsSync(submissionDir)) {
       fs.mkdirSync(submissionDir, { recursive: true });
@@ -37,12 +95,94 @@ const storage = multer.diskStorage({
     cb(null, submissionDir);
   },
   filename: function (req, file, cb) {
-    // Use original filename
-    cb(null, file.originalname);
+    // Never trust the client's name on disk: sanitize it and add a random
+    // prefix so two files with the same name cannot overwrite each other
+    cb(null, `${crypto.randomBytes(4).toString('hex')}-${sanitizeFilename(file.originalname)}`);
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: UPLOAD_LIMITS.maxFileBytes,
+    files: UPLOAD_LIMITS.maxFiles
   }
 });
 
-const upload = multer({ storage: storage });
+// Run multer and answer its limit errors with JSON instead of the default error page
+function receiveUploads(req, res, next) {
+  upload.any()(req, res, error => {
+    if (!error) return next();
+    discardUploadDir(req.uploadDirName);
+    if (error instanceof multer.MulterError) {
+      const tooLarge = ['LIMIT_FILE_SIZE', 'LIMIT_FILE_COUNT', 'LIMIT_FIELD_VALUE'].includes(error.code);
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        message: `Upload rejected: ${error.message}`,
+        code: error.code,
+        field: error.field
+      });
+    }
+    next(error);
+  });
+}
+
+// Generate a collision-free submission ID, e.g. '1741816708681-3f9a1c0b7d2e'.
+// The timestamp prefix keeps IDs and upload folders sortable by arrival time.
+function generateSubmissionId() {
+  return `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+}
+
+// Idempotency keys of webhooks currently being processed, to catch concurrent retries
+const inFlightIdempotencyKeys = new Set();
+
+// Build the webhook response for a submission that was already processed
+function buildDuplicateResponse(submission) {
+  const report = submission.report || {};
+  return {
+    success: true,
+    duplicate: true,
+    message: 'Submission was already received; returning the original result',
+    submissionId: submission.submissionId,
+    reportGenerated: !!report.generated,
+    filesStoredInGridFS: (submission.gridFSFiles || []).length,
+    // Spooled submissions have no status until they are replayed into MongoDB
+    processingStatus: submission.processingStatus || (submission.spooledAt ? 'spooled' : undefined),
+    statusUrl: `/submission/${submission.submissionId}/status`,
+    qualifyingQuarters: report.qualificationData?.qualifyingQuarters || [],
+    estimatedCredit: report.creditEstimate?.totalCredit ?? null,
+    warnings: report.qualificationData?.complianceChecks?.warnings || []
+  };
+}
+
+// Remove the temporary upload folder of a request that will not be stored
+function discardUploadDir(uploadDirName) {
+  fs.rm(path.join(uploadsDir, uploadDirName), { recursive: true, force: true }, error => {
+    if (error) console.error(`Error removing uploads for ${uploadDirName}:`, error.message);
+  });
+}
+
+// Webhook signatures are computed over the raw body, so hashing has to start
+// before any body parser reads the request
+app.post('/webhook', startSignatureDigest, (req, res, next) => {
+  req.submissionId = generateSubmissionId();
+  req.uploadDirName = req.submissionId;
+  next();
+});
+
+// An amendment's files go in their own folder under the submission's uploads,
+// so a rejected amendment never touches the files already received
+app.post('/webhook/:submissionId/amendments', startSignatureDigest, (req, res, next) => {
+  if (!/^[\w-]+$/.test(req.params.submissionId)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Submission not found'
+    });
+  }
+  req.submissionId = req.params.submissionId;
+  req.uploadDirName = path.join(req.submissionId, `amendment-${generateSubmissionId()}`);
+  next();
+});
 
 // Configure express middleware
 app.use(bodyParser.json({ limit: '50mb' }));
@@ -51,50 +191,66 @@ app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
 // Connect to MongoDB when the server starts
 connectToDatabase().then(connected => {
   if (!connected) {
-    console.error('Failed to connect to MongoDB. The server will continue, but data won\'t be stored in MongoDB.');
+    console.error('Failed to connect to MongoDB. Submissions will be spooled locally until the connection is retried successfully.');
   }
 });
 
-// Function to store a file in GridFS
-async function storeFileInGridFS(filePath, fileName, mimeType, metadata) {
-  return new Promise((resolve, reject) => {
-    const bucket = new GridFSBucket(mongoose.connection.db, {
-      bucketName: 'clientFiles'
-    });
-
-    const fileStream = fs.createReadStream(filePath);
-    const uploadStream = bucket.openUploadStream(fileName, {
-      metadata: {
-        ...metadata,
-        contentType: mimeType,
-        uploadedAt: new Date()
-      }
-    });
-
-    const fileId = uploadStream.id;
+// Process queued submissions in the background; both wait while MongoDB is down
+startWorker();
+startReconciler();
 
-    fileStream.pipe(uploadStream);
-
-    uploadStream.on('error', (error) => {
-      console.error('Error uploading file to GridFS:', error);
-      reject(error);
-    });
+// Keep a copy of a rejected submission for inspection instead of storing it
+function quarantineSubmission(submissionId, req, errors) {
+  try {
+    const quarantineFile = path.join(quarantineDir, `quarantine_${submissionId}.json`);
+    fs.writeFileSync(quarantineFile, JSON.stringify({
+      id: submissionId,
+      receivedAt: new Date().toISOString(),
+      errors: errors,
+      body: req.body,
+      files: (req.files || []).map(file => ({
+        fieldname: file.fieldname,
+        originalName: file.originalname,
+        savedPath: file.path,
+        size: file.size,
+        mimetype: file.mimetype
+      }))
+    }, null, 2));
+    console.log(`Rejected submission quarantined to ${quarantineFile}`);
+  } catch (quarantineError) {
+    console.error('Error quarantining submission:', quarantineError);
+  }
+}
 
-    uploadStream.on('finish', () => {
-      console.log(`File ${fileName} saved to GridFS with ID: ${fileId}`);
-      resolve(fileId);
+// Records the receipt of a webhook; the submission is kept even if this fails
+async function recordWebhookReceipt(submissionFields, req) {
+  try {
+    await recordAuditEvent({
+      submissionId: submissionFields.submissionId,
+      action: AUDIT_ACTIONS.WEBHOOK_RECEIVED,
+      actor: WEBHOOK_ACTOR,
+      ip: req.ip,
+      details: webhookReceiptDetails(submissionFields, req.webhookAuth)
     });
-  });
+  } catch (error) {
+    console.error(`Error recording audit entry for submission ${submissionFields.submissionId}:`, error.message);
+  }
 }
 
 // Webhook endpoint
-app.post('/webhook', upload.any(), async (req, res) => {
+app.post('/webhook', receiveUploads, verifyWebhookSignature, async (req, res) => {
+  let idempotencyKey = null;
   try {
     console.log('Received webhook notification');
     
-    const submissionId = Date.now().toString();
+    const submissionId = req.submissionId;
     let parsedData = {};
     
+    // Fingerprint of the payload exactly as received, for the audit trail
+    const payloadHash = crypto.createHash('sha256')
+      .update(req.body.submissionData !== undefined ? String(req.body.submissionData) : JSON.stringify(req.body))
+      .digest('hex');
+    
     // Parse the stringified JSON in submissionData if it exists
     if (req.body.submissionData) {
       try {
@@ -104,75 +260,86 @@ app.post('/webhook', upload.any(), async (req, res) => {
       } catch (parseError) {
         console.error('Error parsing submissionData:', parseError.message);
         console.error('Raw submissionData:', req.body.submissionData.substring(0, 200) + '...');
-        // Fall back to using the raw body
-        parsedData = req.body;
+        const errors = [{ field: 'submissionData', message: `Invalid JSON: ${parseError.message}` }];
+        quarantineSubmission(submissionId, req, errors);
+        return res.status(422).json({
+          success: false,
+          message: 'Submission payload is malformed',
+          submissionId: submissionId,
+          errors: errors
+        });
       }
     } else {
       console.log('No submissionData field found, using raw body');
       parsedData = req.body;
     }
     
-    // Handle received files and store them in GridFS
-    const receivedFiles = [];
-    const gridFSFiles = [];
+    // Validate and normalize the payload against the versioned schema
+    const validation = validateSubmissionPayload(parsedData);
+    if (!validation.valid) {
+      console.error(`Submission failed schema validation with ${validation.errors.length} error(s)`);
+      quarantineSubmission(submissionId, req, validation.errors);
+      return res.status(422).json({
+        success: false,
+        message: 'Submission payload failed validation',
+        submissionId: submissionId,
+        schemaVersion: validation.schemaVersion,
+        errors: validation.errors
+      });
+    }
+    parsedData = validation.data;
+    const schemaVersion = validation.schemaVersion;
+    
+    // Check the uploaded files' real content against their document category
+    const fileValidation = validateUploadedFiles(req.files, parsedData.formData, parsedData.fileManifest);
+    if (!fileValidation.valid) {
+      console.error(`Submission failed file validation with ${fileValidation.errors.length} error(s)`);
+      quarantineSubmission(submissionId, req, fileValidation.errors);
+      return res.status(422).json({
+        success: false,
+        message: 'Uploaded files failed validation',
+        submissionId: submissionId,
+        errors: fileValidation.errors
+      });
+    }
+    
+    // A retried webhook carries the same Idempotency-Key header or upstream submission id
+    const headerKey = req.get('Idempotency-Key');
+    idempotencyKey = headerKey
+      ? `header:${headerKey.trim()}`
+      : (parsedData.id ? `upstream:${parsedData.id}` : null);
     
-    if (req.files && req.files.length > 0) {
-      console.log(`Received ${req.files.length} files - storing in GridFS:`);
+    if (idempotencyKey) {
+      if (inFlightIdempotencyKeys.has(idempotencyKey)) {
+        idempotencyKey = null; // Owned by the request already processing it
+        discardUploadDir(submissionId);
+        return res.status(409).json({
+          success: false,
+          message: 'A submission with this idempotency key is already being processed'
+        });
+      }
+      inFlightIdempotencyKeys.add(idempotencyKey);
       
-      for (const file of req.files) {
-        try {
-          // Determine file category from the request
-          let fileCategory = 'unknown';
-          if (parsedData.formData && parsedData.formData.uploadedFiles) {
-            // Try to find the category based on file name
-            Object.entries(parsedData.formData.uploadedFiles).forEach(([category, files]) => {
-              if (files && files.some(f => f.name === file.originalname)) {
-                fileCategory = category;
-              }
-            });
-          }
-          
-          // Store file in GridFS
-          const fileId = await storeFileInGridFS(
-            file.path, 
-            file.originalname, 
-            file.mimetype, 
-            {
-              submissionId,
-              fileCategory,
-              originalSize: file.size
-            }
-          );
-          
-          // Store both local path (temporary) and GridFS info
-          receivedFiles.push({
-            originalName: file.originalname,
-            savedPath: file.path,
-            size: file.size,
-            mimetype: file.mimetype
-          });
-          
-          gridFSFiles.push({
-            originalName: file.originalname,
-            fileId: fileId,
-            size: file.size,
-            mimetype: file.mimetype,
-            category: fileCategory
-          });
-          
-          console.log(`- ${file.originalname} (${file.size} bytes) stored in GridFS with ID: ${fileId}`);
-        } catch (fileError) {
-          console.error(`Error storing file ${file.originalname} in GridFS:`, fileError);
-        }
+      const existing = isConnected()
+        ? await Submission.findOne({ idempotencyKey: idempotencyKey })
+        : findSpooledByIdempotencyKey(idempotencyKey);
+      if (existing) {
+        console.log(`Duplicate webhook for submission ${existing.submissionId} (${idempotencyKey})`);
+        discardUploadDir(submissionId);
+        return res.status(200).json(buildDuplicateResponse(existing));
       }
-    } else {
-      console.log('No files received with this submission');
     }
     
+    // Record the received files; they are scanned and copied into GridFS by the worker
+    const receivedFiles = fileValidation.receivedFiles;
+    console.log(`Received ${receivedFiles.length} file(s) with this submission`);
+    
     // Create a clean structure for our submission data
+    const receivedAt = new Date();
     const finalSubmissionData = {
       id: submissionId,
-      receivedAt: new Date().toISOString(),
+      idempotencyKey: idempotencyKey,
+      receivedAt: receivedAt.toISOString(),
       originalData: parsedData,
       receivedFiles: receivedFiles
     };
@@ -182,94 +349,114 @@ app.post('/webhook', upload.any(), async (req, res) => {
     fs.writeFileSync(submissionFile, JSON.stringify(finalSubmissionData, null, 2));
     console.log(`Submission data saved to ${submissionFile}`);
     
-    // Generate Excel report and store in MongoDB GridFS
-    let fileId = null;
-    let filename = null;
-    let qualificationData = null;
-    try {
-      // Now the function saves to GridFS instead of filesystem
-      const reportResult = await generateExcelReport(finalSubmissionData, submissionId);
-      fileId = reportResult.fileId;
-      filename = reportResult.filename;
-      qualificationData = reportResult.qualificationData;
-      console.log(`Excel report stored in GridFS with ID: ${fileId}`);
-      if (qualificationData && qualificationData.qualifyingQuarters) {
-        console.log(`Qualifying quarters: ${qualificationData.qualifyingQuarters.join(', ') || 'None'}`);
-      }
-    } catch (reportError) {
-      console.error('Error generating Excel report:', reportError);
+    // Extract user information for better organization
+    let userEmail = null;
+    let userId = null;
+    
+    // Try to get the user email from the submission data
+    if (parsedData.formData && parsedData.formData.userEmail) {
+      userEmail = parsedData.formData.userEmail;
+    } else if (parsedData.originalData && parsedData.originalData.formData && parsedData.originalData.formData.userEmail) {
+      userEmail = parsedData.originalData.formData.userEmail;
+    }
+    
+    // Use a unique ID from the data if available, or generate one
+    if (parsedData.id) {
+      userId = parsedData.id;
+    } else if (parsedData.originalData && parsedData.originalData.id) {
+      userId = parsedData.originalData.id;
+    } else {
+      // If no user ID is available, use the submission ID
+      userId = submissionId;
+    }
+    
+    const submissionFields = {
+      submissionId: submissionId,
+      idempotencyKey: idempotencyKey || undefined,
+      schemaVersion: schemaVersion,
+      payloadHash: payloadHash,
+      receivedFromIp: req.ip,
+      userId: userId,
+      userEmail: userEmail,
+      receivedAt: receivedAt,
+      callbackUrl: parsedData.callbackUrl || undefined,
+      originalData: parsedData,
+      receivedFiles: receivedFiles,
+      documentChecklist: fileValidation.documentChecklist
+    };
+    
+    // Ownership and related-individual findings only need the form data, so report them now
+    const complianceChecks = runEligibilityChecks(parsedData.formData || {});
+    
+    // While MongoDB is down, keep the submission in the local spool; the
+    // reconciler stores and queues it once the connection is back
+    const spoolAndRespond = () => {
+      spoolSubmission(submissionFields, webhookReceiptDetails(submissionFields, req.webhookAuth));
+      return res.status(202).json({
+        success: true,
+        message: 'Webhook notification received; storage is temporarily offline, so processing will start once it is back',
+        submissionId: submissionId,
+        processingStatus: 'spooled',
+        statusUrl: `/submission/${submissionId}/status`,
+        filesReceived: receivedFiles.length,
+        missingDocuments: fileValidation.documentChecklist.missingCategories,
+        warnings: complianceChecks.warnings
+      });
+    };
+    if (!isConnected()) {
+      return spoolAndRespond();
     }
     
-    // Store in MongoDB
-    let mongoResult = { success: false, message: 'MongoDB storage not attempted' };
     try {
-      // Extract user information for better organization
-      let userEmail = null;
-      let userId = null;
-      
-      // Try to get the user email from the submission data
-      if (parsedData.formData && parsedData.formData.userEmail) {
-        userEmail = parsedData.formData.userEmail;
-      } else if (parsedData.originalData && parsedData.originalData.formData && parsedData.originalData.formData.userEmail) {
-        userEmail = parsedData.originalData.formData.userEmail;
-      }
-      
-      // Use a unique ID from the data if available, or generate one
-      if (parsedData.id) {
-        userId = parsedData.id;
-      } else if (parsedData.originalData && parsedData.originalData.id) {
-        userId = parsedData.originalData.id;
-      } else {
-        // If no user ID is available, use the submission ID
-        userId = submissionId;
-      }
-      
-      // Create a new submission document with GridFS references for all files
       const submission = new Submission({
-        submissionId: submissionId,
-        userId: userId,
-        userEmail: userEmail,
-        receivedAt: new Date(),
-        originalData: parsedData,
-        receivedFiles: receivedFiles,
-        // Add GridFS file references
-        gridFSFiles: gridFSFiles,
+        ...submissionFields,
+        processingStatus: 'queued',
+        gridFSFiles: [],
         report: {
-          generated: !!fileId,
-          fileId: fileId,
-          filename: filename,
-          qualificationData: qualificationData
+          generated: false
         }
       });
       
-      // Save to MongoDB
       await submission.save();
       console.log(`Submission data saved to MongoDB with ID: ${submissionId}`);
-      mongoResult = {
-        success: true,
-        message: 'Data saved to MongoDB successfully',
-        submissionId: submissionId
-      };
+      await recordWebhookReceipt(submissionFields, req);
     } catch (mongoError) {
-      console.error('Error saving to MongoDB:', mongoError);
-      mongoResult = {
-        success: false,
-        error: mongoError.message,
-        message: 'Error saving data to MongoDB'
-      };
+      // Another process stored the same retried webhook first; this copy is not kept
+      if (mongoError.code === 11000 && mongoError.keyPattern && mongoError.keyPattern.idempotencyKey) {
+        const existing = await Submission.findOne({ idempotencyKey: idempotencyKey });
+        if (existing) {
+          discardDuplicateSubmission(submissionId);
+          return res.status(200).json(buildDuplicateResponse(existing));
+        }
+      }
+      // The connection dropped mid-request; replaying from the spool is safe even if the insert landed
+      if (isTransientDatabaseError(mongoError)) {
+        console.error(`Error saving submission ${submissionId}, spooling it instead:`, mongoError.message);
+        return spoolAndRespond();
+      }
+      throw mongoError;
     }
     
-    // Send confirmation response with qualification data
-    res.status(200).json({
+    // File ingestion, qualification and report generation run in the worker
+    await enqueueJob(PROCESS_SUBMISSION_JOB, { submissionId: submissionId });
+    notifyWorker();
+    
+    await emitSubmissionEvent(CALLBACK_EVENTS.SUBMISSION_RECEIVED, {
+      submissionId: submissionId,
+      callbackUrl: parsedData.callbackUrl
+    });
+    
+    res.status(202).json({
       success: true,
-      message: 'Webhook notification received and processed successfully',
+      message: 'Webhook notification received; processing has been queued',
       submissionId: submissionId,
-      reportGenerated: !!fileId,
-      filesStoredInGridFS: gridFSFiles.length,
-      mongoDbStorage: mongoResult.success,
-      mongoDetails: mongoResult,
-      // Include qualifying quarters information if available
-      qualifyingQuarters: qualificationData?.qualifyingQuarters || []
+      processingStatus: 'queued',
+      statusUrl: `/submission/${submissionId}/status`,
+      filesReceived: receivedFiles.length,
+      // Required document categories with no file, e.g. ['quarterly_941_forms']
+      missingDocuments: fileValidation.documentChecklist.missingCategories,
+      // Ownership and related-individual findings that need attention
+      warnings: complianceChecks.warnings
     });
   } catch (error) {
     console.error('Error processing webhook:', error);
@@ -278,11 +465,273 @@ app.post('/webhook', upload.any(), async (req, res) => {
       message: 'Error processing webhook notification',
       error: error.message
     });
+  } finally {
+    if (idempotencyKey) {
+      inFlightIdempotencyKeys.delete(idempotencyKey);
+    }
+  }
+});
+
+// Amendment endpoint: corrections and additional documents for a submission
+// already received, e.g. a missing Form 941 or a corrected revenue figure
+app.post('/webhook/:submissionId/amendments', receiveUploads, verifyWebhookSignature, async (req, res) => {
+  const submissionId = req.submissionId;
+  // Files are kept once the amendment is stored, or for inspection when it is quarantined
+  let keepUploads = false;
+  try {
+    console.log(`Received amendment for submission ${submissionId}`);
+    
+    // Same shape as a webhook: stringified JSON in amendmentData, or the raw body
+    let amendment = req.body;
+    if (req.body.amendmentData) {
+      try {
+        amendment = JSON.parse(req.body.amendmentData);
+      } catch (parseError) {
+        amendment = null;
+      }
+    }
+    if (!amendment || typeof amendment !== 'object' || Array.isArray(amendment)) {
+      return res.status(422).json({
+        success: false,
+        message: 'Amendment payload is malformed',
+        errors: [{ field: 'amendmentData', message: 'Expected a JSON object with changes, note and fileManifest' }]
+      });
+    }
+    const changes = amendment.changes === undefined ? [] : amendment.changes;
+    const payloadHash = crypto.createHash('sha256')
+      .update(req.body.amendmentData !== undefined ? String(req.body.amendmentData) : JSON.stringify(req.body))
+      .digest('hex');
+    
+    if (Array.isArray(changes) && changes.length === 0 && (req.files || []).length === 0) {
+      return res.status(422).json({
+        success: false,
+        message: 'An amendment needs changes, files or both'
+      });
+    }
+    
+    if (!isConnected()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Storage is temporarily unavailable; please retry the amendment later'
+      });
+    }
+    
+    const submission = await Submission.findOne({ submissionId: submissionId })
+      .select('submissionId originalData receivedFiles review.status amendments.number amendments.idempotencyKey');
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+    if (currentReviewStatus(submission) === REVIEW_STATUSES.FILED) {
+      return res.status(409).json({
+        success: false,
+        message: 'The submission has been filed and can no longer be amended'
+      });
+    }
+    
+    // A retried amendment carries the same Idempotency-Key header
+    const headerKey = req.get('Idempotency-Key');
+    const idempotencyKey = headerKey ? `header:${headerKey.trim()}` : null;
+    const amendments = submission.amendments || [];
+    const previous = idempotencyKey && amendments.find(entry => entry.idempotencyKey === idempotencyKey);
+    if (previous) {
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        message: 'Amendment was already received',
+        submissionId: submissionId,
+        amendment: previous.number,
+        statusUrl: `/submission/${submissionId}/status`
+      });
+    }
+    
+    const currentData = JSON.parse(JSON.stringify(submission.originalData || {}));
+    const patched = applyAmendmentChanges(currentData, changes);
+    const validation = patched.errors.length === 0
+      ? validateSubmissionPayload(patched.data)
+      : { valid: false, errors: patched.errors };
+    if (!validation.valid) {
+      keepUploads = true;
+      quarantineSubmission(`${submissionId}_amendment_${Date.now()}`, req, validation.errors);
+      return res.status(422).json({
+        success: false,
+        message: 'Amendment failed validation',
+        submissionId: submissionId,
+        errors: validation.errors
+      });
+    }
+    const amendedData = validation.data;
+    
+    const fileValidation = validateUploadedFiles(req.files, amendedData.formData, amendment.fileManifest);
+    if (!fileValidation.valid) {
+      keepUploads = true;
+      quarantineSubmission(`${submissionId}_amendment_${Date.now()}`, req, fileValidation.errors);
+      return res.status(422).json({
+        success: false,
+        message: 'Uploaded files failed validation',
+        submissionId: submissionId,
+        errors: fileValidation.errors
+      });
+    }
+    const newFiles = fileValidation.receivedFiles;
+    
+    const diff = diffValues(currentData, amendedData);
+    if (diff.length === 0 && newFiles.length === 0) {
+      return res.status(200).json({
+        success: true,
+        message: 'The amendment does not change the submission',
+        submissionId: submissionId,
+        changedFields: []
+      });
+    }
+    
+    const entry = {
+      number: amendments.reduce((highest, existing) => Math.max(highest, existing.number || 0), 0) + 1,
+      receivedAt: new Date(),
+      idempotencyKey: idempotencyKey || undefined,
+      payloadHash: payloadHash,
+      note: typeof amendment.note === 'string' ? amendment.note : undefined,
+      changes: changes,
+      diff: diff,
+      files: newFiles.map(file => ({ originalName: file.originalName, size: file.size, category: file.category }))
+    };
+    const documentChecklist = rebuildDocumentChecklist(
+      [...(submission.receivedFiles || []).map(file => file.toObject()), ...newFiles],
+      amendedData.formData
+    );
+    
+    // Only apply the amendment if no other amendment was stored in the meantime
+    const result = await Submission.updateOne(
+      {
+        submissionId: submissionId,
+        $or: amendments.length === 0
+          ? [{ amendments: { $size: 0 } }, { amendments: { $exists: false } }]
+          : [{ amendments: { $size: amendments.length } }]
+      },
+      {
+        $set: { originalData: amendedData, documentChecklist: documentChecklist },
+        $push: { receivedFiles: { $each: newFiles }, amendments: entry }
+      }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another amendment to this submission was stored while this one was processed; please retry'
+      });
+    }
+    keepUploads = true;
+    console.log(`Amendment ${entry.number} stored for submission ${submissionId}: ${diff.length} field(s) changed, ${newFiles.length} file(s) added`);
+    
+    try {
+      await recordAuditEvent({
+        submissionId: submissionId,
+        action: AUDIT_ACTIONS.SUBMISSION_AMENDED,
+        actor: WEBHOOK_ACTOR,
+        ip: req.ip,
+        details: {
+          amendment: entry.number,
+          payloadHash: payloadHash,
+          idempotencyKey: idempotencyKey,
+          signatureVerified: !!(req.webhookAuth && req.webhookAuth.verified),
+          changedFields: diff.map(change => change.path),
+          files: entry.files
+        }
+      });
+    } catch (auditError) {
+      console.error(`Error recording audit entry for submission ${submissionId}:`, auditError.message);
+    }
+    
+    // Qualification and the report are rebuilt from the amended data; a job
+    // that has not started yet picks the amendment up by itself
+    await queueReportRegeneration(submissionId, { reason: REPORT_REASONS.AMENDMENT, requestedBy: null });
+    notifyWorker();
+    
+    res.status(202).json({
+      success: true,
+      message: 'Amendment received; the report is being regenerated',
+      submissionId: submissionId,
+      amendment: entry.number,
+      changedFields: diff,
+      filesReceived: newFiles.length,
+      missingDocuments: documentChecklist.missingCategories,
+      statusUrl: `/submission/${submissionId}/status`
+    });
+  } catch (error) {
+    console.error('Error processing amendment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing amendment',
+      error: error.message
+    });
+  } finally {
+    if (!keepUploads) {
+      discardUploadDir(req.uploadDirName);
+    }
+  }
+});
+
+// Report downloads: the Excel workbook, or the PDF summary with ?format=pdf
+const REPORT_FORMATS = {
+  xlsx: {
+    bucketName: 'excelReports',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  },
+  pdf: {
+    bucketName: PDF_BUCKET,
+    contentType: 'application/pdf'
+  }
+};
+
+// Check that the caller may download a client file or report by finding the submission it belongs to
+async function canAccessFile(auth, type, fileId) {
+  if (auth.via === 'signed_url' || auth.role === ROLES.STAFF) {
+    return true;
+  }
+  const query = type === 'report'
+    ? { $or: [
+      { 'report.fileId': fileId },
+      { 'report.pdf.fileId': fileId },
+      { 'reportVersions.fileId': fileId },
+      { 'reportVersions.pdfFileId': fileId }
+    ] }
+    : { 'gridFSFiles.fileId': fileId };
+  const submission = await Submission.findOne(query).select('userEmail');
+  return canAccessSubmission(auth, submission);
+}
+
+// Search submissions with filters, sorting and cursor pagination (staff only)
+app.get('/submissions', requireApiKey, requireStaff, async (req, res) => {
+  try {
+    const search = buildSearch(req.query);
+    if (search.error) {
+      return res.status(400).json({
+        success: false,
+        message: search.error
+      });
+    }
+    
+    const result = await searchSubmissions(search);
+    res.status(200).json({
+      success: true,
+      count: result.submissions.length,
+      submissions: result.submissions,
+      nextCursor: result.nextCursor,
+      summary: result.summary
+    });
+  } catch (error) {
+    console.error('Error searching submissions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error searching submissions',
+      error: error.message
+    });
   }
 });
 
 // Add a route to get submissions for a specific user
-app.get('/submissions/:userEmail', async (req, res) => {
+app.get('/submissions/:userEmail', requireApiKey, async (req, res) => {
   try {
     const userEmail = req.params.userEmail;
     
@@ -293,9 +742,17 @@ app.get('/submissions/:userEmail', async (req, res) => {
       });
     }
     
+    // Clients may only list their own submissions
+    if (req.auth.role === ROLES.CLIENT && normalizeEmail(userEmail) !== req.auth.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not allowed to view submissions for this user'
+      });
+    }
+    
     // Find all submissions for this user, now including qualification data
-    const submissions = await Submission.find({ userEmail: userEmail })
-      .select('submissionId receivedAt originalData.formData.qualifyingQuestions report.generated report.qualificationData gridFSFiles')
+    const submissions = await Submission.find({ userEmail: normalizeEmail(userEmail) })
+      .select('submissionId receivedAt originalData.formData.qualifyingQuestions review.status report.generated report.qualificationData report.creditEstimate gridFSFiles')
       .sort({ receivedAt: -1 });
     
     res.status(200).json({
@@ -314,7 +771,7 @@ app.get('/submissions/:userEmail', async (req, res) => {
 });
 
 // Add a route to get a specific submission
-app.get('/submission/:submissionId', async (req, res) => {
+app.get('/submission/:submissionId', requireApiKey, async (req, res) => {
   try {
     const submissionId = req.params.submissionId;
     
@@ -325,10 +782,16 @@ app.get('/submission/:submissionId', async (req, res) => {
       });
     }
     
-    // Find the submission
-    const submission = await Submission.findOne({ submissionId: submissionId });
+    // Find the submission; review notes, overrides (with their reasons and
+    // reviewers) and who requested each report are internal to staff
+    const query = Submission.findOne({ submissionId: submissionId });
+    if (req.auth.role !== ROLES.STAFF) {
+      query.select('-review.notes -review.overrides -review.history -report.appliedOverrides -reportVersions.requestedBy');
+    }
+    const submission = await query;
     
-    if (!submission) {
+    // Submissions the caller may not see are reported as missing so IDs can't be probed
+    if (!submission || !canAccessSubmission(req.auth, submission)) {
       return res.status(404).json({
         success: false,
         message: 'Submission not found'
@@ -349,76 +812,798 @@ app.get('/submission/:submissionId', async (req, res) => {
   }
 });
 
-// Add an endpoint to download a file from GridFS
-app.get('/download/file/:fileId', async (req, res) => {
+// Add a route to get the Form 941-X worksheet data of a submission
+app.get('/submission/:submissionId/941x', requireApiKey, async (req, res) => {
   try {
-    const fileId = new mongoose.Types.ObjectId(req.params.fileId);
-    const bucket = new GridFSBucket(mongoose.connection.db, {
-      bucketName: 'clientFiles'
-    });
-    
-    // First, get the file info to set the correct headers
-    const files = await bucket.find({ _id: fileId }).toArray();
+    const submission = await Submission.findOne({ submissionId: req.params.submissionId })
+      .select('submissionId userEmail processingStatus report.generated report.form941x');
     
-    if (!files || files.length === 0) {
+    if (!submission || !canAccessSubmission(req.auth, submission)) {
       return res.status(404).json({
         success: false,
-        message: 'File not found'
+        message: 'Submission not found'
       });
     }
     
-    const file = files[0];
-    
-    // Set appropriate headers
-    res.set('Content-Type', file.metadata?.contentType || 'application/octet-stream');
-    res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
-    
-    // Stream the file from GridFS to the response
-    const downloadStream = bucket.openDownloadStream(fileId);
-    downloadStream.pipe(res);
+    if (!submission.report || !submission.report.generated || !submission.report.form941x) {
+      return res.status(409).json({
+        success: false,
+        message: 'The report for this submission has not been generated yet',
+        processingStatus: submission.processingStatus
+      });
+    }
     
-    downloadStream.on('error', (error) => {
-      console.error('Error streaming file from GridFS:', error);
-      if (!res.headersSent) {
-        res.status(500).json({
-          success: false,
-          message: 'Error downloading file',
-          error: error.message
-        });
-      }
+    res.status(200).json({
+      success: true,
+      submissionId: submission.submissionId,
+      form941x: submission.report.form941x
     });
   } catch (error) {
-    console.error('Error downloading file:', error);
+    console.error('Error retrieving 941-X data:', error);
     res.status(500).json({
       success: false,
-      message: 'Error downloading file',
+      message: 'Error retrieving 941-X data',
       error: error.message
     });
   }
 });
 
-// Add an endpoint to download Excel report from GridFS
-app.get('/download/report/:fileId', async (req, res) => {
+// Who is acting on a review: the staff member's email when sent, else the key name
+function reviewActor(req) {
+  return req.auth.email || req.auth.keyName;
+}
+
+// Records a staff action that has already taken effect, so a failure is only logged
+async function recordStaffAction(req, submissionId, action, details) {
   try {
-    const fileId = new mongoose.Types.ObjectId(req.params.fileId);
-    const bucket = new GridFSBucket(mongoose.connection.db, {
-      bucketName: 'excelReports'
+    await recordAuditEvent({
+      submissionId,
+      action,
+      actor: actorFromRequest(req),
+      ip: req.ip,
+      details
     });
-    
-    // First, get the file info to set the correct headers
-    const files = await bucket.find({ _id: fileId }).toArray();
-    
-    if (!files || files.length === 0) {
-      return res.status(404).json({
+  } catch (error) {
+    console.error(`Error recording audit entry for submission ${submissionId}:`, error.message);
+  }
+}
+
+// Change a submission's review status and/or assigned reviewer (staff only)
+app.patch('/submission/:submissionId/review', requireApiKey, requireStaff, async (req, res) => {
+  try {
+    const { status, assignedTo, note } = req.body || {};
+    if (status === undefined && assignedTo === undefined) {
+      return res.status(400).json({
         success: false,
-        message: 'Report not found'
+        message: 'Provide a status and/or assignedTo'
       });
     }
-    
+    if (assignedTo !== undefined && assignedTo !== null && (typeof assignedTo !== 'string' || assignedTo.trim() === '')) {
+      return res.status(400).json({
+        success: false,
+        message: 'assignedTo must be a reviewer email or name, or null to unassign'
+      });
+    }
+    if (note !== undefined && checkNote(note)) {
+      return res.status(400).json({
+        success: false,
+        message: checkNote(note)
+      });
+    }
+    
+    const submission = await Submission.findOne({ submissionId: req.params.submissionId })
+      .select('submissionId review.status');
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+    
+    const now = new Date();
+    const actor = reviewActor(req);
+    const from = currentReviewStatus(submission);
+    const update = { $set: {}, $push: {} };
+    
+    if (status !== undefined && status !== from) {
+      const problem = checkTransition(from, status);
+      if (problem) {
+        return res.status(409).json({
+          success: false,
+          message: problem,
+          reviewStatus: from
+        });
+      }
+      update.$set['review.status'] = status;
+      update.$set['review.statusChangedAt'] = now;
+      update.$push['review.history'] = { from, to: status, by: actor, note: note ? note.trim() : null, at: now };
+    }
+    if (assignedTo !== undefined) {
+      update.$set['review.assignedTo'] = assignedTo ? assignedTo.trim() : null;
+      update.$set['review.assignedAt'] = assignedTo ? now : null;
+    }
+    // A note explains the status change; without one it is kept as an internal note
+    if (note !== undefined && !update.$push['review.history']) {
+      update.$push['review.notes'] = { author: actor, text: note.trim(), createdAt: now };
+    }
+    if (Object.keys(update.$set).length === 0) delete update.$set;
+    if (Object.keys(update.$push).length === 0) delete update.$push;
+    
+    // Only apply the change if nobody moved the submission in the meantime
+    const statusFilter = from === REVIEW_STATUSES.SUBMITTED
+      ? { $in: [REVIEW_STATUSES.SUBMITTED, null] }
+      : from;
+    const result = await Submission.findOneAndUpdate(
+      { submissionId: submission.submissionId, 'review.status': statusFilter },
+      update,
+      { new: true }
+    ).select('submissionId review');
+    
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'The review status changed while this request was processed; reload and try again'
+      });
+    }
+    
+    if (update.$push && update.$push['review.history']) {
+      await recordStaffAction(req, result.submissionId, AUDIT_ACTIONS.REVIEW_STATUS_CHANGED, update.$push['review.history']);
+    }
+    if (assignedTo !== undefined) {
+      await recordStaffAction(req, result.submissionId, AUDIT_ACTIONS.REVIEW_ASSIGNED, {
+        assignedTo: update.$set['review.assignedTo']
+      });
+    }
+    if (update.$push && update.$push['review.notes']) {
+      await recordStaffAction(req, result.submissionId, AUDIT_ACTIONS.REVIEW_NOTE_ADDED, update.$push['review.notes']);
+    }
+    
+    res.status(200).json({
+      success: true,
+      submissionId: result.submissionId,
+      review: result.review
+    });
+  } catch (error) {
+    console.error('Error updating review:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating review',
+      error: error.message
+    });
+  }
+});
+
+// Add an internal note to a submission (staff only)
+app.post('/submission/:submissionId/notes', requireApiKey, requireStaff, async (req, res) => {
+  try {
+    const text = (req.body || {}).text;
+    const problem = checkNote(text);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+    
+    const note = { author: reviewActor(req), text: text.trim(), createdAt: new Date() };
+    const result = await Submission.updateOne(
+      { submissionId: req.params.submissionId },
+      { $push: { 'review.notes': note } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+    await recordStaffAction(req, req.params.submissionId, AUDIT_ACTIONS.REVIEW_NOTE_ADDED, note);
+    
+    res.status(201).json({
+      success: true,
+      note: note
+    });
+  } catch (error) {
+    console.error('Error adding note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding note',
+      error: error.message
+    });
+  }
+});
+
+// Override whether a quarter qualifies (staff only); the report is regenerated with it
+app.post('/submission/:submissionId/overrides', requireApiKey, requireStaff, async (req, res) => {
+  try {
+    const { override, error } = parseOverride(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const submission = await Submission.findOne({ submissionId: req.params.submissionId })
+      .select('submissionId review.status report.generated');
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+    if (currentReviewStatus(submission) === REVIEW_STATUSES.FILED) {
+      return res.status(409).json({
+        success: false,
+        message: 'The submission has been filed; its qualification can no longer be changed'
+      });
+    }
+    
+    const entry = { ...override, by: reviewActor(req), at: new Date() };
+    await Submission.updateOne(
+      { submissionId: submission.submissionId },
+      { $push: { 'review.overrides': entry } }
+    );
+    await recordStaffAction(req, submission.submissionId, AUDIT_ACTIONS.REVIEW_OVERRIDE_ADDED, entry);
+    
+    // Reports already generated are rebuilt with the override; a report already
+    // queued will read the override when it runs
+    let regenerating = false;
+    if (submission.report && submission.report.generated) {
+      const job = await queueReportRegeneration(submission.submissionId, {
+        reason: REPORT_REASONS.OVERRIDE,
+        requestedBy: entry.by
+      });
+      if (job) notifyWorker();
+      regenerating = true;
+    }
+    
+    res.status(201).json({
+      success: true,
+      override: entry,
+      regenerating: regenerating
+    });
+  } catch (error) {
+    console.error('Error saving override:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving override',
+      error: error.message
+    });
+  }
+});
+
+// Export a submission's audit history with the result of verifying its hash chain (staff only)
+app.get('/submission/:submissionId/audit', requireApiKey, requireStaff, async (req, res) => {
+  try {
+    const submission = await Submission.findOne({ submissionId: req.params.submissionId })
+      .select('submissionId');
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+    
+    const trail = await getAuditTrail(submission.submissionId);
+    if (!trail.verification.valid) {
+      console.error(`Audit trail of submission ${submission.submissionId} failed verification at entry ${trail.verification.brokenAt}: ${trail.verification.problem}`);
+    }
+    
+    // The export itself is recorded after the history it contains
+    await recordAuditEvent({
+      submissionId: submission.submissionId,
+      action: AUDIT_ACTIONS.AUDIT_EXPORTED,
+      actor: actorFromRequest(req),
+      ip: req.ip,
+      details: { entryCount: trail.verification.entryCount, valid: trail.verification.valid }
+    });
+    
+    res.set('Content-Disposition', `attachment; filename="audit_${sanitizeFilename(submission.submissionId)}.json"`);
+    res.status(200).json({
+      success: true,
+      submissionId: trail.submissionId,
+      exportedAt: new Date(),
+      verification: trail.verification,
+      entries: trail.entries
+    });
+  } catch (error) {
+    console.error('Error exporting audit trail:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting audit trail',
+      error: error.message
+    });
+  }
+});
+
+// Regenerate a submission's report from its stored data as a new version (staff only)
+app.post('/submission/:submissionId/report', requireApiKey, requireStaff, async (req, res) => {
+  try {
+    const submission = await Submission.findOne({ submissionId: req.params.submissionId })
+      .select('submissionId review.status report.version');
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+    if (currentReviewStatus(submission) === REVIEW_STATUSES.FILED) {
+      return res.status(409).json({
+        success: false,
+        message: 'The submission has been filed; its report can no longer be regenerated'
+      });
+    }
+    
+    const job = await queueReportRegeneration(submission.submissionId, {
+      reason: REPORT_REASONS.MANUAL,
+      requestedBy: reviewActor(req)
+    });
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        message: 'A report for this submission is already queued; it will use the current data',
+        statusUrl: `/submission/${submission.submissionId}/status`
+      });
+    }
+    notifyWorker();
+    await recordStaffAction(req, submission.submissionId, AUDIT_ACTIONS.REPORT_REGENERATION_REQUESTED, {
+      reason: REPORT_REASONS.MANUAL,
+      jobId: String(job._id)
+    });
+    
+    res.status(202).json({
+      success: true,
+      message: 'Report regeneration has been queued',
+      submissionId: submission.submissionId,
+      jobId: job._id,
+      currentVersion: (submission.report && submission.report.version) || null,
+      statusUrl: `/submission/${submission.submissionId}/status`
+    });
+  } catch (error) {
+    console.error('Error queueing report regeneration:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error queueing report regeneration',
+      error: error.message
+    });
+  }
+});
+
+// List every report version of a submission, marking the current one
+app.get('/submission/:submissionId/report/versions', requireApiKey, async (req, res) => {
+  try {
+    const submission = await Submission.findOne({ submissionId: req.params.submissionId })
+      .select('submissionId userEmail report.generated report.version report.fileId report.filename report.generatedAt report.templateId report.pdf reportVersions');
+    
+    if (!submission || !canAccessSubmission(req.auth, submission)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+    
+    // Reports generated before versioning are shown as version 1
+    let versions = submission.reportVersions || [];
+    if (versions.length === 0 && submission.report && submission.report.generated) {
+      versions = [{
+        version: 1,
+        fileId: submission.report.fileId,
+        filename: submission.report.filename,
+        pdfFileId: submission.report.pdf && submission.report.pdf.fileId,
+        generatedAt: submission.report.generatedAt,
+        generatorVersion: null,
+        inputsHash: null,
+        templateId: submission.report.templateId
+      }];
+    }
+    const currentVersion = (submission.report && submission.report.version) || (versions.length > 0 ? 1 : null);
+    
+    res.status(200).json({
+      success: true,
+      submissionId: submission.submissionId,
+      currentVersion: currentVersion,
+      generatorVersion: REPORT_GENERATOR_VERSION,
+      versions: versions.map(entry => ({
+        version: entry.version,
+        current: entry.version === currentVersion,
+        fileId: entry.fileId,
+        filename: entry.filename,
+        pdfFileId: entry.pdfFileId || null,
+        generatedAt: entry.generatedAt,
+        generatorVersion: entry.generatorVersion || null,
+        inputsHash: entry.inputsHash || null,
+        templateId: entry.templateId || null,
+        reason: entry.reason || null,
+        // Reviewer names are internal to staff
+        requestedBy: req.auth.role === ROLES.STAFF ? entry.requestedBy || null : null
+      }))
+    });
+  } catch (error) {
+    console.error('Error retrieving report versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving report versions',
+      error: error.message
+    });
+  }
+});
+
+// Submissions a bulk regeneration may target at once
+const MAX_BULK_REGENERATION = 1000;
+
+/**
+ * Builds the submission query for a bulk regeneration
+ * @param {Object} filter - { submissionIds, userEmail, receivedFrom, receivedTo, processingStatus, reviewStatus, templateId, generatorVersion, outdatedGenerator }
+ * @returns {Object} - { error } or { query }
+ */
+function buildRegenerationQuery(filter = {}) {
+  // Values go into the query as they are, so an object here would be read as an operator
+  if (filter === null || typeof filter !== 'object' || Array.isArray(filter)) {
+    return { error: 'filter must be an object' };
+  }
+  const textFields = ['userEmail', 'receivedFrom', 'receivedTo', 'processingStatus', 'reviewStatus', 'templateId', 'generatorVersion'];
+  const notText = textFields.find(field => filter[field] !== undefined && typeof filter[field] !== 'string');
+  if (notText) {
+    return { error: `${notText} must be a string` };
+  }
+  if (filter.outdatedGenerator !== undefined && typeof filter.outdatedGenerator !== 'boolean') {
+    return { error: 'outdatedGenerator must be true or false' };
+  }
+
+  const query = {};
+  if (filter.submissionIds !== undefined) {
+    if (!Array.isArray(filter.submissionIds) || filter.submissionIds.some(id => typeof id !== 'string')) {
+      return { error: 'submissionIds must be an array of submission IDs' };
+    }
+    query.submissionId = { $in: filter.submissionIds };
+  }
+  if (filter.userEmail) query.userEmail = normalizeEmail(filter.userEmail);
+  for (const [field, operator] of [['receivedFrom', '$gte'], ['receivedTo', '$lte']]) {
+    if (filter[field] === undefined) continue;
+    const date = new Date(filter[field]);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${field} must be a date, e.g. 2024-01-31` };
+    }
+    query.receivedAt = { ...query.receivedAt, [operator]: date };
+  }
+  if (filter.processingStatus) query.processingStatus = filter.processingStatus;
+  if (filter.reviewStatus) {
+    const statuses = Object.values(REVIEW_STATUSES).filter(status => status !== REVIEW_STATUSES.FILED);
+    if (!statuses.includes(filter.reviewStatus)) {
+      return { error: `reviewStatus must be one of ${statuses.join(', ')}; filed submissions are not regenerated` };
+    }
+    query['review.status'] = filter.reviewStatus === REVIEW_STATUSES.SUBMITTED
+      ? { $in: [REVIEW_STATUSES.SUBMITTED, null] }
+      : filter.reviewStatus;
+  }
+  if (filter.templateId) query['report.templateId'] = filter.templateId;
+  if (filter.generatorVersion) query['report.generatorVersion'] = filter.generatorVersion;
+  // Reports built by an earlier release, including those from before versioning
+  if (filter.outdatedGenerator === true) {
+    query['report.generated'] = true;
+    query['report.generatorVersion'] = { $ne: REPORT_GENERATOR_VERSION };
+  }
+  if (Object.keys(query).length === 0) {
+    return { error: 'Provide at least one filter; regenerating every submission at once is not allowed' };
+  }
+  // Filed returns are final, whatever else matches
+  query['review.status'] = query['review.status'] || { $ne: REVIEW_STATUSES.FILED };
+  return { query };
+}
+
+// Regenerate the reports of every submission matching a filter (staff only)
+app.post('/reports/regenerate', requireApiKey, requireStaff, async (req, res) => {
+  try {
+    const { filter, dryRun, limit } = req.body || {};
+    const { query, error } = buildRegenerationQuery(filter);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    const maxCount = limit === undefined ? MAX_BULK_REGENERATION : Number(limit);
+    if (!Number.isInteger(maxCount) || maxCount < 1 || maxCount > MAX_BULK_REGENERATION) {
+      return res.status(400).json({
+        success: false,
+        message: `limit must be between 1 and ${MAX_BULK_REGENERATION}`
+      });
+    }
+    
+    // One more than the limit tells whether the filter matched more
+    const matches = await Submission.find(query)
+      .select('submissionId')
+      .sort({ receivedAt: 1 })
+      .limit(maxCount + 1);
+    const truncated = matches.length > maxCount;
+    const targets = matches.slice(0, maxCount).map(submission => submission.submissionId);
+    
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        matched: targets.length,
+        truncated: truncated,
+        submissionIds: targets
+      });
+    }
+    
+    const requestedBy = reviewActor(req);
+    const queued = [];
+    const skipped = [];
+    for (const submissionId of targets) {
+      const job = await queueReportRegeneration(submissionId, { reason: REPORT_REASONS.BULK, requestedBy });
+      if (!job) {
+        skipped.push({ submissionId, reason: 'already_queued' });
+        continue;
+      }
+      queued.push({ submissionId, jobId: job._id });
+      await recordStaffAction(req, submissionId, AUDIT_ACTIONS.REPORT_REGENERATION_REQUESTED, {
+        reason: REPORT_REASONS.BULK,
+        jobId: String(job._id)
+      });
+    }
+    if (queued.length > 0) notifyWorker();
+    
+    res.status(202).json({
+      success: true,
+      matched: targets.length,
+      truncated: truncated,
+      queued: queued,
+      skipped: skipped
+    });
+  } catch (error) {
+    console.error('Error queueing bulk report regeneration:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error queueing bulk report regeneration',
+      error: error.message
+    });
+  }
+});
+
+// Add a route to check the background processing status of a submission
+app.get('/submission/:submissionId/status', requireApiKey, async (req, res) => {
+  try {
+    // A submission received while MongoDB was down waits in the spool until it is replayed
+    const spooled = readSpooledSubmission(req.params.submissionId);
+    if (spooled) {
+      if (!canAccessSubmission(req.auth, spooled)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Submission not found'
+        });
+      }
+      return res.status(200).json({
+        success: true,
+        submissionId: spooled.submissionId,
+        processingStatus: 'spooled',
+        spooledAt: spooled.spooledAt,
+        job: null,
+        reportGenerated: false,
+        reportFileId: null,
+        qualifyingQuarters: []
+      });
+    }
+    
+    if (!isConnected()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Storage is temporarily unavailable; please retry later'
+      });
+    }
+    
+    const submission = await Submission.findOne({ submissionId: req.params.submissionId })
+      .select('submissionId userEmail processingStatus processingError report.generated report.fileId report.qualificationData.qualifyingQuarters');
+    
+    if (!submission || !canAccessSubmission(req.auth, submission)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+    
+    const job = await ProcessingJob.findOne({
+      submissionId: submission.submissionId,
+      type: PROCESS_SUBMISSION_JOB
+    }).sort({ createdAt: -1 });
+    
+    res.status(200).json({
+      success: true,
+      submissionId: submission.submissionId,
+      processingStatus: submission.processingStatus || (submission.report?.generated ? 'completed' : 'unknown'),
+      job: job ? {
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        progress: job.progress,
+        nextRunAt: job.status === 'retrying' ? job.nextRunAt : undefined,
+        lastError: job.lastError,
+        createdAt: job.createdAt,
+        completedAt: job.completedAt
+      } : null,
+      reportGenerated: !!submission.report?.generated,
+      reportFileId: submission.report?.fileId || null,
+      qualifyingQuarters: submission.report?.qualificationData?.qualifyingQuarters || []
+    });
+  } catch (error) {
+    console.error('Error retrieving submission status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving submission status',
+      error: error.message
+    });
+  }
+});
+
+// Add a route to list the status callbacks sent for a submission and their delivery attempts
+app.get('/submission/:submissionId/callbacks', requireApiKey, async (req, res) => {
+  try {
+    const submission = await Submission.findOne({ submissionId: req.params.submissionId })
+      .select('submissionId userEmail');
+    
+    if (!submission || !canAccessSubmission(req.auth, submission)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+    
+    const deliveries = await CallbackDelivery.find({ submissionId: submission.submissionId })
+      .sort({ createdAt: 1 });
+    
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      deliveries: deliveries
+    });
+  } catch (error) {
+    console.error('Error retrieving callback deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving callback deliveries',
+      error: error.message
+    });
+  }
+});
+
+// Add an endpoint to download a file from GridFS
+app.get('/download/file/:fileId', requireDownloadAccess, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.fileId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+    const fileId = new mongoose.Types.ObjectId(req.params.fileId);
+    
+    if (!(await canAccessFile(req.auth, 'file', fileId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+    
+    const bucket = new GridFSBucket(mongoose.connection.db, {
+      bucketName: 'clientFiles'
+    });
+    
+    // First, get the file info to set the correct headers
+    const files = await bucket.find({ _id: fileId }).toArray();
+    
+    if (!files || files.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+    
+    const file = files[0];
+    
+    // A download is only served once it is on the audit trail
+    await recordAuditEvent({
+      submissionId: file.metadata?.submissionId,
+      action: AUDIT_ACTIONS.FILE_DOWNLOADED,
+      actor: actorFromRequest(req),
+      ip: req.ip,
+      details: { fileId: String(fileId), filename: file.metadata?.originalName || file.filename }
+    });
+    
+    // Set appropriate headers
+    res.set('Content-Type', file.metadata?.contentType || 'application/octet-stream');
+    // Offer the client's own file name, made safe for the header
+    res.set('Content-Disposition', `attachment; filename="${sanitizeFilename(file.metadata?.originalName || file.filename)}"`);
+    
+    // Stream the file from GridFS to the response
+    const downloadStream = bucket.openDownloadStream(fileId);
+    downloadStream.pipe(res);
+    
+    downloadStream.on('error', (error) => {
+      console.error('Error streaming file from GridFS:', error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: 'Error downloading file',
+          error: error.message
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Error downloading file:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading file',
+      error: error.message
+    });
+  }
+});
+
+// Add an endpoint to download Excel report from GridFS
+app.get('/download/report/:fileId', requireDownloadAccess, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.fileId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+    const format = req.query.format || 'xlsx';
+    if (!REPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported report format; use one of ${Object.keys(REPORT_FORMATS).join(', ')}`
+      });
+    }
+    let fileId = new mongoose.Types.ObjectId(req.params.fileId);
+    
+    if (!(await canAccessFile(req.auth, 'report', fileId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+    
+    // The PDF summary can be requested by the workbook's ID as well as its own,
+    // for earlier report versions too
+    if (format === 'pdf') {
+      const submission = await Submission.findOne({ $or: [{ 'report.fileId': fileId }, { 'reportVersions.fileId': fileId }] })
+        .select('report.fileId report.pdf reportVersions');
+      const version = submission && (submission.reportVersions || []).find(entry => fileId.equals(entry.fileId));
+      if (version && version.pdfFileId) {
+        fileId = version.pdfFileId;
+      } else if (submission && fileId.equals(submission.report.fileId) && submission.report.pdf && submission.report.pdf.fileId) {
+        fileId = submission.report.pdf.fileId;
+      }
+    }
+    
+    const bucket = new GridFSBucket(mongoose.connection.db, {
+      bucketName: REPORT_FORMATS[format].bucketName
+    });
+    
+    // First, get the file info to set the correct headers
+    const files = await bucket.find({ _id: fileId }).toArray();
+    
+    if (!files || files.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+    
     const file = files[0];
     
+    // A download is only served once it is on the audit trail
+    await recordAuditEvent({
+      submissionId: file.metadata?.submissionId,
+      action: AUDIT_ACTIONS.REPORT_DOWNLOADED,
+      actor: actorFromRequest(req),
+      ip: req.ip,
+      details: { fileId: String(fileId), filename: file.filename, format }
+    });
+    
     // Set appropriate headers
-    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.set('Content-Type', REPORT_FORMATS[format].contentType);
     res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
     
     // Stream the file from GridFS to the response
@@ -445,22 +1630,83 @@ app.get('/download/report/:fileId', async (req, res) => {
   }
 });
 
+// Issue a signed, expiring download URL for a file or report the caller may access
+app.get('/download/link/:type/:fileId', requireApiKey, async (req, res) => {
+  try {
+    const { type, fileId } = req.params;
+    
+    if (!['file', 'report'].includes(type) || !mongoose.Types.ObjectId.isValid(fileId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+    
+    if (!(await canAccessFile(req.auth, type, new mongoose.Types.ObjectId(fileId)))) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+    
+    const link = createSignedDownloadUrl(`/download/${type}/${fileId}`);
+    // The signature covers the path only, so the same link serves either report format
+    const format = type === 'report' && req.query.format === 'pdf' ? '&format=pdf' : '';
+    res.status(200).json({
+      success: true,
+      url: link.url + format,
+      expiresAt: link.expiresAt
+    });
+  } catch (error) {
+    console.error('Error creating download link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating download link',
+      error: error.message
+    });
+  }
+});
+
 // Simple health check endpoint
 app.get('/', (req, res) => {
   res.status(200).json({
     status: 'ERTC Form Webhook Receiver is running with MongoDB storage',
     message: 'Ready to receive webhook notifications',
+    mongoDbConnected: isConnected(),
+    // Submissions received while MongoDB was down and not yet replayed
+    spoolBacklog: getSpoolBacklog(),
     features: {
       fileStorage: true,
       excelReports: true,
-      mongoDbStorage: true,
+      pdfReports: true,
+      mongoDbStorage: isConnected(),
       qualificationData: true,
-      gridFS: true,
+      gridFS: isConnected(),
       fileDownloads: true
     }
   });
 });
 
+// Liveness probe: the process is up, whatever the state of its dependencies
+app.get('/health/live', (req, res) => {
+  res.status(200).json(checkLiveness());
+});
+
+// Readiness probe: 503 when submissions could not be accepted right now
+app.get('/health/ready', async (req, res) => {
+  try {
+    const readiness = await checkReadiness();
+    res.status(readiness.ready ? 200 : 503).json(readiness);
+  } catch (error) {
+    console.error('Error checking readiness:', error);
+    res.status(503).json({
+      status: 'unavailable',
+      ready: false,
+      error: error.message
+    });
+  }
+});
+
 // Start the server
 app.listen(PORT, () => {
   console.log(`Webhook receiver server running on port ${PORT}`);